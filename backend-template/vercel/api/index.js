@@ -5,6 +5,9 @@
 // - GET /api/a/stop
 // Query params: taskId, tasksDbId, calendarDbId, ts, nonce, sig
 // HMAC signature: sha256(secret, `${taskId}|${action}|${ts}|${nonce}|${tasksDbId}|${calendarDbId}`)
+// createHandler({ notion }) serves the same routes with an injected client instead of one built
+// from NOTION_TOKEN, e.g. createMemoryNotion() or createReplayClient(fixture) from the CLI package
+// to run the handlers offline.
 
 const crypto = require('crypto');
 const { Client } = require('@notionhq/client');
@@ -47,15 +50,15 @@ async function readBody(req) {
   });
 }
 
-async function handleAction(action, req, res) {
+async function handleAction(action, req, res, client) {
   const secret = process.env.APP_SECRET;
   const notionToken = process.env.NOTION_TOKEN;
   if (!secret) return bad(res, 500, 'Missing APP_SECRET');
-  if (!notionToken) return bad(res, 500, 'Missing NOTION_TOKEN');
+  if (!client && !notionToken) return bad(res, 500, 'Missing NOTION_TOKEN');
   if (!verifySignature(secret, req.query)) return bad(res, 401, 'Invalid signature');
 
   const { taskId, tasksDbId, calendarDbId } = req.query;
-  const notion = new Client({ auth: notionToken });
+  const notion = client || new Client({ auth: notionToken });
 
   // Fetch task page
   const task = await notion.pages.retrieve({ page_id: taskId });
@@ -68,8 +71,8 @@ async function handleAction(action, req, res) {
   const totalProp = props['Total Tracked (min)'];
 
   function statusTo(name) {
-    if (!statusProp || statusProp.type !== 'status') return undefined;
-    return { status: { name } };
+    if (!statusProp || statusProp.type !== 'status') return {};
+    return { Status: { status: { name } } };
   }
 
   async function updateTaskProperties(update) {
@@ -89,7 +92,7 @@ async function handleAction(action, req, res) {
 
   if (action === 'start') {
     await updateTaskProperties({
-      ...(statusProp ? statusTo('In Progress') : {}),
+      ...statusTo('In Progress'),
       ...(runningProp ? { 'Timer Running': { checkbox: true } } : {}),
       ...(lastStartedProp ? { 'Last Started At': { date: { start: nowIso } } } : {}),
     });
@@ -101,7 +104,7 @@ async function handleAction(action, req, res) {
     const currentTotal = totalProp?.number || 0;
     const newTotal = computeAccumulatedMinutes(lastIso, currentTotal);
     await updateTaskProperties({
-      ...(statusProp ? statusTo('Paused') : {}),
+      ...statusTo('Paused'),
       ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
       ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
       ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
@@ -116,7 +119,7 @@ async function handleAction(action, req, res) {
 
     // Update task
     await updateTaskProperties({
-      ...(statusProp ? statusTo('Done') : {}),
+      ...statusTo('Done'),
       ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
       ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
       ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
@@ -146,37 +149,42 @@ async function handleAction(action, req, res) {
   return bad(res, 404, 'Unknown action');
 }
 
-module.exports = async (req, res) => {
-  try {
-    // Normalize query params for Vercel
-    req.query = req.query || Object.fromEntries(new URL(req.url, 'http://x').searchParams);
-    const url = new URL(req.url, 'http://x');
-    const pathname = url.pathname || '';
-    if (!pathname.startsWith('/api')) {
-      res.statusCode = 404; res.end('Not Found'); return;
-    }
-    // Action routes
-    const actionMatch = pathname.match(/\/a\/(start|pause|stop)$/);
-    const action = actionMatch ? actionMatch[1] : null;
-    if (action) return await handleAction(action, req, res);
-
-    // Webhook routes: POST /api/webhook/:name?secret=APP_SECRET
-    const webhookMatch = pathname.match(/\/webhook\/([A-Za-z0-9_-]+)$/);
-    if (webhookMatch) {
-      if (req.method !== 'POST') return bad(res, 405, 'Method Not Allowed');
-      const name = webhookMatch[1];
-      const secret = process.env.APP_SECRET;
-      const provided = url.searchParams.get('secret');
-      if (!secret) return bad(res, 500, 'Missing APP_SECRET');
-      if (!provided || provided !== secret) return bad(res, 401, 'Invalid secret');
-      const body = await readBody(req);
-      // You can add custom webhook handlers per name here
-      return json(res, 200, { ok: true, webhook: name, received: body ? true : false });
+function createHandler({ notion } = {}) {
+  return async (req, res) => {
+    try {
+      // Normalize query params for Vercel
+      req.query = req.query || Object.fromEntries(new URL(req.url, 'http://x').searchParams);
+      const url = new URL(req.url, 'http://x');
+      const pathname = url.pathname || '';
+      if (!pathname.startsWith('/api')) {
+        res.statusCode = 404; res.end('Not Found'); return;
+      }
+      // Action routes
+      const actionMatch = pathname.match(/\/a\/(start|pause|stop)$/);
+      const action = actionMatch ? actionMatch[1] : null;
+      if (action) return await handleAction(action, req, res, notion);
+
+      // Webhook routes: POST /api/webhook/:name?secret=APP_SECRET
+      const webhookMatch = pathname.match(/\/webhook\/([A-Za-z0-9_-]+)$/);
+      if (webhookMatch) {
+        if (req.method !== 'POST') return bad(res, 405, 'Method Not Allowed');
+        const name = webhookMatch[1];
+        const secret = process.env.APP_SECRET;
+        const provided = url.searchParams.get('secret');
+        if (!secret) return bad(res, 500, 'Missing APP_SECRET');
+        if (!provided || provided !== secret) return bad(res, 401, 'Invalid secret');
+        const body = await readBody(req);
+        // You can add custom webhook handlers per name here
+        return json(res, 200, { ok: true, webhook: name, received: body ? true : false });
+      }
+
+      return bad(res, 404, 'Route not found');
+    } catch (e) {
+      console.error(e);
+      bad(res, 500, 'Internal error');
     }
+  };
+}
 
-    return bad(res, 404, 'Route not found');
-  } catch (e) {
-    console.error(e);
-    bad(res, 500, 'Internal error');
-  }
-};
\ No newline at end of file
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
@@ -5,6 +5,8 @@
 // - GET /a/stop
 // - POST /webhook/:name?secret=APP_SECRET
 // Env: APP_SECRET, NOTION_TOKEN
+// createHandler({ notion }) builds the same worker around an injected client (e.g. an in-memory or
+// replaying client from the CLI package) so the routes can run offline.
 
 import crypto from 'node:crypto';
 import { Client } from '@notionhq/client';
@@ -38,101 +40,105 @@ function computeAccumulatedMinutes(lastIso, total = 0) {
   } catch (_) { return total || 0; }
 }
 
-export default {
-  async fetch(request, env) {
-    try {
-      const url = new URL(request.url);
-      // Webhook route first
-      const webhookMatch = url.pathname.match(/^\/webhook\/([A-Za-z0-9_-]+)$/);
-      if (webhookMatch) {
-        if (request.method !== 'POST') return json(405, { error: 'Method Not Allowed' });
-        const provided = url.searchParams.get('secret');
+export function createHandler({ notion: client } = {}) {
+  return {
+    async fetch(request, env) {
+      try {
+        const url = new URL(request.url);
+        // Webhook route first
+        const webhookMatch = url.pathname.match(/^\/webhook\/([A-Za-z0-9_-]+)$/);
+        if (webhookMatch) {
+          if (request.method !== 'POST') return json(405, { error: 'Method Not Allowed' });
+          const provided = url.searchParams.get('secret');
+          const secret = env.APP_SECRET;
+          if (!secret) return json(500, { error: 'Missing APP_SECRET' });
+          if (!provided || provided !== secret) return json(401, { error: 'Invalid secret' });
+          const body = await request.json().catch(() => null);
+          return json(200, { ok: true, webhook: webhookMatch[1], received: !!body });
+        }
+
+        if (!url.pathname.startsWith('/a/')) return json(404, { error: 'Not Found' });
+        const action = url.pathname.split('/').pop();
         const secret = env.APP_SECRET;
-        if (!secret) return json(500, { error: 'Missing APP_SECRET' });
-        if (!provided || provided !== secret) return json(401, { error: 'Invalid secret' });
-        const body = await request.json().catch(() => null);
-        return json(200, { ok: true, webhook: webhookMatch[1], received: !!body });
-      }
+        const notionToken = env.NOTION_TOKEN;
+        if (!secret || (!client && !notionToken)) return json(500, { error: 'Missing env' });
+        if (!verifySignature(secret, request.url)) return json(401, { error: 'Invalid signature' });
+
+        const taskId = url.searchParams.get('taskId');
+        const tasksDbId = url.searchParams.get('tasksDbId') || '';
+        const calendarDbId = url.searchParams.get('calendarDbId') || '';
+
+        const notion = client || new Client({ auth: notionToken, fetch: (input, init) => fetch(input, init) });
+        const task = await notion.pages.retrieve({ page_id: taskId });
+        const props = task.properties || {};
+        const nowIso = new Date().toISOString();
+
+        const statusProp = props['Status'];
+        const runningProp = props['Timer Running'];
+        const lastStartedProp = props['Last Started At'];
+        const totalProp = props['Total Tracked (min)'];
+
+        function statusTo(name) { return statusProp && statusProp.type === 'status' ? { Status: { status: { name } } } : {}; }
+        async function updateTaskProperties(update) { await notion.pages.update({ page_id: taskId, properties: update }); }
+
+        if (action === 'start') {
+          await updateTaskProperties({
+            ...statusTo('In Progress'),
+            ...(runningProp ? { 'Timer Running': { checkbox: true } } : {}),
+            ...(lastStartedProp ? { 'Last Started At': { date: { start: nowIso } } } : {}),
+          });
+          return json(200, { ok: true, action, at: nowIso });
+        }
 
-      if (!url.pathname.startsWith('/a/')) return json(404, { error: 'Not Found' });
-      const action = url.pathname.split('/').pop();
-      const secret = env.APP_SECRET;
-      const notionToken = env.NOTION_TOKEN;
-      if (!secret || !notionToken) return json(500, { error: 'Missing env' });
-      if (!verifySignature(secret, request.url)) return json(401, { error: 'Invalid signature' });
-
-      const taskId = url.searchParams.get('taskId');
-      const tasksDbId = url.searchParams.get('tasksDbId') || '';
-      const calendarDbId = url.searchParams.get('calendarDbId') || '';
-
-      const notion = new Client({ auth: notionToken, fetch: (input, init) => fetch(input, init) });
-      const task = await notion.pages.retrieve({ page_id: taskId });
-      const props = task.properties || {};
-      const nowIso = new Date().toISOString();
-
-      const statusProp = props['Status'];
-      const runningProp = props['Timer Running'];
-      const lastStartedProp = props['Last Started At'];
-      const totalProp = props['Total Tracked (min)'];
-
-      function statusTo(name) { return statusProp && statusProp.type === 'status' ? { status: { name } } : undefined; }
-      async function updateTaskProperties(update) { await notion.pages.update({ page_id: taskId, properties: update }); }
-
-      if (action === 'start') {
-        await updateTaskProperties({
-          ...(statusProp ? statusTo('In Progress') : {}),
-          ...(runningProp ? { 'Timer Running': { checkbox: true } } : {}),
-          ...(lastStartedProp ? { 'Last Started At': { date: { start: nowIso } } } : {}),
-        });
-        return json(200, { ok: true, action, at: nowIso });
-      }
+        if (action === 'pause') {
+          const lastIso = lastStartedProp?.date?.start || lastStartedProp?.date?.end || null;
+          const currentTotal = totalProp?.number || 0;
+          const newTotal = computeAccumulatedMinutes(lastIso, currentTotal);
+          await updateTaskProperties({
+            ...statusTo('Paused'),
+            ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
+            ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
+            ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
+          });
+          return json(200, { ok: true, action, totalMin: newTotal });
+        }
 
-      if (action === 'pause') {
-        const lastIso = lastStartedProp?.date?.start || lastStartedProp?.date?.end || null;
-        const currentTotal = totalProp?.number || 0;
-        const newTotal = computeAccumulatedMinutes(lastIso, currentTotal);
-        await updateTaskProperties({
-          ...(statusProp ? statusTo('Paused') : {}),
-          ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
-          ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
-          ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
-        });
-        return json(200, { ok: true, action, totalMin: newTotal });
-      }
+        if (action === 'stop') {
+          const lastIso = lastStartedProp?.date?.start || lastStartedProp?.date?.end || null;
+          const currentTotal = totalProp?.number || 0;
+          const newTotal = computeAccumulatedMinutes(lastIso, currentTotal);
 
-      if (action === 'stop') {
-        const lastIso = lastStartedProp?.date?.start || lastStartedProp?.date?.end || null;
-        const currentTotal = totalProp?.number || 0;
-        const newTotal = computeAccumulatedMinutes(lastIso, currentTotal);
-
-        await updateTaskProperties({
-          ...(statusProp ? statusTo('Done') : {}),
-          ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
-          ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
-          ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
-        });
-
-        if (calendarDbId) {
-          const tasksDb = await notion.databases.retrieve({ database_id: tasksDbId });
-          let taskTitlePropName = Object.entries(tasksDb.properties).find(([, p]) => p.type === 'title')?.[0] || 'Name';
-          const taskTitle = task.properties?.[taskTitlePropName]?.title?.map(t => t.plain_text).join('') || 'Task';
-          await notion.pages.create({
-            parent: { database_id: calendarDbId },
-            properties: {
-              Name: { title: [{ type: 'text', text: { content: taskTitle } }] },
-              'When': { date: { start: nowIso } },
-              'Duration (min)': { number: newTotal },
-              'Task': { relation: [{ id: taskId }] },
-            },
+          await updateTaskProperties({
+            ...statusTo('Done'),
+            ...(runningProp ? { 'Timer Running': { checkbox: false } } : {}),
+            ...(lastStartedProp ? { 'Last Started At': { date: null } } : {}),
+            ...(totalProp ? { 'Total Tracked (min)': { number: newTotal } } : {}),
           });
+
+          if (calendarDbId) {
+            const tasksDb = await notion.databases.retrieve({ database_id: tasksDbId });
+            let taskTitlePropName = Object.entries(tasksDb.properties).find(([, p]) => p.type === 'title')?.[0] || 'Name';
+            const taskTitle = task.properties?.[taskTitlePropName]?.title?.map(t => t.plain_text).join('') || 'Task';
+            await notion.pages.create({
+              parent: { database_id: calendarDbId },
+              properties: {
+                Name: { title: [{ type: 'text', text: { content: taskTitle } }] },
+                'When': { date: { start: nowIso } },
+                'Duration (min)': { number: newTotal },
+                'Task': { relation: [{ id: taskId }] },
+              },
+            });
+          }
+
+          return json(200, { ok: true, action, totalMin: newTotal });
         }
 
-        return json(200, { ok: true, action, totalMin: newTotal });
+        return json(404, { error: 'Unknown action' });
+      } catch (e) {
+        return json(500, { error: 'Internal error' });
       }
-
-      return json(404, { error: 'Unknown action' });
-    } catch (e) {
-      return json(500, { error: 'Internal error' });
     }
-  }
-};
\ No newline at end of file
+  };
+}
+
+export default createHandler();
@@ -3,25 +3,148 @@
 
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
+const os = require('os');
+require('dotenv').config({ quiet: true });
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const ora = require('ora');
+// ora v8 is ESM-only; require() hands back the module namespace on newer Node versions
+const oraModule = require('ora');
+const createSpinner = oraModule.default || oraModule;
 const kleur = require('kleur');
-const { Client } = require('@notionhq/client');
+const { Client, APIResponseError } = require('@notionhq/client');
 const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const readline = require('readline');
 let yaml;
 try { yaml = require('js-yaml'); } catch (_) { yaml = null; }
 
+// Every operation runs inside the context of an app created by createNotionApp: its clients,
+// rate limiter, event callback and the journal of a journaled run (see runJournaled). The CLI
+// builds one per command (see cliApp).
+const appContext = new AsyncLocalStorage();
+
+function currentApp() {
+  const app = appContext.getStore();
+  if (!app) throw new Error('No Notion client: run operations through createNotionApp()');
+  return app;
+}
+
+// Client for everything the command creates or changes (the target workspace). An app without
+// one (the CLI without a token) still runs offline work and fails on the first API call.
 function ensureClient() {
-  if (!notion) {
-    const token = process.env.NOTION_TOKEN || process.env.NOTION_API_KEY;
-    if (!token) {
-      throw new Error('\nMissing Notion token. Please create an internal integration at https://www.notion.so/my-integrations and set NOTION_TOKEN in a .env file.');
+  const app = currentApp();
+  if (!app.client) throw new Error(app.missingClient);
+  return app.client;
+}
+
+// Client for reading masters. It is the target client unless a separate source integration
+// was configured, e.g. to copy templates from one workspace into another.
+function sourceClient() {
+  const app = currentApp();
+  if (!app.sourceClient) throw new Error(app.missingClient);
+  return app.sourceClient;
+}
+
+function hasClient() {
+  return !!currentApp().client;
+}
+
+function isCrossWorkspace() {
+  return sourceClient() !== ensureClient();
+}
+
+// Events for the app's onEvent callback: request, retry, throttle and progress
+function emit(event) {
+  const app = appContext.getStore();
+  if (app && app.onEvent) app.onEvent(event);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Token bucket shared by every Notion request of an app. Notion allows an average of about 3
+// requests per second per integration; `rate` and `burst` come from --rate. A 429 pauses the
+// whole bucket for the Retry-After time, not just the request that got it.
+function createRateLimiter({ rate = 3, burst = Math.max(1, Math.round(rate)) } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+  const stats = { requests: 0, throttled: 0, retries: 0 };
+  const take = async () => {
+    let waited = false;
+    while (true) {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+      last = now;
+      const wait = Math.max(pausedUntil - now, tokens >= 1 ? 0 : ((1 - tokens) / rate) * 1000);
+      if (wait <= 0) break;
+      if (!waited) {
+        waited = true;
+        stats.throttled++;
+        emit({ type: 'throttle', wait });
+      }
+      await sleep(wait);
+    }
+    tokens -= 1;
+    stats.requests++;
+  };
+  return {
+    stats,
+    // Requests are served in arrival order
+    acquire() {
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+// Every API method of the client goes through callApi: replayed from the journal on --resume,
+// otherwise sent once the app's rate limiter allows it
+function instrumentClient(client) {
+  const wrap = (target, prefix) => new Proxy(target, {
+    get(obj, key) {
+      const value = obj[key];
+      const method = `${prefix}${String(key)}`;
+      if (typeof value === 'function') return (...args) => callApi(method, () => value.apply(obj, args), args[0]);
+      if (value && typeof value === 'object') return wrap(value, `${method}.`);
+      return value;
+    },
+  });
+  return wrap(client, '');
+}
+
+async function callApi(method, call, args) {
+  const { journal } = currentApp();
+  const journaled = journal && JOURNALED_METHODS.test(method);
+  if (journaled) {
+    const recorded = journal.replay(method, args);
+    if (recorded) {
+      emit({ type: 'request', method, replayed: true });
+      return recorded.result;
     }
-    notion = new Client({ auth: token });
   }
-  return notion;
+  await currentApp().limiter.acquire();
+  emit({ type: 'request', method });
+  const result = await call();
+  if (journaled) journal.record(method, args, result);
+  return result;
+}
+
+// Spinners show how often requests were throttled or retried (see reportRateStats)
+let activeSpinner = null;
+function ora(options) {
+  activeSpinner = createSpinner(options);
+  return activeSpinner;
+}
+
+function reportRateStats({ throttled, retries }) {
+  if (!activeSpinner || (!throttled && !retries)) return;
+  const parts = [retries && `${retries} retried`, throttled && `${throttled} throttled`].filter(Boolean);
+  activeSpinner.suffixText = kleur.gray(`(${parts.join(', ')})`);
 }
 
 // Simple concurrency limiter to run tasks with bounded parallelism
@@ -42,13 +165,34 @@ function createLimit(concurrency = 2) {
       });
   };
   return (fn) => new Promise((resolve, reject) => {
-    queue.push({ fn, resolve, reject });
+    // Queued tasks may be started from another task's callback; keep the caller's app context
+    queue.push({ fn: AsyncResource.bind(fn), resolve, reject });
     if (typeof setImmediate === 'function') setImmediate(next); else setTimeout(next, 0);
   });
 }
 
 const limit = createLimit(3);
 
+// Network failures worth another attempt (fetch reports them as the error's cause)
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'notionhq_client_request_timeout']);
+const MAX_ATTEMPTS = 5;
+
+function isRetryableError(err) {
+  const status = err?.status || err?.statusCode;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_ERROR_CODES.has(err?.code) || RETRYABLE_ERROR_CODES.has(err?.cause?.code);
+}
+
+// Retry-After (seconds or an HTTP date) of a 429 response, in milliseconds
+function retryAfterMs(err) {
+  const headers = err?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
 async function withRetry(fn, label = 'notion-call') {
   let attempt = 0;
   let wait = 500;
@@ -57,622 +201,5954 @@ async function withRetry(fn, label = 'notion-call') {
       return await fn();
     } catch (err) {
       attempt++;
-      const status = err?.status || err?.statusCode;
-      if (attempt >= 5 || (status && status < 500 && status !== 429)) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryableError(err)) {
         throw err;
       }
-      await new Promise(r => setTimeout(r, wait));
+      // Exponential backoff with jitter, unless the API said how long to wait
+      let delay = retryAfterMs(err) ?? wait / 2 + Math.random() * wait / 2;
+      const { limiter } = currentApp();
+      if ((err.status || err.statusCode) === 429) {
+        delay = Math.max(delay, 1000);
+        limiter.pause(delay);
+      }
+      limiter.stats.retries++;
+      emit({ type: 'retry', attempt, delay, error: err });
+      await sleep(delay);
       wait = Math.min(wait * 2, 5000);
     }
   }
 }
 
+// --- Journal -------------------------------------------------------------------
+// from-master, clone-set and deploy/upgrade record every API call that changes something
+// (create, update, append, delete, file uploads) with its arguments and response in an append-only JSONL
+// journal. --resume <journal> reruns the same command: a call whose method and arguments were
+// recorded gets the recorded response instead of reaching the API. Because replayed calls
+// return the IDs created before, the calls that follow have the same arguments too, so the run
+// skips what is done and continues where it stopped.
+
+const JOURNALED_METHODS = /\.(create|update|append|delete|send|complete)$/;
+
+function journalKey(method, args) {
+  return crypto.createHash('sha1').update(`${method}\n${JSON.stringify(args ?? null)}`).digest('hex');
+}
+
+function openJournal(file, { command, target, resume }) {
+  const recorded = new Map(); // key -> responses not replayed yet
+  if (resume) {
+    if (!fs.existsSync(file)) throw new Error(`Journal not found: ${file}`);
+    const [header, ...entries] = fs.readFileSync(file, 'utf8').split('\n').flatMap((line) => {
+      try { return line.trim() ? [JSON.parse(line)] : []; } catch (_) { return []; } // torn last write
+    });
+    if (header?.command !== command || JSON.stringify(header.target) !== JSON.stringify(target)) {
+      throw new Error(`Journal ${file} was written by "${[header?.command, ...(header?.target || [])].join(' ')}", not by this command`);
+    }
+    for (const entry of entries) recorded.set(entry.key, [...(recorded.get(entry.key) || []), entry]);
+    if (!fs.readFileSync(file, 'utf8').endsWith('\n')) fs.appendFileSync(file, '\n');
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ command, target, startedAt: new Date().toISOString() }) + '\n');
+  }
+  const fd = fs.openSync(file, 'a');
+  const self = {
+    file,
+    replayed: 0,
+    replay(method, args) {
+      const entry = recorded.get(journalKey(method, args))?.shift();
+      if (entry) self.replayed++;
+      return entry;
+    },
+    record(method, args, result) {
+      fs.writeSync(fd, JSON.stringify({ method, key: journalKey(method, args), result }) + '\n');
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+  return self;
+}
+
+// Run a command body with a journal on the app: --resume continues one, --journal names a new
+// one (kept afterwards); otherwise the journal goes to .notion-journal/ and is removed after success
+async function runJournaled(app, args, command, target, fn) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const file = path.resolve(process.cwd(), args.resume || args.journal || path.join('.notion-journal', `${command}-${stamp}.jsonl`));
+  const current = openJournal(file, { command, target, resume: Boolean(args.resume) });
+  app.journal = current;
+  try {
+    const result = await fn();
+    current.close();
+    if (!args.journal) {
+      fs.rmSync(file, { force: true });
+      if (!args.resume && !fs.readdirSync(path.dirname(file)).length) fs.rmdirSync(path.dirname(file));
+    }
+    return { result, replayed: current.replayed };
+  } catch (err) {
+    current.close();
+    err.message += `\nCompleted steps are in the journal; continue with: --resume ${path.relative(process.cwd(), file)}`;
+    throw err;
+  } finally {
+    app.journal = null;
+  }
+}
+
+function withJournalOptions(y) {
+  return y
+    .option('journal', { type: 'string', describe: 'Write the operation journal to this file and keep it (default: .notion-journal/, removed after success)' })
+    .option('resume', { type: 'string', describe: 'Continue a run that stopped, skipping the steps recorded in this journal' });
+}
+
+// Separate integrations for reading masters and writing copies (e.g. agency -> client
+// workspace). Tokens can also come from NOTION_SOURCE_TOKEN / NOTION_TARGET_TOKEN so they stay
+// out of the shell history.
+function withWorkspaceOptions(y) {
+  return y
+    .option('source-token', { type: 'string', describe: 'Integration token used to read the master(s) (default: NOTION_SOURCE_TOKEN, else the target token)' })
+    .option('target-token', { type: 'string', describe: 'Integration token used to create the copy (default: NOTION_TARGET_TOKEN, else NOTION_TOKEN)' });
+}
+
+function workspaceTokens(args) {
+  return {
+    sourceToken: args.sourceToken || process.env.NOTION_SOURCE_TOKEN,
+    targetToken: args.targetToken || process.env.NOTION_TARGET_TOKEN,
+  };
+}
+
+function printReplayed(replayed) {
+  if (replayed) console.log(kleur.gray(`Resumed: ${replayed} completed step(s) taken from the journal.`));
+}
+
 // Helpers
-async function getAllBlocks(blockId) {
-  ensureClient();
+async function getAllBlocks(blockId, api = ensureClient()) {
   const results = [];
   let cursor;
   do {
-    const resp = await withRetry(() => ensureClient().blocks.children.list({ block_id: blockId, start_cursor: cursor, page_size: 100 }));
+    const resp = await withRetry(() => api.blocks.children.list({ block_id: blockId, start_cursor: cursor, page_size: 100 }));
     results.push(...resp.results);
     cursor = resp.has_more ? resp.next_cursor : undefined;
   } while (cursor);
   return results;
 }
 
-function transformPropertiesToCreate(properties) {
-  const out = {};
-  for (const [name, prop] of Object.entries(properties || {})) {
-    const { type } = prop;
-    out[name] = { type };
-    if (type === 'select' && prop.select?.options) {
-      out[name].select = { options: prop.select.options.map(o => ({ name: o.name, color: o.color })) };
+// Page through every row of a database
+async function getAllRows(databaseId, api = ensureClient()) {
+  const results = [];
+  let cursor;
+  do {
+    const resp = await withRetry(() => api.databases.query({ database_id: databaseId, start_cursor: cursor, page_size: 100 }));
+    results.push(...resp.results);
+    cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (cursor);
+  return results;
+}
+
+// API limits for blocks.children.append: children per array and levels of nesting per request
+const MAX_CHILDREN_PER_REQUEST = 100;
+const MAX_NESTING_DEPTH = 2;
+
+// Block types the API only accepts together with (some of) their children
+const INLINE_CHILDREN_TYPES = new Set(['table', 'column_list', 'column', 'synced_block']);
+
+// Fetch a block's children and, recursively, all of their descendants. Sub-pages are walked
+// as well; inline databases are retrieved so their schema (and optionally rows) can be exported.
+async function getBlockTree(blockId, opts = {}) {
+  const blocks = await limit(() => getAllBlocks(blockId, sourceClient()));
+  await Promise.all(blocks.map(async (b) => {
+    if (b.type === 'child_database') {
+      b.database = await withRetry(() => sourceClient().databases.retrieve({ database_id: b.id }));
+      if (opts.withRows) b.rows = await exportDatabaseRows(b.id);
+      return;
     }
-    if (type === 'multi_select' && prop.multi_select?.options) {
-      out[name].multi_select = { options: prop.multi_select.options.map(o => ({ name: o.name, color: o.color })) };
+    if (b.type === 'child_page') {
+      b.page = await withRetry(() => sourceClient().pages.retrieve({ page_id: b.id }));
     }
-    if (type === 'status' && prop.status?.options) {
-      out[name].status = { options: prop.status.options.map(o => ({ name: o.name, color: o.color })) };
+    if (b.has_children) {
+      b.children = await getBlockTree(b.id, opts);
     }
-  }
-  return out;
+  }));
+  return blocks;
 }
 
-function sanitizeBlocks(blocks) {
-  return blocks
-    .map(b => {
-      const { type } = b;
-      const base = { type };
-      if (b[type]) base[type] = JSON.parse(JSON.stringify(b[type]));
-      if (base[type]?.rich_text) {
-        base[type].rich_text = base[type].rich_text.map(rt => ({ ...rt }));
-      }
-      if (b.has_children) {
-        base.has_children = true;
-      }
-      return base;
-    })
-    .filter(Boolean);
+function childrenOf(block) {
+  return block?.[block.type]?.children || [];
 }
 
-async function cloneBlocksRecursive(sourceBlockId, targetParent, targetType = 'block_id') {
-  ensureClient();
-  const blocks = await getAllBlocks(sourceBlockId);
-  const sanitized = sanitizeBlocks(blocks);
-  const created = [];
-  for (let i = 0; i < sanitized.length; i += 50) {
-    const chunk = sanitized.slice(i, i + 50);
-    const resp = await withRetry(() => ensureClient().blocks.children.append({
-      [targetType]: targetParent,
-      children: chunk,
-    }));
-    created.push(...resp.results);
-  }
-  await Promise.all(
-    created.map((newBlock, idx) =>
-      limit(async () => {
-        const src = blocks[idx];
-        if (src?.has_children) {
-          await cloneBlocksRecursive(src.id, newBlock.id, 'block_id');
-        }
-      })
-    )
-  );
+function normalizeId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
 }
 
-async function exportMaster(pageOrDbId) {
-  ensureClient();
-  try {
-    const page = await withRetry(() => ensureClient().pages.retrieve({ page_id: pageOrDbId }));
-    const blocks = await getAllBlocks(pageOrDbId);
-    return { kind: 'page', page, blocks };
-  } catch (e1) {
-    try {
-      const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: pageOrDbId }));
-      return { kind: 'database', database: db };
-    } catch (e2) {
-      throw new Error('ID is neither a Page nor a Database. Make sure the integration has access.');
+function isNotionId(value) {
+  return /^[0-9a-f]{32}$/.test(normalizeId(value));
+}
+
+// Tracks which source pages/databases are being cloned and what they became, so that
+// mentions, link_to_page blocks and notion.so links inside the copy can point at the copy.
+function createReferenceContext(sourceIds = []) {
+  return {
+    sourceIds: new Set(sourceIds.map(normalizeId)),
+    idMap: new Map(),
+    pendingBlocks: new Set(),
+    patches: [],
+    schemas: [],
+    // Source and target are different workspaces: references outside the copy cannot be kept
+    crossWorkspace: false,
+    external: new Map(),
+    unpatched: [],
+    final: false,
+  };
+}
+
+// Collect IDs of the page, sub-pages, inline databases and rows contained in a template
+function collectTemplateIds(tpl) {
+  const ids = [];
+  const visitRows = (rows) => (rows || []).forEach(r => { if (r.id) ids.push(r.id); visitBlocks(r.children); });
+  const visitBlocks = (blocks) => (blocks || []).forEach(b => {
+    if (b.id && (b.type === 'child_page' || b.type === 'child_database')) ids.push(b.id);
+    if (b.type === 'child_database') visitRows(b.child_database?.rows);
+    visitBlocks(childrenOf(b));
+  });
+  if (tpl.id) ids.push(tpl.id);
+  visitBlocks(tpl.children);
+  visitRows(tpl.rows);
+  return ids;
+}
+
+function registerClone(refs, sourceId, newId) {
+  if (refs && sourceId) refs.idMap.set(normalizeId(sourceId), newId);
+}
+
+const NOTION_URL_ID = /^(?:https?:\/\/(?:[\w-]+\.)?notion\.(?:so|site)\/|\/)[^?#]*?([0-9a-f]{32})(?=[?#]|$)/i;
+
+// Deep-copy a block body or property value, pointing page/database references at their clones.
+// References into the cloned set whose target does not exist yet are left as-is and reported
+// through `pending` so the caller can patch them once everything has been created.
+function rewriteReferences(value, refs) {
+  let pending = false;
+  if (!refs) return { value, pending };
+  const deferred = (id) => refs.sourceIds.has(normalizeId(id)) && !refs.final;
+  const resolve = (id, kind) => {
+    const key = normalizeId(id);
+    if (refs.idMap.has(key)) return refs.idMap.get(key);
+    if (refs.sourceIds.has(key) && !refs.final) pending = true;
+    else refs.external.set(key, { id, kind });
+    return null;
+  };
+  const rewriteUrl = (url) => {
+    const m = typeof url === 'string' ? url.match(NOTION_URL_ID) : null;
+    if (!m) return url;
+    const target = resolve(m[1], 'link');
+    return target ? url.replace(m[1], normalizeId(target)) : url;
+  };
+  const visit = (v) => {
+    if (Array.isArray(v)) return v.map(visit);
+    if (!v || typeof v !== 'object') return v;
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+      out[k] = (k === 'url' || k === 'href') && typeof x === 'string' ? rewriteUrl(x) : visit(x);
     }
-  }
+    if (out.type === 'mention' && (out.mention?.type === 'page' || out.mention?.type === 'database')) {
+      const kind = out.mention.type;
+      const id = out.mention[kind]?.id;
+      const later = deferred(id);
+      const target = resolve(id, kind);
+      if (target) out.mention = { ...out.mention, [kind]: { id: target } };
+      // The other workspace cannot mention it; keep its title as plain text
+      else if (refs.crossWorkspace && !later) return { type: 'text', text: { content: out.plain_text || 'Untitled' }, annotations: out.annotations, plain_text: out.plain_text };
+    }
+    // Relation values: rows not copied yet are dropped for now and restored by the patch pass
+    if (Array.isArray(out.relation)) {
+      out.relation = out.relation.flatMap((r) => {
+        if (!r?.id) return [r];
+        const later = deferred(r.id);
+        const target = resolve(r.id, 'page');
+        return target ? [{ id: target }] : later || refs.crossWorkspace ? [] : [r];
+      });
+    }
+    // link_to_page bodies: { type: 'page_id', page_id } or { type: 'database_id', database_id }
+    if ((out.type === 'page_id' || out.type === 'database_id') && out[out.type]) {
+      const target = resolve(out[out.type], out.type === 'page_id' ? 'page' : 'database');
+      if (target) out[out.type] = target;
+    }
+    return out;
+  };
+  return { value: visit(value), pending };
 }
 
-// Helper to extract plain title text from a Page object
-function getPageTitleText(page) {
-  const props = page.properties || {};
-  for (const [name, prop] of Object.entries(props)) {
-    if (prop?.type === 'title' && Array.isArray(prop.title)) {
-      const text = prop.title.map(t => t.plain_text || t.text?.content || '').join('');
-      if (text) return text;
+// Second pass once the whole tree exists: fix references whose targets were created later
+async function applyReferencePatches(refs) {
+  if (!refs) return;
+  await completeDatabaseSchemas(refs);
+  refs.final = true;
+  for (const patch of refs.patches) {
+    try {
+      if (patch.pageId) {
+        const { value } = rewriteReferences(patch.properties, refs);
+        await withRetry(() => ensureClient().pages.update({ page_id: patch.pageId, properties: value }));
+        continue;
+      }
+      const { type } = patch.block;
+      const body = { ...(patch.block[type] || {}) };
+      delete body.children;
+      const { value } = rewriteReferences(body, refs);
+      await withRetry(() => ensureClient().blocks.update({ block_id: patch.blockId, [type]: value }));
+    } catch (err) {
+      // Some block types cannot be updated in place; the copy keeps pointing at the original
+      refs.unpatched.push({ id: patch.blockId || patch.pageId, reason: err.message });
     }
   }
-  return 'Untitled';
+  refs.patches = [];
 }
 
-// Build a portable JSON template from an existing page or database
-async function exportToTemplate(id) {
-  const master = await exportMaster(id);
-  if (master.kind === 'page') {
-    const title = getPageTitleText(master.page);
-    const icon = master.page.icon || null;
-    const cover = master.page.cover || null;
-    const children = sanitizeBlocks(master.blocks || []);
-    return {
-      kind: 'page',
-      title,
-      icon,
-      cover,
-      children,
-    };
+// Human-readable list of references the clone left pointing outside the cloned set
+function describeUnresolvedReferences(refs) {
+  if (!refs) return [];
+  return [
+    ...[...refs.external.values()].map(r => `${r.kind} ${r.id} is outside the cloned set`),
+    ...refs.unpatched.map(u => u.message || `${u.id} still points at the original (${u.reason})`),
+  ];
+}
+
+// Turn a sanitized block into an append payload. Children are only sent inline for types that
+// require them, and never deeper than the API's nesting limit; the rest is appended afterwards.
+function toAppendPayload(block, depth = 0, refs) {
+  const { type } = block;
+  const raw = { ...(block[type] || {}) };
+  const children = raw.children || [];
+  delete raw.children;
+  const { value: body, pending } = rewriteReferences(raw, refs);
+  if (type === 'link_to_page' && refs?.crossWorkspace && refs.external.has(normalizeId(raw[raw.type]))) {
+    return { type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: 'Link to a page that was not copied' }, annotations: { italic: true } }] } };
   }
-  if (master.kind === 'database') {
-    const title = (master.database.title || []).map(t => t.plain_text || t.text?.content || '').join('') || 'Untitled DB';
-    const icon = master.database.icon || null;
-    const cover = master.database.cover || null;
-    const properties = transformPropertiesToCreate(master.database.properties || {});
-    return {
-      kind: 'database',
-      title,
-      icon,
-      cover,
-      properties,
-    };
+  if (pending) refs.pendingBlocks.add(block);
+  if (children.length && INLINE_CHILDREN_TYPES.has(type) && depth < MAX_NESTING_DEPTH) {
+    body.children = children.slice(0, MAX_CHILDREN_PER_REQUEST).map(c => toAppendPayload(c, depth + 1, refs));
   }
-  throw new Error('Unsupported kind');
+  return { type, [type]: body };
 }
 
-async function getDatabaseTitlePropName(databaseId) {
-  ensureClient();
-  const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
-  for (const [name, prop] of Object.entries(db.properties)) {
-    if (prop.type === 'title') return name;
+const isNestedObject = (block) => block.type === 'child_page' || block.type === 'child_database';
+
+// Children toAppendPayload sends together with their block
+function inlinedChildren(block, depth) {
+  return INLINE_CHILDREN_TYPES.has(block.type) && depth < MAX_NESTING_DEPTH ? childrenOf(block).slice(0, MAX_CHILDREN_PER_REQUEST) : [];
+}
+
+function inlinesNestedObject(block, depth = 0) {
+  return inlinedChildren(block, depth).some(c => isNestedObject(c) || inlinesNestedObject(c, depth + 1));
+}
+
+// Sub-pages and inline databases cannot be sent inside another block, so those among the inlined
+// children (e.g. a sub-page in a column) are created first and replaced by a link_to_page
+async function linkNestedObjects(block, depth, ctx) {
+  const inlined = inlinedChildren(block, depth);
+  if (!inlined.some(c => isNestedObject(c) || inlinesNestedObject(c, depth + 1))) return block;
+  const children = [...childrenOf(block)];
+  for (let i = 0; i < inlined.length; i++) {
+    children[i] = isNestedObject(inlined[i]) ? await createNestedObject(inlined[i], null, ctx) : await linkNestedObjects(inlined[i], depth + 1, ctx);
   }
-  return 'Name';
+  return { ...block, [block.type]: { ...block[block.type], children } };
 }
 
-async function createFromJsonTemplate(templatePath, parent, parentType) {
-  ensureClient();
-  const tpl = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
-  if (tpl.kind === 'page') {
-    const { title = 'Untitled', icon, cover, properties = {}, children = [] } = tpl;
-    let pagePayload;
-    if (parentType === 'page') {
-      const titleProp = properties.title || { title: [{ type: 'text', text: { content: title } }] };
-      pagePayload = {
-        parent: { page_id: parent },
-        properties: { title: titleProp.title ? titleProp : { title: [{ type: 'text', text: { content: title } }] } },
-        icon,
-        cover,
-      };
-    } else {
-      pagePayload = {
-        parent: { database_id: parent },
-        properties,
-        icon,
-        cover,
-      };
-    }
-    const created = await withRetry(() => ensureClient().pages.create(pagePayload));
-    if (children.length) {
-      for (let i = 0; i < children.length; i += 50) {
-        await withRetry(() => ensureClient().blocks.children.append({ block_id: created.id, children: children.slice(i, i + 50) }));
-      }
-    }
-    return created;
-  } else if (tpl.kind === 'database') {
-    if (parentType !== 'page') {
-      throw new Error('Database templates must be created under a page (use --parentType page)');
+async function appendDeferredChildren(block, createdId, depth, ctx) {
+  const { refs } = ctx;
+  if (refs?.pendingBlocks.has(block)) refs.patches.push({ blockId: createdId, block });
+  const children = childrenOf(block);
+  if (!children.length) return;
+  const inlined = INLINE_CHILDREN_TYPES.has(block.type) && depth < MAX_NESTING_DEPTH;
+  if (!inlined) {
+    await appendBlockTree(createdId, children, ctx);
+    return;
+  }
+  const inlinedCount = Math.min(children.length, MAX_CHILDREN_PER_REQUEST);
+  const needsIds = children.slice(0, inlinedCount).some(c => childrenOf(c).length || refs?.pendingBlocks.has(c));
+  if (needsIds) {
+    const created = await getAllBlocks(createdId);
+    for (let i = 0; i < inlinedCount; i++) {
+      if (created[i]) await appendDeferredChildren(children[i], created[i].id, depth + 1, ctx);
     }
-    const { title = 'Untitled DB', icon, cover, properties = {} } = tpl;
-    const created = await withRetry(() => ensureClient().databases.create({
-      parent: { page_id: parent },
-      title: [{ type: 'text', text: { content: title } }],
-      icon,
-      cover,
-      properties,
-    }));
-    return created;
   }
-  throw new Error('Unknown template kind');
+  if (children.length > inlinedCount) {
+    await appendBlockTree(createdId, children.slice(inlinedCount), ctx);
+  }
 }
 
-async function cloneFromMaster(masterId, targetParentId, mode) {
-  ensureClient();
-  const master = await exportMaster(masterId);
-  if (master.kind === 'page') {
-    const titleProp = master.page.properties?.title;
-    const titleText = Array.isArray(titleProp?.title) && titleProp.title.length
-      ? titleProp.title.map(t => t.plain_text).join('')
-      : 'Cloned Page';
+// Create a sub-page or inline database from a template block. Both can only live directly
+// under a page, so when the block sits deeper (e.g. in a toggle) a link_to_page marks its place.
+// Without a parentId the link is returned for the caller to place.
+async function createNestedObject(block, parentId, ctx) {
+  const { pageId, refs } = ctx;
+  let linkTarget;
+  if (block.type === 'child_page') {
+    const { title = 'Untitled', icon, cover, children = [] } = block.child_page || {};
+    const page = await withRetry(() => ensureClient().pages.create({
+      parent: { page_id: pageId },
+      properties: { title: { title: [{ type: 'text', text: { content: title } }] } },
+      icon: icon || undefined,
+      cover: cover || undefined,
+    }));
+    registerClone(refs, block.id, page.id);
+    await appendBlockTree(page.id, children, { ...ctx, pageId: page.id });
+    linkTarget = { type: 'page_id', page_id: page.id };
+  } else {
+    const { rows = [] } = block.child_database || {};
+    const db = await createDatabaseFromTemplate({ page_id: pageId }, { ...block.child_database, id: block.id }, refs, { is_inline: true });
+    if (rows.length) await createDatabaseRows(db.id, rows, db.properties, refs);
+    linkTarget = { type: 'database_id', database_id: db.id };
+  }
+  const link = { type: 'link_to_page', link_to_page: linkTarget };
+  // The link already points at the copy; reference rewriting keeps it as it is
+  registerClone(refs, linkTarget[linkTarget.type], linkTarget[linkTarget.type]);
+  if (parentId && parentId !== pageId) {
+    await withRetry(() => ensureClient().blocks.children.append({ block_id: parentId, children: [link] }));
+  }
+  return link;
+}
 
-    if (mode === 'into_database') {
-      const titleName = await getDatabaseTitlePropName(targetParentId);
-      const newPage = await withRetry(() => ensureClient().pages.create({
-        parent: { database_id: targetParentId },
-        properties: {
-          [titleName]: { title: [{ type: 'text', text: { content: titleText } }] },
-        },
+// Create a sanitized block tree under parentId, respecting the API's children-per-request
+// and nesting-depth limits. ctx.pageId is the closest page, which hosts sub-pages and databases;
+// ctx.refs (see createReferenceContext) enables rewriting references into the cloned set.
+async function appendBlockTree(parentId, blocks, ctx = {}) {
+  const nestedCtx = { ...ctx, pageId: ctx.pageId || parentId };
+  let pending = [];
+  const flush = async () => {
+    for (let i = 0; i < pending.length; i += MAX_CHILDREN_PER_REQUEST) {
+      const chunk = pending.slice(i, i + MAX_CHILDREN_PER_REQUEST);
+      const resp = await withRetry(() => ensureClient().blocks.children.append({
+        block_id: parentId,
+        children: chunk.map(b => toAppendPayload(b, 0, ctx.refs)),
       }));
-      await cloneBlocksRecursive(master.page.id, newPage.id, 'block_id');
-      return newPage;
+      for (let j = 0; j < chunk.length; j++) {
+        await appendDeferredChildren(chunk[j], resp.results[j].id, 0, nestedCtx);
+      }
+    }
+    pending = [];
+  };
+  for (const block of blocks || []) {
+    if (isNestedObject(block)) {
+      await flush();
+      await createNestedObject(block, parentId, nestedCtx);
+    } else if (inlinesNestedObject(block)) {
+      await flush();
+      pending.push(await linkNestedObjects(block, 0, nestedCtx));
     } else {
-      const newPage = await withRetry(() => ensureClient().pages.create({
-        parent: { page_id: targetParentId },
-        properties: { title: { title: [{ type: 'text', text: { content: titleText } }] } },
-      }));
-      await cloneBlocksRecursive(master.page.id, newPage.id, 'block_id');
-      return newPage;
+      pending.push(block);
     }
   }
-  if (master.kind === 'database') {
-    // Validate target is a page for database cloning
-    try {
-      await withRetry(() => ensureClient().pages.retrieve({ page_id: targetParentId }));
-    } catch (e) {
-      throw new Error('When cloning a database, targetId must be a page_id (a page where the new database will be created).');
+  await flush();
+}
+
+// Convert a property value read from a page into a value pages.create accepts.
+// Computed types (formula, rollup, created_*, last_edited_*, unique_id) and workspace-bound
+// references (people, relation) are not portable and return undefined.
+function toPortablePropertyValue(prop) {
+  if (!prop || !prop.type) return undefined;
+  const copy = (v) => JSON.parse(JSON.stringify(v));
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text':
+      return { [prop.type]: copy(prop[prop.type] || []) };
+    case 'number':
+    case 'checkbox':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { [prop.type]: prop[prop.type] ?? null };
+    case 'select':
+    case 'status':
+      return { [prop.type]: prop[prop.type] ? { name: prop[prop.type].name } : null };
+    case 'multi_select':
+      return { multi_select: (prop.multi_select || []).map(o => ({ name: o.name })) };
+    case 'date':
+      return { date: prop.date ? { start: prop.date.start, end: prop.date.end || null, time_zone: prop.date.time_zone || null } : null };
+    case 'files':
+      // Notion-hosted files keep their expiring URL; clones upload them again (see rehostTemplateFiles)
+      return {
+        files: (prop.files || []).map(f => (f.type === 'external'
+          ? { name: f.name, type: 'external', external: { url: f.external.url } }
+          : { name: f.name, type: 'file', file: { url: f.file?.url } })),
+      };
+    case 'relation':
+      // Row IDs; cloning rewrites them to the copied rows (see rewriteReferences)
+      return { relation: (prop.relation || []).map(r => ({ id: r.id })) };
+    default:
+      return undefined;
+  }
+}
+
+function toPortableProperties(properties) {
+  const out = {};
+  for (const [name, prop] of Object.entries(properties || {})) {
+    const value = toPortablePropertyValue(prop);
+    if (value !== undefined) out[name] = value;
+  }
+  return out;
+}
+
+// Capture every row of a database with its property values and block content. A few rows are
+// read at a time so large databases do not queue hundreds of block tree walks at once.
+async function exportDatabaseRows(databaseId) {
+  const rows = await getAllRows(databaseId, sourceClient());
+  const run = createLimit(3);
+  return Promise.all(rows.map(row => run(async () => {
+    const blocks = await getBlockTree(row.id);
+    return {
+      id: row.id,
+      icon: row.icon || null,
+      properties: toPortableProperties(row.properties),
+      children: sanitizeBlocks(blocks),
+    };
+  })));
+}
+
+// Recreate exported rows inside a database, dropping values for properties it does not have
+async function createDatabaseRows(databaseId, rows, schema, refs) {
+  const created = [];
+  // Relations are added to a cloned schema after its rows (completeDatabaseSchemas), so their
+  // values are set by the patch pass
+  const queued = refs?.schemas.find(job => job.databaseId === databaseId)?.properties || {};
+  for (const row of rows) {
+    const own = {};
+    const later = {};
+    for (const [name, value] of Object.entries(row.properties || {})) {
+      if (queued[name]) later[name] = value;
+      else if (!schema || schema[name]) own[name] = value;
     }
-    const schema = transformPropertiesToCreate(master.database.properties);
-    const title = master.database.title?.map(t => t.plain_text).join('') || 'Cloned Database';
-    const createdDb = await withRetry(() => ensureClient().databases.create({
-      parent: { page_id: targetParentId },
-      title: [{ type: 'text', text: { content: title } }],
-      properties: schema,
+    const { value: properties, pending } = rewriteReferences(own, refs);
+    const page = await withRetry(() => ensureClient().pages.create({
+      parent: { database_id: databaseId },
+      properties,
+      icon: row.icon || undefined,
     }));
-    return createdDb;
+    registerClone(refs, row.id, page.id);
+    if (pending || Object.keys(later).length) {
+      refs.patches.push({ pageId: page.id, properties: pending ? { ...own, ...later } : later });
+    }
+    if (Array.isArray(row.children) && row.children.length) {
+      await appendBlockTree(page.id, row.children, { refs });
+    }
+    created.push(page);
   }
+  return created;
 }
 
-function assertIdLike(id, label) {
-  if (!id || typeof id !== 'string' || id.length < 32) {
-    throw new Error(`${label} looks invalid. Provide a 32+ char Notion ID (hyphens optional).`);
+// Formula expressions read from the API reference properties as
+// {{notion:block_property:<property id>:...}} tokens; turn them back into prop("Name")
+function formulaWithPropertyNames(expression, properties) {
+  const byId = new Map();
+  for (const [name, prop] of Object.entries(properties || {})) {
+    if (!prop?.id) continue;
+    byId.set(prop.id, name);
+    try { byId.set(decodeURIComponent(prop.id), name); } catch (_) { /* keep raw id only */ }
   }
+  return String(expression || '').replace(/\{\{notion:block_property:([^:}]+)[^}]*\}\}/g, (token, id) => {
+    let decoded = id;
+    try { decoded = decodeURIComponent(id); } catch (_) { /* use as is */ }
+    const name = byId.get(id) || byId.get(decoded);
+    return name ? `prop(${JSON.stringify(name)})` : token;
+  });
 }
 
-async function main() {
-  yargs(hideBin(process.argv))
-    .scriptName('notion-template')
-    .usage('$0 <cmd> [args]')
-    .command('from-master <masterId> <targetId>', 'Clone an existing master page/database into a target location', (y) => {
-      return y
-        .positional('masterId', { describe: 'ID of existing Notion page or database to use as master', type: 'string' })
-        .positional('targetId', { describe: 'Target page ID (for creating sub-page or new database) or database ID (to create page entry)', type: 'string' })
-        .option('mode', { choices: ['under_page', 'into_database'], default: 'under_page', describe: 'under_page: create page/db under target page; into_database: create page inside target database' });
-    }, async (args) => {
-      const spinner = ora('Cloning from master...').start();
-      try {
+// Convert a database schema read from the API into the template/create format, keeping
+// what each type needs to be recreated (options, number format, formula expression, rollup
+// and relation targets, unique ID prefix) and property descriptions.
+// Types the API cannot create (button, verification) are left out.
+function transformPropertiesToCreate(properties) {
+  const out = {};
+  const nameOfId = (id) => Object.entries(properties || {}).find(([, p]) => p?.id === id)?.[0];
+  for (const [name, prop] of Object.entries(properties || {})) {
+    const { type } = prop;
+    const body = prop[type] || {};
+    let schema = {};
+    switch (type) {
+      case 'select':
+      case 'multi_select':
+      case 'status':
+        schema = { options: (body.options || []).map(o => ({ name: o.name, color: o.color })) };
+        break;
+      case 'number':
+        schema = { format: body.format || 'number' };
+        break;
+      case 'formula':
+        schema = { expression: formulaWithPropertyNames(body.expression, properties) };
+        break;
+      case 'rollup':
+        schema = {
+          relation_property_name: body.relation_property_name || nameOfId(body.relation_property_id),
+          rollup_property_name: body.rollup_property_name,
+          function: body.function,
+        };
+        break;
+      case 'relation':
+        schema = body.type === 'dual_property'
+          ? { database_id: body.database_id, type: 'dual_property', dual_property: { synced_property_name: body.dual_property?.synced_property_name } }
+          : { database_id: body.database_id, type: 'single_property', single_property: {} };
+        break;
+      case 'unique_id':
+        schema = { prefix: body.prefix || null };
+        break;
+      case 'button':
+      case 'verification':
+        continue;
+      default:
+        break;
+    }
+    out[name] = { type, [type]: schema };
+    if (prop.description) out[name].description = prop.description;
+  }
+  return out;
+}
+
+// Relations, rollups and formulas read other properties (possibly of other databases) and are
+// added once every database of a clone exists; see completeDatabaseSchemas
+const DEPENDENT_PROPERTY_TYPES = ['relation', 'rollup', 'formula'];
+
+function propertyTypeOf(def) {
+  return def?.type || Object.keys(def || {}).find(k => k !== 'name' && k !== 'description');
+}
+
+// Property schema as databases.create/update take it (templates may omit empty bodies)
+function toPropertyPayload(def) {
+  const type = propertyTypeOf(def);
+  const payload = { [type]: def[type] || {} };
+  if (def.description) payload.description = def.description;
+  return payload;
+}
+
+// Create a database from a template ({ id, title, description, icon, cover, is_inline,
+// properties }). Only independent properties are created here; relations, rollups and
+// formulas are queued on refs and added by completeDatabaseSchemas.
+async function createDatabaseFromTemplate(parent, tpl, refs, defaults = {}) {
+  const base = {};
+  const dependent = {};
+  for (const [name, def] of Object.entries(tpl.properties || {})) {
+    if (DEPENDENT_PROPERTY_TYPES.includes(propertyTypeOf(def))) dependent[name] = def;
+    else base[name] = toPropertyPayload(def);
+  }
+  const isInline = tpl.is_inline ?? defaults.is_inline;
+  const db = await withRetry(() => ensureClient().databases.create({
+    parent,
+    title: [{ type: 'text', text: { content: tpl.title || defaults.title || 'Untitled DB' } }],
+    description: Array.isArray(tpl.description) && tpl.description.length ? tpl.description : undefined,
+    icon: tpl.icon || undefined,
+    cover: tpl.cover || undefined,
+    is_inline: isInline === undefined ? undefined : Boolean(isInline),
+    properties: base,
+  }));
+  const ctx = refs || createReferenceContext();
+  if (tpl.id) ctx.sourceIds.add(normalizeId(tpl.id));
+  registerClone(ctx, tpl.id, db.id);
+  if (Object.keys(dependent).length) ctx.schemas.push({ sourceId: tpl.id, databaseId: db.id, properties: dependent });
+  if (!refs) await completeDatabaseSchemas(ctx);
+  return db;
+}
+
+// Order nodes so each comes after the nodes it depends on (depsOf returns keys). Cycles are
+// broken arbitrarily; the API rejects what cannot be created.
+function orderByDependencies(nodes, keyOf, depsOf) {
+  const byKey = new Map(nodes.map(n => [keyOf(n), n]));
+  const ordered = [];
+  const state = new Map();
+  const visit = (n) => {
+    const k = keyOf(n);
+    if (state.has(k)) return; // done, or a cycle left to the API to reject
+    state.set(k, 'visiting');
+    for (const dep of depsOf(n)) if (byKey.has(dep)) visit(byKey.get(dep));
+    state.set(k, 'done');
+    ordered.push(n);
+  };
+  nodes.forEach(visit);
+  return ordered;
+}
+
+const FORMULA_PROP_REF = /prop\(\s*"([^"]+)"\s*\)/g;
+
+// Add the queued relations, then rollups and formulas of every database created for a clone.
+// Relations to databases inside the clone point at the copies; two-way relations are created
+// once per pair and their back-reference keeps its name. Relations to databases outside the
+// clone stay pointed at the original, one-way, so the original schema is never touched.
+async function completeDatabaseSchemas(refs) {
+  const jobs = refs.schemas;
+  refs.schemas = [];
+  if (!jobs.length) return;
+  const covered = new Set();
+  const report = (job, name, err) => refs.unpatched.push({ id: job.databaseId, message: `property "${name}" of database ${job.databaseId} could not be created (${err.message})` });
+  for (const job of jobs) {
+    const relations = {};
+    const renames = [];
+    for (const [name, def] of Object.entries(job.properties)) {
+      if (propertyTypeOf(def) !== 'relation' || covered.has(`${normalizeId(job.sourceId)}:${name}`)) continue;
+      const body = def.relation || {};
+      const target = refs.idMap.get(normalizeId(body.database_id));
+      if (!target && refs.crossWorkspace) {
+        refs.unpatched.push({ id: job.databaseId, message: `relation "${name}" was left out: its database ${body.database_id} is not part of the copy` });
+        continue;
+      }
+      if (!target) {
+        refs.external.set(normalizeId(body.database_id), { id: body.database_id, kind: 'database' });
+        relations[name] = { relation: { database_id: body.database_id, type: 'single_property', single_property: {} } };
+      } else if (body.type === 'dual_property') {
+        relations[name] = { relation: { database_id: target, type: 'dual_property', dual_property: {} } };
+        const back = body.dual_property?.synced_property_name;
+        if (back) {
+          covered.add(`${normalizeId(body.database_id)}:${back}`);
+          renames.push({ name, target, back });
+        }
+      } else {
+        relations[name] = { relation: { database_id: target, type: 'single_property', single_property: {} } };
+      }
+      if (def.description) relations[name].description = def.description;
+    }
+    if (!Object.keys(relations).length) continue;
+    try {
+      const updated = await withRetry(() => ensureClient().databases.update({ database_id: job.databaseId, properties: relations }));
+      for (const r of renames) {
+        const synced = updated.properties?.[r.name]?.relation?.dual_property?.synced_property_name;
+        if (synced && synced !== r.back) {
+          await withRetry(() => ensureClient().databases.update({ database_id: r.target, properties: { [synced]: { name: r.back } } }));
+        }
+      }
+    } catch (err) {
+      report(job, Object.keys(relations).join(', '), err);
+    }
+  }
+  const nodes = jobs.flatMap(job => Object.entries(job.properties)
+    .filter(([, def]) => ['rollup', 'formula'].includes(propertyTypeOf(def)))
+    .map(([name, def]) => ({ job, name, def })));
+  const keyOf = (n) => `${n.job.databaseId}:${n.name}`;
+  const ordered = orderByDependencies(nodes, keyOf, (n) => {
+    if (propertyTypeOf(n.def) === 'formula') {
+      return [...String(n.def.formula?.expression || '').matchAll(FORMULA_PROP_REF)].map(m => `${n.job.databaseId}:${m[1]}`);
+    }
+    const relation = n.job.properties[n.def.rollup?.relation_property_name]?.relation;
+    const target = relation && refs.idMap.get(normalizeId(relation.database_id));
+    return target ? [`${target}:${n.def.rollup.rollup_property_name}`] : [];
+  });
+  for (const n of ordered) {
+    try {
+      await withRetry(() => ensureClient().databases.update({ database_id: n.job.databaseId, properties: { [n.name]: toPropertyPayload(n.def) } }));
+    } catch (err) {
+      report(n.job, n.name, err);
+    }
+  }
+}
+
+// Turn a block read from the API (optionally with nested `children` from getBlockTree) into
+// the create format. Returns null for blocks the create API cannot take at all.
+function sanitizeBlock(b) {
+  const { type } = b;
+  if (type === 'unsupported') return null;
+  if (type === 'link_preview') {
+    return { type: 'bookmark', bookmark: { url: b.link_preview?.url, caption: [] } };
+  }
+  if (type === 'child_page') {
+    return {
+      type,
+      id: b.id,
+      child_page: {
+        title: b.page ? getPageTitleText(b.page) : (b.child_page?.title || 'Untitled'),
+        icon: b.page?.icon || null,
+        cover: b.page?.cover || null,
+        children: sanitizeBlocks(b.children || []),
+      },
+    };
+  }
+  if (type === 'child_database') {
+    const body = b.database
+      ? databaseToTemplate(b.database)
+      : { title: b.child_database?.title || 'Untitled DB', properties: {} };
+    if (b.rows) body.rows = b.rows;
+    return { type, id: b.id, child_database: body };
+  }
+  const base = { type };
+  if (b[type]) base[type] = JSON.parse(JSON.stringify(b[type]));
+  if (base[type]?.rich_text) {
+    base[type].rich_text = base[type].rich_text.map(rt => ({ ...rt }));
+  }
+  if (Array.isArray(b.children) && b.children.length) {
+    base[type] = { ...(base[type] || {}), children: sanitizeBlocks(b.children) };
+  }
+  return base;
+}
+
+function sanitizeBlocks(blocks) {
+  return blocks
+    .map(sanitizeBlock)
+    .filter(Boolean);
+}
+
+// --- File uploads ---------------------------------------------------------------
+// Files uploaded to Notion are read as signed URLs that expire after an hour and cannot be
+// used to create blocks. Clones download each one and upload it again through the target's
+// file upload API (single part up to 20 MB, in 10 MB parts above that). Downloads are streamed,
+// so a large file is never held in memory whole.
+
+const FILE_BLOCK_TYPES = new Set(['image', 'file', 'pdf', 'video', 'audio']);
+const SINGLE_PART_UPLOAD_LIMIT = 20 * 1024 * 1024;
+const UPLOAD_PART_SIZE = 10 * 1024 * 1024;
+
+// Split a byte stream into buffers of `size` bytes (the last one may be shorter)
+async function* readChunks(stream, size) {
+  let pending = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    let buf = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    while (length + buf.length >= size) {
+      pending.push(buf.subarray(0, size - length));
+      yield Buffer.concat(pending);
+      buf = buf.subarray(size - length);
+      pending = [];
+      length = 0;
+    }
+    if (buf.length) {
+      pending.push(buf);
+      length += buf.length;
+    }
+  }
+  if (length) yield Buffer.concat(pending);
+}
+
+// Send a stream of `length` bytes as a multi-part upload, holding one part in memory at a time
+async function uploadParts(stream, length, filename, contentType) {
+  const parts = Math.ceil(length / UPLOAD_PART_SIZE);
+  const upload = await withRetry(() => ensureClient().fileUploads.create({ mode: 'multi_part', number_of_parts: parts, filename, content_type: contentType }));
+  let sent = 0;
+  for await (const data of readChunks(stream, UPLOAD_PART_SIZE)) {
+    if (++sent > parts) break;
+    const partNumber = String(sent);
+    await withRetry(() => ensureClient().fileUploads.send({
+      file_upload_id: upload.id,
+      part_number: partNumber,
+      file: { filename, data: new Blob([data], { type: contentType }) },
+    }));
+  }
+  if (sent !== parts) throw new Error(`download had ${sent > parts ? 'more' : 'fewer'} than the ${length} bytes announced`);
+  await withRetry(() => ensureClient().fileUploads.complete({ file_upload_id: upload.id }));
+  return upload.id;
+}
+
+async function uploadFileFromUrl(url, name) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`download failed with HTTP ${res.status}`);
+  const contentType = (res.headers.get('content-type') || 'application/octet-stream').split(';')[0];
+  const filename = name || decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || 'file';
+  const body = res.body || [];
+  // Content-Length counts encoded bytes when the download is compressed
+  const length = res.headers.get('content-encoding') ? 0 : Number(res.headers.get('content-length')) || 0;
+  if (length > SINGLE_PART_UPLOAD_LIMIT) return uploadParts(body, length, filename, contentType);
+
+  const chunks = readChunks(body, SINGLE_PART_UPLOAD_LIMIT + 1);
+  const { value: head = Buffer.alloc(0) } = await chunks.next();
+  if (head.length <= SINGLE_PART_UPLOAD_LIMIT) {
+    const upload = await withRetry(() => ensureClient().fileUploads.create({ mode: 'single_part', filename, content_type: contentType }));
+    await withRetry(() => ensureClient().fileUploads.send({ file_upload_id: upload.id, file: { filename, data: new Blob([head], { type: contentType }) } }));
+    return upload.id;
+  }
+  // A large download of unknown size is spooled to disk to count its parts
+  const spool = path.join(os.tmpdir(), `notion-upload-${crypto.randomUUID()}`);
+  try {
+    const out = await fs.promises.open(spool, 'w');
+    try {
+      await out.write(head);
+      for await (const chunk of chunks) await out.write(chunk);
+    } finally {
+      await out.close();
+    }
+    return await uploadParts(fs.createReadStream(spool), fs.statSync(spool).size, filename, contentType);
+  } finally {
+    fs.rmSync(spool, { force: true });
+  }
+}
+
+// A file object ({ type: 'file', file: { url } }) as an uploaded copy. Files that cannot be
+// copied are reported and kept as external links to the (expiring) URL.
+async function rehostFile(file, name, refs) {
+  try {
+    return { type: 'file_upload', file_upload: { id: await uploadFileFromUrl(file.file.url, name) } };
+  } catch (err) {
+    refs?.unpatched.push({ id: file.file.url, message: `file ${name || file.file.url} could not be copied (${err.message}); it links to the original, which expires` });
+    return { type: 'external', external: { url: file.file.url } };
+  }
+}
+
+// Replace Notion-hosted files in a template tree (media blocks, icons, covers and Files values) in place
+async function rehostTemplateFiles(node, refs) {
+  if (Array.isArray(node)) {
+    for (const item of node) await rehostTemplateFiles(item, refs);
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  for (const key of ['icon', 'cover']) {
+    if (node[key]?.type === 'file') node[key] = await rehostFile(node[key], undefined, refs);
+  }
+  const body = FILE_BLOCK_TYPES.has(node.type) ? node[node.type] : null;
+  if (body?.type === 'file') {
+    const { file, ...rest } = body;
+    node[node.type] = { ...rest, ...await rehostFile(body, body.name, refs) };
+  }
+  // Files property values of exported rows
+  if (Array.isArray(node.files)) {
+    for (let i = 0; i < node.files.length; i++) {
+      const item = node.files[i];
+      if (item?.type === 'file') node.files[i] = { name: item.name, ...await rehostFile(item, item.name, refs) };
+    }
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'icon' && key !== 'cover' && value && typeof value === 'object') await rehostTemplateFiles(value, refs);
+  }
+}
+
+async function exportMaster(pageOrDbId, opts = {}) {
+  // A missing client is not an inaccessible ID
+  const client = sourceClient();
+  let page;
+  try {
+    page = await withRetry(() => client.pages.retrieve({ page_id: pageOrDbId }));
+  } catch (e1) {
+    try {
+      const db = await withRetry(() => client.databases.retrieve({ database_id: pageOrDbId }));
+      return { kind: 'database', database: db };
+    } catch (e2) {
+      throw new Error('ID is neither a Page nor a Database. Make sure the integration has access.');
+    }
+  }
+  // Errors while walking the page's content are its own, not a sign of a wrong ID
+  const blocks = await getBlockTree(pageOrDbId, opts);
+  return { kind: 'page', page, blocks };
+}
+
+// Helper to extract plain title text from a Page object
+function getPageTitleText(page) {
+  const props = page.properties || {};
+  for (const [name, prop] of Object.entries(props)) {
+    if (prop?.type === 'title' && Array.isArray(prop.title)) {
+      const text = prop.title.map(t => t.plain_text || t.text?.content || '').join('');
+      if (text) return text;
+    }
+  }
+  return 'Untitled';
+}
+
+function getDatabaseTitleText(db) {
+  return (db.title || []).map(t => t.plain_text || t.text?.content || '').join('') || 'Untitled DB';
+}
+
+function databaseToTemplate(db) {
+  const tpl = {
+    title: getDatabaseTitleText(db),
+    icon: db.icon || null,
+    cover: db.cover || null,
+    properties: transformPropertiesToCreate(db.properties || {}),
+  };
+  if (Array.isArray(db.description) && db.description.length) tpl.description = db.description;
+  if (db.is_inline !== undefined) tpl.is_inline = Boolean(db.is_inline);
+  return tpl;
+}
+
+// Build a portable JSON template from an existing page or database
+async function exportToTemplate(id, opts = {}) {
+  const master = await exportMaster(id, opts);
+  if (master.kind === 'page') {
+    const title = getPageTitleText(master.page);
+    const icon = master.page.icon || null;
+    const cover = master.page.cover || null;
+    const children = sanitizeBlocks(master.blocks || []);
+    return {
+      kind: 'page',
+      id: master.page.id,
+      title,
+      icon,
+      cover,
+      children,
+    };
+  }
+  if (master.kind === 'database') {
+    const tpl = {
+      kind: 'database',
+      id: master.database.id,
+      ...databaseToTemplate(master.database),
+    };
+    if (opts.withRows) {
+      tpl.rows = await exportDatabaseRows(master.database.id);
+    }
+    return tpl;
+  }
+  throw new Error('Unsupported kind');
+}
+
+async function getDatabaseTitlePropName(databaseId) {
+  ensureClient();
+  const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  for (const [name, prop] of Object.entries(db.properties)) {
+    if (prop.type === 'title') return name;
+  }
+  return 'Name';
+}
+
+// {{name}}; a backslash in front (\{{name}}) keeps the text literal
+const PLACEHOLDER = /(\\?)\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Environment variable consulted for a template variable, e.g. client_name -> NOTION_VAR_CLIENT_NAME
+function variableEnvName(name) {
+  return `NOTION_VAR_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+// Normalize a template's `variables` declaration. Each entry is either a plain default value
+// or { default, required, description }.
+function getDeclaredVariables(doc) {
+  const out = {};
+  for (const [name, def] of Object.entries(doc?.variables || {})) {
+    out[name] = def && typeof def === 'object' && !Array.isArray(def)
+      ? { default: def.default, required: !!def.required, description: def.description }
+      : { default: def, required: false };
+  }
+  return out;
+}
+
+// Resolve variable values with precedence: provided (--var / --vars) > environment > declared default
+function resolveTemplateVariables(doc, provided = {}, env = process.env) {
+  const declared = getDeclaredVariables(doc);
+  const values = {};
+  const missing = [];
+  for (const [name, def] of Object.entries(declared)) {
+    if (provided[name] !== undefined) values[name] = provided[name];
+    else if (env[variableEnvName(name)] !== undefined) values[name] = env[variableEnvName(name)];
+    else if (def.default !== undefined && def.default !== null) values[name] = def.default;
+    else if (def.required) missing.push(def.description ? `${name} (${def.description})` : name);
+    else values[name] = '';
+  }
+  if (missing.length) {
+    throw new Error(`Missing required template variable(s): ${missing.join(', ')}. Pass them with --var name=value, --vars file.json or ${variableEnvName('name')}.`);
+  }
+  // Undeclared placeholders may still be satisfied by provided values or the environment
+  for (const [name, value] of Object.entries(provided)) {
+    if (values[name] === undefined) values[name] = value;
+  }
+  return values;
+}
+
+// Replace {{name}} placeholders in every string (and object key) of a template or blueprint.
+// Only names with a value (declared, passed or in the environment) are replaced; any other
+// {{...}} is literal text, e.g. in a code block of an exported page. The `variables`
+// declaration itself is left untouched.
+function applyTemplateVariables(doc, values = {}, env = process.env) {
+  const substitute = (str) => str.replace(PLACEHOLDER, (match, escaped, name) => {
+    if (escaped) return match.slice(1);
+    if (values[name] !== undefined) return String(values[name]);
+    if (env[variableEnvName(name)] !== undefined) return env[variableEnvName(name)];
+    return match;
+  });
+  const visit = (v) => {
+    if (typeof v === 'string') return substitute(v);
+    if (Array.isArray(v)) return v.map(visit);
+    if (!v || typeof v !== 'object' || v instanceof Date) return v;
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [substitute(k), visit(x)]));
+  };
+  const { variables, ...rest } = doc || {};
+  const out = visit(rest);
+  return variables === undefined ? out : { variables, ...out };
+}
+
+// Resolve and substitute the {{variables}} of a parsed template or blueprint
+function loadTemplateWithVariables(doc, provided) {
+  const values = resolveTemplateVariables(doc, provided);
+  return applyTemplateVariables(doc, values);
+}
+
+async function createFromJsonTemplate(templatePath, parent, parentType, opts = {}) {
+  ensureClient();
+  const tpl = loadTemplateWithVariables(JSON.parse(fs.readFileSync(templatePath, 'utf8')), opts.variables);
+  const refs = opts.refs || createReferenceContext();
+  collectTemplateIds(tpl).forEach(id => refs.sourceIds.add(normalizeId(id)));
+  if (tpl.kind === 'page') {
+    const { title = 'Untitled', icon, cover, properties = {}, children = [] } = tpl;
+    let pagePayload;
+    if (parentType === 'page') {
+      const titleProp = properties.title || { title: [{ type: 'text', text: { content: title } }] };
+      pagePayload = {
+        parent: { page_id: parent },
+        properties: { title: titleProp.title ? titleProp : { title: [{ type: 'text', text: { content: title } }] } },
+        icon,
+        cover,
+      };
+    } else {
+      pagePayload = {
+        parent: { database_id: parent },
+        properties,
+        icon,
+        cover,
+      };
+    }
+    const created = await withRetry(() => ensureClient().pages.create(pagePayload));
+    registerClone(refs, tpl.id, created.id);
+    if (children.length) {
+      await appendBlockTree(created.id, children, { refs });
+    }
+    await applyReferencePatches(refs);
+    return created;
+  } else if (tpl.kind === 'database') {
+    if (parentType !== 'page') {
+      throw new Error('Database templates must be created under a page (use --parentType page)');
+    }
+    const { rows = [] } = tpl;
+    const created = await createDatabaseFromTemplate({ page_id: parent }, tpl, refs);
+    if (Array.isArray(rows) && rows.length) {
+      await createDatabaseRows(created.id, rows, created.properties, refs);
+    }
+    await applyReferencePatches(refs);
+    return created;
+  }
+  throw new Error('Unknown template kind');
+}
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, embedded newlines, CRLF.
+// Returns one object per data row keyed by the header row.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  const [headers = [], ...rows] = records.filter(r => r.some(f => f !== ''));
+  return rows.map(r => Object.fromEntries(headers.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+function toCsv(headers, rows) {
+  const esc = (v) => {
+    const str = v === undefined || v === null ? '' : String(v);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [headers, ...rows.map(r => headers.map(h => r[h]))].map(r => r.map(esc).join(',')).join('\n') + '\n';
+}
+
+// Instantiate a JSON template once per CSV row. Row columns become template variables;
+// reserved columns `targetId` and `parentType` override the global target per row.
+async function instantiateBatch(templatePath, rows, opts = {}) {
+  const run = createLimit(opts.concurrency || 3);
+  let done = 0;
+  return Promise.all(rows.map((row, index) => run(async () => {
+    const { targetId, parentType, ...variables } = row;
+    const target = targetId || opts.targetId;
+    let result;
+    try {
+      assertIdLike(target, `Row ${index + 1} targetId`);
+      if (!parentType && !opts.parentType) throw new Error(`Row ${index + 1} has no parentType`);
+      const created = await createFromJsonTemplate(templatePath, target, parentType || opts.parentType, {
+        variables: { ...(opts.variables || {}), ...variables },
+      });
+      result = { index, row, ok: true, id: created.id, url: created.url };
+    } catch (err) {
+      result = { index, row, ok: false, error: err.message };
+    }
+    done++;
+    emit({ type: 'progress', done, total: rows.length, result });
+    if (opts.onProgress) opts.onProgress(done, rows.length, result);
+    return result;
+  })));
+}
+
+// --- CSV import --------------------------------------------------------------
+// import-csv maps CSV columns to the properties of an existing database (by name or through a
+// mapping file), converts cells with plainToPropertyValue, resolves relations by the titles of
+// related rows and, with a key column, updates matching rows instead of adding duplicates.
+
+// Types a CSV cell can be written to
+const CSV_PROPERTY_TYPES = ['title', 'rich_text', 'number', 'checkbox', 'select', 'status', 'multi_select', 'date', 'url', 'email', 'phone_number', 'files', 'people', 'relation'];
+// Column added to the rejects file; ignored when that file is imported again
+const CSV_ERROR_COLUMN = '_error';
+
+// Column -> property name. The mapping ({ "CSV column": "Property" }, null skips a column)
+// takes precedence over matching names case-insensitively.
+function mapCsvColumns(headers, schema, mapping = {}) {
+  const columns = {};
+  const skipped = [];
+  for (const column of Object.keys(mapping)) {
+    if (!headers.includes(column)) throw new Error(`Mapping refers to column "${column}", which is not in the CSV`);
+  }
+  for (const column of headers) {
+    if (column === CSV_ERROR_COLUMN) continue;
+    const mapped = Object.prototype.hasOwnProperty.call(mapping, column);
+    const name = mapped ? mapping[column] : (schema[column] ? column : Object.keys(schema).find(n => n.toLowerCase() === column.toLowerCase()));
+    if (mapped && name && !schema[name]) throw new Error(`Mapping for column "${column}": "${name}" is not a property of the database`);
+    if (!name) skipped.push(`${column} (${mapped ? 'skipped by mapping' : 'no matching property'})`);
+    else if (!CSV_PROPERTY_TYPES.includes(schema[name].type)) skipped.push(`${column} (${name} is a ${schema[name].type} property)`);
+    else columns[column] = name;
+  }
+  return { columns, skipped };
+}
+
+// Title -> row IDs of the databases relation columns point at, each loaded once
+function createRelationResolver() {
+  const byDatabase = new Map();
+  const load = async (databaseId) => {
+    const titles = new Map();
+    for (const row of await getAllRows(databaseId)) {
+      const title = rowTitle(row).trim().toLowerCase();
+      titles.set(title, [...(titles.get(title) || []), row.id]);
+    }
+    return titles;
+  };
+  return async (databaseId, values) => {
+    if (!byDatabase.has(databaseId)) byDatabase.set(databaseId, load(databaseId));
+    const titles = await byDatabase.get(databaseId);
+    return values.map((value) => {
+      const ids = titles.get(value.toLowerCase());
+      if (ids?.length === 1) return ids[0];
+      if (ids) throw new Error(`${ids.length} related rows are titled "${value}"`);
+      if (isNotionId(value)) return value;
+      throw new Error(`no related row titled "${value}"`);
+    });
+  };
+}
+
+// Convert one CSV row; empty cells are left out so updates keep the current value
+async function csvRowToProperties(row, columns, schema, resolvers) {
+  const properties = {};
+  for (const [column, name] of Object.entries(columns)) {
+    const cell = String(row[column] ?? '').trim();
+    if (cell === '') continue;
+    const prop = schema[name];
+    let value = cell;
+    if (prop.type === 'number' && !Number.isFinite(Number(cell))) throw new Error(`${column}: "${cell}" is not a number`);
+    if (prop.type === 'date' && Number.isNaN(Date.parse(cell))) throw new Error(`${column}: "${cell}" is not a date`);
+    if (prop.type === 'checkbox' && !/^(true|false|yes|no|1|0|x)$/i.test(cell)) throw new Error(`${column}: "${cell}" is not a checkbox value`);
+    try {
+      if (prop.type === 'relation') value = await resolvers.relation(prop.relation.database_id, cell.split(',').map(v => v.trim()).filter(Boolean));
+      if (prop.type === 'people') value = await resolvers.people(cell);
+    } catch (err) {
+      throw new Error(`${column}: ${err.message}`);
+    }
+    properties[name] = plainToPropertyValue(prop, value);
+  }
+  return properties;
+}
+
+// Comparable form of a key property value (rows read from the API or converted CSV cells)
+function csvKeyOf(prop) {
+  const plain = propertyValueToPlain(toPortablePropertyValue(prop) || {});
+  return (Array.isArray(plain) ? plain.join(', ') : String(plain ?? '')).trim().toLowerCase();
+}
+
+// Create (or, with opts.key, update by key column) one database row per CSV row.
+// Returns per-row results; failed rows carry the error instead of stopping the import.
+async function importCsv(rows, databaseId, opts = {}) {
+  const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  const schema = db.properties || {};
+  const { columns, skipped } = mapCsvColumns(Object.keys(rows[0] || {}), schema, opts.mapping);
+  if (!Object.keys(columns).length) throw new Error('No CSV column matches a writable property of the database');
+  const keyName = opts.key && columns[opts.key];
+  if (opts.key && !keyName) throw new Error(`Key column "${opts.key}" is not mapped to a writable property`);
+  const existing = new Map();
+  if (keyName) {
+    for (const page of await getAllRows(databaseId)) {
+      const key = csvKeyOf({ ...page.properties[keyName], type: schema[keyName].type });
+      if (key) existing.set(key, existing.has(key) ? null : page.id); // null: ambiguous
+    }
+  }
+  const resolvers = { relation: createRelationResolver(), people: createPeopleResolver() };
+  const seen = new Set();
+  const run = createLimit(opts.concurrency || 3);
+  let done = 0;
+  const results = await Promise.all(rows.map((row, index) => run(async () => {
+    let result;
+    try {
+      const properties = await csvRowToProperties(row, columns, schema, resolvers);
+      let pageId;
+      if (keyName) {
+        if (!properties[keyName]) throw new Error(`key column "${opts.key}" is empty`);
+        const key = csvKeyOf({ type: schema[keyName].type, ...properties[keyName] });
+        if (seen.has(key)) throw new Error(`duplicate key "${row[opts.key]}" in the CSV`);
+        seen.add(key);
+        if (existing.get(key) === null) throw new Error(`several rows in the database match key "${row[opts.key]}"`);
+        pageId = existing.get(key);
+      }
+      const page = pageId
+        ? await withRetry(() => ensureClient().pages.update({ page_id: pageId, properties }))
+        : await withRetry(() => ensureClient().pages.create({ parent: { database_id: databaseId }, properties }));
+      result = { index, row, ok: true, action: pageId ? 'updated' : 'created', id: page.id };
+    } catch (err) {
+      result = { index, row, ok: false, error: err.message };
+    }
+    done++;
+    emit({ type: 'progress', done, total: rows.length, result });
+    if (opts.onProgress) opts.onProgress(done, rows.length, result);
+    return result;
+  })));
+  return { results, skipped };
+}
+
+// --- Markdown ----------------------------------------------------------------
+// to-markdown renders exported templates (see exportToTemplate) as Markdown files; from-markdown
+// parses Markdown back into template blocks and creates them with appendBlockTree, so sub-pages,
+// API limits and links between imported files are handled like any other template.
+
+const CODE_LANGUAGES = [
+  'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart', 'diff', 'docker',
+  'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go', 'graphql', 'groovy', 'haskell', 'html',
+  'java', 'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp', 'livescript', 'lua', 'makefile',
+  'markdown', 'markup', 'matlab', 'mermaid', 'nix', 'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text',
+  'powershell', 'prolog', 'protobuf', 'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss',
+  'shell', 'sql', 'swift', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml',
+];
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', ts: 'typescript', tsx: 'typescript',
+  sh: 'shell', zsh: 'shell', console: 'shell', py: 'python', rb: 'ruby', yml: 'yaml', md: 'markdown', cpp: 'c++',
+  cs: 'c#', csharp: 'c#', fsharp: 'f#', dockerfile: 'docker', golang: 'go', kt: 'kotlin', rs: 'rust', tex: 'latex',
+  ps1: 'powershell', proto: 'protobuf', objc: 'objective-c', text: 'plain text', txt: 'plain text', plaintext: 'plain text',
+};
+// GitHub alert types used for callouts, by callout color
+const CALLOUT_ALERTS = { NOTE: 'gray_background', TIP: 'green_background', IMPORTANT: 'purple_background', WARNING: 'yellow_background', CAUTION: 'red_background' };
+
+function toCodeLanguage(info) {
+  const lang = String(info || '').trim().toLowerCase();
+  if (!lang) return 'plain text';
+  if (CODE_LANGUAGES.includes(lang)) return lang;
+  const word = lang.split(/\s+/)[0];
+  if (CODE_LANGUAGES.includes(word)) return word;
+  return CODE_LANGUAGE_ALIASES[word] || 'plain text';
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]~<$|]/g, '\\$&');
+}
+
+function markdownUrl(url) {
+  return String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(r => r.length));
+  const fence = '`'.repeat(longest + 1);
+  return longest ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function sameRichTextStyle(a, b) {
+  const link = (t) => t.text?.link?.url || t.href || null;
+  return a.type === 'text' && b.type === 'text' && link(a) === link(b) && JSON.stringify(a.annotations || {}) === JSON.stringify(b.annotations || {});
+}
+
+// Rich text (API or template form) to inline Markdown. Notion colors and underline have no
+// Markdown syntax and are written as inline HTML, which from-markdown reads back.
+function richTextToMarkdown(rich) {
+  const merged = [];
+  for (const item of rich || []) {
+    const last = merged[merged.length - 1];
+    if (last && sameRichTextStyle(last, item)) {
+      const content = (last.text?.content ?? last.plain_text ?? '') + (item.text?.content ?? item.plain_text ?? '');
+      merged[merged.length - 1] = { ...last, plain_text: content, text: { ...last.text, content } };
+    } else {
+      merged.push(item);
+    }
+  }
+  let out = '';
+  for (const item of merged) {
+    if (item.type === 'equation') {
+      out += `$${item.equation?.expression || item.plain_text || ''}$`;
+      continue;
+    }
+    const content = item.type === 'text' ? (item.text?.content ?? item.plain_text ?? '') : (item.plain_text || '');
+    const [, lead, core, trail] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) {
+      out += content.replace(/\n/g, '<br>');
+      continue;
+    }
+    const ann = item.annotations || {};
+    let s = ann.code ? codeSpan(core) : escapeMarkdown(core);
+    if (ann.strikethrough) s = `~~${s}~~`;
+    if (ann.bold) s = `**${s}**`;
+    if (ann.italic) s = `_${s}_`;
+    if (ann.underline) s = `<u>${s}</u>`;
+    if (ann.color && ann.color !== 'default') {
+      const background = ann.color.endsWith('_background');
+      s = `<span style="${background ? 'background-color' : 'color'}: ${ann.color.replace(/_background$/, '')}">${s}</span>`;
+    }
+    const link = item.text?.link?.url || item.href;
+    if (link) s = `[${s}](${markdownUrl(link)})`;
+    out += (lead + s + trail).replace(/\n/g, '<br>');
+  }
+  return out;
+}
+
+// Keep a paragraph from being read back as a heading, list, quote or rule
+function escapeLineStart(text) {
+  return text
+    .replace(/^(#{1,6}\s|[>+-]|---)/, '\\$1')
+    .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+function prefixLines(lines, first, rest = ' '.repeat(first.length)) {
+  return lines.map((l, i) => (i === 0 ? first : (l ? rest : rest.trimEnd())) + l);
+}
+
+function isListBlock(block) {
+  return ['bulleted_list_item', 'numbered_list_item', 'to_do'].includes(block?.type);
+}
+
+// Consecutive items of the same list are written without blank lines between them
+function continuesList(block, prev) {
+  return isListBlock(block) && isListBlock(prev) && (block.type === 'numbered_list_item') === (prev.type === 'numbered_list_item');
+}
+
+// Render template blocks to Markdown lines. ctx.linkFor(block) gives the link target for
+// child_page / child_database blocks (a relative file when writing a directory).
+function blocksToMarkdown(blocks, ctx = {}) {
+  const lines = [];
+  let number = 0;
+  (blocks || []).forEach((block, index) => {
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+    const rendered = blockToMarkdown(block, ctx, number);
+    if (!rendered.length) return;
+    const prev = blocks[index - 1];
+    if (lines.length && !continuesList(block, prev)) lines.push('');
+    lines.push(...rendered);
+  });
+  return lines;
+}
+
+function blockToMarkdown(block, ctx, number) {
+  const { type } = block;
+  const body = block[type] || {};
+  const text = richTextToMarkdown(body.rich_text);
+  // Sub-pages and inline databases carry their own content, written to their own files
+  const children = type === 'child_page' || type === 'child_database' ? [] : blocksToMarkdown(childrenOf(block), ctx);
+  const nested = (marker) => prefixLines([text, ...children], marker);
+  switch (type) {
+    case 'paragraph':
+      return text ? [escapeLineStart(text), ...(children.length ? ['', ...children] : [])] : children;
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+      return [`${'#'.repeat(Number(type.slice(-1)))} ${text}`, ...(children.length ? ['', ...children] : [])];
+    case 'bulleted_list_item':
+      return nested('- ');
+    case 'numbered_list_item':
+      return nested(`${number}. `);
+    case 'to_do':
+      return prefixLines([`[${body.checked ? 'x' : ' '}] ${text}`, ...children], '- ', '  ');
+    case 'toggle':
+      return ['<details>', `<summary>${text}</summary>`, '', ...children, '', '</details>'];
+    case 'quote':
+      return prefixLines([text, ...(children.length ? ['', ...children] : [])], '> ', '> ');
+    case 'callout': {
+      const alert = Object.keys(CALLOUT_ALERTS).find(k => CALLOUT_ALERTS[k] === body.color) || 'NOTE';
+      const icon = body.icon?.type === 'emoji' ? ` ${body.icon.emoji}` : '';
+      return prefixLines([`[!${alert}]${icon}`, text, ...(children.length ? ['', ...children] : [])], '> ', '> ');
+    }
+    case 'code': {
+      const code = richTextToPlain(body.rich_text);
+      const fence = '`'.repeat(Math.max(3, ...(code.match(/^`+/gm) || []).map(r => r.length + 1)));
+      const lang = body.language && body.language !== 'plain text' ? body.language : '';
+      return [fence + lang, ...code.split('\n'), fence];
+    }
+    case 'equation':
+      return ['$$', body.expression || '', '$$'];
+    case 'divider':
+      return ['---'];
+    case 'table': {
+      const rows = childrenOf(block).map(r => (r.table_row?.cells || []).map(c => richTextToMarkdown(c) || ' '));
+      if (!rows.length) return [];
+      const width = Math.max(...rows.map(r => r.length));
+      const row = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || ' ').join(' | ')} |`;
+      return [row(rows[0]), row(Array(width).fill('---')), ...rows.slice(1).map(row)];
+    }
+    case 'image': {
+      const url = body.type === 'file' ? body.file?.url : body.external?.url;
+      return url ? [`![${richTextToPlain(body.caption).replace(/[[\]]/g, '')}](${markdownUrl(url)})`] : [];
+    }
+    case 'bookmark':
+    case 'embed':
+    case 'video':
+    case 'audio':
+    case 'pdf':
+    case 'file': {
+      const url = body.url || (body.type === 'file' ? body.file?.url : body.external?.url);
+      const label = richTextToMarkdown(body.caption) || escapeMarkdown(body.name || url || '');
+      return url ? [`[${label}](${markdownUrl(url)})`] : [];
+    }
+    case 'child_page':
+    case 'child_database': {
+      const title = escapeMarkdown(body.title || 'Untitled');
+      const link = ctx.linkFor ? ctx.linkFor(block) : (block.id ? `https://www.notion.so/${normalizeId(block.id)}` : null);
+      return [link ? `[${title}](${markdownUrl(link)})` : title];
+    }
+    case 'link_to_page': {
+      const id = body.page_id || body.database_id;
+      return id ? [`<https://www.notion.so/${normalizeId(id)}>`] : [];
+    }
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return children;
+    default:
+      return [];
+  }
+}
+
+// Plain front matter value from a portable property value (see toPortablePropertyValue)
+function propertyValueToPlain(value) {
+  const type = Object.keys(value || {})[0];
+  const v = value?.[type];
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return richTextToPlain(v);
+    case 'select':
+    case 'status':
+      return v?.name ?? null;
+    case 'multi_select':
+      return (v || []).map(o => o.name);
+    case 'date':
+      return v ? (v.end ? { start: v.start, end: v.end } : v.start) : null;
+    case 'files':
+      return (v || []).map(f => f.external?.url || f.file?.url).filter(Boolean);
+    case 'relation':
+      return (v || []).map(r => r.id);
+    default:
+      return v ?? null;
+  }
+}
+
+// Property value for pages.create from a plain front matter value, or undefined when the
+// property type cannot be written
+function plainToPropertyValue(prop, value) {
+  const text = (s) => [{ type: 'text', text: { content: String(s ?? '') } }];
+  const list = (v) => (Array.isArray(v) ? v : String(v).split(',').map(s => s.trim()).filter(Boolean));
+  if (value === null || value === undefined) return undefined;
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text':
+      return { [prop.type]: text(value) };
+    case 'number':
+      return { number: value === '' ? null : Number(value) };
+    case 'checkbox':
+      return { checkbox: value === true || /^(true|yes|1|x)$/i.test(String(value)) };
+    case 'select':
+    case 'status':
+      return { [prop.type]: value === '' ? null : { name: String(value) } };
+    case 'multi_select':
+      return { multi_select: list(value).map(name => ({ name: String(name) })) };
+    case 'date': {
+      // YAML timestamps arrive as Date objects; plain dates (midnight UTC) stay date-only
+      const toIso = (d) => (d instanceof Date ? d.toISOString().replace(/T00:00:00\.000Z$/, '') : String(d));
+      if (value && typeof value === 'object' && !(value instanceof Date)) return { date: { start: toIso(value.start), end: value.end ? toIso(value.end) : null } };
+      return { date: { start: toIso(value) } };
+    }
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { [prop.type]: String(value) };
+    case 'files':
+      return { files: list(value).map(url => ({ type: 'external', name: String(url).split('/').pop().slice(0, 100) || 'file', external: { url: String(url) } })) };
+    case 'relation':
+    case 'people':
+      return { [prop.type]: list(value).map(id => ({ id: String(id) })) };
+    default:
+      return undefined;
+  }
+}
+
+function slugify(title) {
+  const slug = String(title || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return slug || 'untitled';
+}
+
+function uniqueSlug(title, used) {
+  const base = slugify(title);
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+  used.add(slug);
+  return slug;
+}
+
+function toFrontMatter(data) {
+  const entries = Object.entries(data).filter(([, v]) => v !== null && v !== undefined && !(Array.isArray(v) && !v.length));
+  if (!entries.length) return '';
+  return `---\n${yaml.dump(Object.fromEntries(entries), { lineWidth: -1 }).trimEnd()}\n---\n\n`;
+}
+
+// Sub-pages and inline databases of a page, including those nested in columns or toggles
+function collectNestedObjects(blocks, out = []) {
+  for (const b of blocks || []) {
+    if (b.type === 'child_page' || b.type === 'child_database') out.push(b);
+    else collectNestedObjects(childrenOf(b), out);
+  }
+  return out;
+}
+
+// Write a page template as Markdown. Pages with sub-pages or inline databases become
+// <slug>/index.md next to their children; other pages are <slug>.md. out collects the files
+// written and which page ID each holds. Returns the file written.
+function writeMarkdownPage(page, dir, used, out) {
+  const slug = uniqueSlug(page.title, used);
+  const nestedObjects = collectNestedObjects(page.children);
+  const childDir = path.join(dir, slug);
+  const file = nestedObjects.length ? path.join(childDir, 'index.md') : path.join(dir, `${slug}.md`);
+  const links = new Map();
+  const childUsed = new Set(['index']);
+  for (const obj of nestedObjects) {
+    if (obj.type === 'child_page') {
+      const { title, icon, children } = obj.child_page;
+      const written = writeMarkdownPage({ id: obj.id, title, icon, children, frontMatter: {} }, childDir, childUsed, out);
+      links.set(obj, path.relative(childDir, written));
+    } else {
+      const db = obj.child_database;
+      const written = writeMarkdownDatabase({ title: db.title, rows: db.rows || [], properties: db.properties }, childDir, childUsed, out);
+      links.set(obj, path.relative(childDir, written) + '/');
+    }
+  }
+  const front = { title: page.title, ...(page.icon?.type === 'emoji' ? { icon: page.icon.emoji } : {}), ...(page.frontMatter || {}) };
+  const body = blocksToMarkdown(page.children, { linkFor: (b) => links.get(b).split(path.sep).join('/') });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, toFrontMatter(front) + body.join('\n') + (body.length ? '\n' : ''), 'utf8');
+  out.files.push(file);
+  if (page.id) out.byId.set(normalizeId(page.id), file);
+  return file;
+}
+
+// Write database rows as <slug>/<row>.md with their property values as front matter
+function writeMarkdownDatabase(db, dir, used, out) {
+  const slug = uniqueSlug(db.title, used);
+  const dbDir = path.join(dir, slug);
+  fs.mkdirSync(dbDir, { recursive: true });
+  const titleName = Object.entries(db.properties || {}).find(([, p]) => p.type === 'title' || p.title)?.[0];
+  const rowUsed = new Set(['index']);
+  for (const row of db.rows || []) {
+    const frontMatter = Object.fromEntries(Object.entries(row.properties || {}).map(([k, v]) => [k, propertyValueToPlain(v)]));
+    const title = (titleName && frontMatter[titleName]) || rowTitle(row);
+    writeMarkdownPage({ id: row.id, title, icon: row.icon, children: row.children || [], frontMatter }, dbDir, rowUsed, out);
+  }
+  return dbDir;
+}
+
+// Export a page (with sub-pages) or a database (with rows) as Markdown files under outDir,
+// or return the Markdown of a single page when outDir is omitted
+async function exportToMarkdown(id, outDir) {
+  if (!yaml) throw new Error('YAML support not installed. Please ensure js-yaml is in dependencies.');
+  const tpl = await exportToTemplate(id, { withRows: Boolean(outDir) });
+  if (!outDir) {
+    if (tpl.kind !== 'page') throw new Error('Exporting a database needs an output directory');
+    const front = { title: tpl.title, ...(tpl.icon?.type === 'emoji' ? { icon: tpl.icon.emoji } : {}) };
+    return { markdown: toFrontMatter(front) + blocksToMarkdown(tpl.children).join('\n') + '\n', files: [] };
+  }
+  const dir = path.resolve(process.cwd(), outDir);
+  const out = { files: [], byId: new Map() };
+  if (tpl.kind === 'page') writeMarkdownPage(tpl, dir, new Set(), out);
+  else writeMarkdownDatabase(tpl, dir, new Set(), out);
+  // Links between exported pages become relative links between their files
+  for (const file of out.files) {
+    const text = fs.readFileSync(file, 'utf8');
+    const relinked = text.replace(/\]\(https:\/\/www\.notion\.so\/([0-9a-f]{32})\)/g, (m, id) => {
+      const target = out.byId.get(id);
+      return target ? `](${markdownUrl(path.relative(path.dirname(file), target).split(path.sep).join('/'))})` : m;
+    });
+    if (relinked !== text) fs.writeFileSync(file, relinked, 'utf8');
+  }
+  return { files: out.files };
+}
+
+// Split a Markdown file into front matter (parsed as YAML) and body
+function splitFrontMatter(source) {
+  const m = source.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: source };
+  const data = yaml.load(m[1]) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error('Front matter must be a YAML mapping');
+  return { data, body: source.slice(m[0].length) };
+}
+
+// Find the marker closing an emphasis run opened before `from`, skipping escapes and code spans
+function findEmphasisClose(src, marker, from) {
+  for (let j = from; j < src.length; j++) {
+    if (src[j] === '\\') { j++; continue; }
+    if (src[j] === '`') {
+      const run = src.slice(j).match(/^`+/)[0];
+      const close = src.indexOf(run, j + run.length);
+      if (close > 0) j = close + run.length - 1;
+      continue;
+    }
+    if (!src.startsWith(marker, j) || j === from || /\s/.test(src[j - 1])) continue;
+    if (marker.length === 1 && (src[j + 1] === marker || src[j - 1] === marker)) continue;
+    if (marker === '_' && /\w/.test(src[j + 1] || '')) continue;
+    return j;
+  }
+  return -1;
+}
+
+// Find the index of the bracket closing the one at `open`
+function findClosingBracket(src, open, openCh, closeCh) {
+  let depth = 0;
+  for (let j = open; j < src.length; j++) {
+    if (src[j] === '\\') { j++; continue; }
+    if (src[j] === openCh) depth++;
+    else if (src[j] === closeCh && --depth === 0) return j;
+  }
+  return -1;
+}
+
+const NOTION_COLORS = ['gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+// Inline Markdown to Notion rich text. ctx.resolveLink(url) maps link targets (null drops the link).
+function parseInlineMarkdown(src, ctx = {}, ann = {}, link = null) {
+  const out = [];
+  let buf = '';
+  const item = (content, annotations) => {
+    const text = { content };
+    if (link) text.link = { url: link };
+    const active = Object.fromEntries(Object.entries(annotations).filter(([, v]) => v));
+    return Object.keys(active).length ? { type: 'text', text, annotations: active } : { type: 'text', text };
+  };
+  const flush = () => {
+    if (buf) out.push(item(buf, ann));
+    buf = '';
+  };
+  const wrap = (inner, extra) => {
+    flush();
+    out.push(...parseInlineMarkdown(inner, ctx, { ...ann, ...extra }, link));
+  };
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    const rest = src.slice(i);
+    if (ch === '\\' && /[\\`*_{}[\]()#+\-.!|~<>$]/.test(src[i + 1] || '')) {
+      buf += src[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      const run = rest.match(/^`+/)[0];
+      const close = src.indexOf(run, i + run.length);
+      if (close > 0) {
+        let code = src.slice(i + run.length, close);
+        if (/^ .* $/.test(code)) code = code.slice(1, -1);
+        flush();
+        out.push(item(code, { ...ann, code: true }));
+        i = close + run.length;
+        continue;
+      }
+    }
+    const double = ['**', '__', '~~'].find(m => rest.startsWith(m));
+    if (double) {
+      const close = findEmphasisClose(src, double, i + 2);
+      if (close > 0) {
+        wrap(src.slice(i + 2, close), double === '~~' ? { strikethrough: true } : { bold: true });
+        i = close + 2;
+        continue;
+      }
+    }
+    if ((ch === '*' || ch === '_') && !/\s/.test(src[i + 1] || ' ') && !(ch === '_' && /\w/.test(src[i - 1] || ''))) {
+      const close = findEmphasisClose(src, ch, i + 1);
+      if (close > 0) {
+        wrap(src.slice(i + 1, close), { italic: true });
+        i = close + 1;
+        continue;
+      }
+    }
+    if (ch === '[') {
+      const closeText = findClosingBracket(src, i, '[', ']');
+      if (closeText > 0 && src[closeText + 1] === '(') {
+        const closeUrl = findClosingBracket(src, closeText + 1, '(', ')');
+        if (closeUrl > 0) {
+          const target = src.slice(closeText + 2, closeUrl).trim().replace(/\s+"[^"]*"$/, '');
+          const url = ctx.resolveLink ? ctx.resolveLink(target) : target;
+          flush();
+          out.push(...parseInlineMarkdown(src.slice(i + 1, closeText), ctx, ann, url || link));
+          i = closeUrl + 1;
+          continue;
+        }
+      }
+    }
+    if (ch === '<') {
+      const auto = rest.match(/^<(https?:\/\/[^>\s]+)>/);
+      if (auto) {
+        const url = ctx.resolveLink ? ctx.resolveLink(auto[1]) : auto[1];
+        flush();
+        out.push(...parseInlineMarkdown(escapeMarkdown(auto[1]), ctx, ann, url || link));
+        i += auto[0].length;
+        continue;
+      }
+      const br = rest.match(/^<br\s*\/?>/i);
+      if (br) {
+        buf += '\n';
+        i += br[0].length;
+        continue;
+      }
+      const tag = rest.match(/^<(u)>|^<span style="(background-color|color):\s*([a-z]+);?">/i);
+      if (tag) {
+        const name = tag[1] ? 'u' : 'span';
+        let depth = 0;
+        let close = -1;
+        const re = new RegExp(`<(/?)${name}\\b[^>]*>`, 'gi');
+        re.lastIndex = i;
+        for (let m = re.exec(src); m; m = re.exec(src)) {
+          depth += m[1] ? -1 : 1;
+          if (depth === 0) { close = m.index; break; }
+        }
+        if (close > 0) {
+          const inner = src.slice(i + tag[0].length, close);
+          const color = tag[3] && NOTION_COLORS.includes(tag[3].toLowerCase())
+            ? tag[3].toLowerCase() + (tag[2].toLowerCase() === 'background-color' ? '_background' : '')
+            : null;
+          wrap(inner, name === 'u' ? { underline: true } : color ? { color } : {});
+          i = close + `</${name}>`.length;
+          continue;
+        }
+      }
+    }
+    if (ch === '$' && src[i + 1] && !/[\s$]/.test(src[i + 1])) {
+      let close = -1;
+      for (let j = i + 1; j < src.length; j++) {
+        if (src[j] === '\\') { j++; continue; }
+        if (src[j] === '$' && !/\s/.test(src[j - 1]) && !/\d/.test(src[j + 1] || '')) { close = j; break; }
+      }
+      if (close > 0) {
+        flush();
+        out.push({ type: 'equation', equation: { expression: src.slice(i + 1, close) } });
+        i = close + 1;
+        continue;
+      }
+    }
+    buf += ch;
+    i++;
+  }
+  flush();
+  // The API caps each rich text item at 2000 characters
+  return out.flatMap(t => {
+    const content = t.text?.content;
+    if (!content || content.length <= RICH_TEXT_LIMIT) return [t];
+    const parts = [];
+    for (let k = 0; k < content.length; k += RICH_TEXT_LIMIT) parts.push({ ...t, text: { ...t.text, content: content.slice(k, k + RICH_TEXT_LIMIT) } });
+    return parts;
+  });
+}
+
+const MD_FENCE = /^\s*(`{3,}|~{3,})\s*([^`]*)$/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MD_IMAGE = /^\s*!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)\s*$/;
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function dedent(line, n) {
+  let removed = 0;
+  let k = 0;
+  while (k < line.length && removed < n && (line[k] === ' ' || line[k] === '\t')) {
+    removed += line[k] === '\t' ? 4 : 1;
+    k++;
+  }
+  return line.slice(k);
+}
+
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let k = 0; k < trimmed.length; k++) {
+    if (trimmed[k] === '\\' && trimmed[k + 1] === '|') { cell += '\\|'; k++; continue; }
+    if (trimmed[k] === '|') { cells.push(cell.trim()); cell = ''; continue; }
+    cell += trimmed[k];
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function startsMarkdownBlock(line) {
+  return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) || MD_LIST_ITEM.test(line)
+    || /^\s*>/.test(line) || /^\s*\$\$\s*$/.test(line) || /^\s*<details>/i.test(line) || MD_IMAGE.test(line);
+}
+
+function textBlock(type, rich, extra = {}) {
+  return { type, [type]: { rich_text: rich, ...extra } };
+}
+
+// Parse Markdown lines into template blocks (children nested under `[type].children`)
+function markdownToBlocks(lines, ctx = {}) {
+  const blocks = [];
+  const inline = (s) => parseInlineMarkdown(s, ctx);
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const close = new RegExp(`^\\s*${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      const indent = indentOf(line);
+      const code = [];
+      i++;
+      while (i < lines.length && !close.test(lines[i])) code.push(dedent(lines[i++], indent));
+      i++;
+      const content = code.join('\n');
+      const rich = [];
+      for (let k = 0; k < content.length || !rich.length; k += RICH_TEXT_LIMIT) {
+        rich.push({ type: 'text', text: { content: content.slice(k, k + RICH_TEXT_LIMIT) } });
+      }
+      blocks.push(textBlock('code', rich, { language: toCodeLanguage(fence[2]) }));
+      continue;
+    }
+    if (/^\s*\$\$\s*$/.test(line)) {
+      const expr = [];
+      i++;
+      while (i < lines.length && !/^\s*\$\$\s*$/.test(lines[i])) expr.push(lines[i++].trim());
+      i++;
+      blocks.push({ type: 'equation', equation: { expression: expr.join('\n') } });
+      continue;
+    }
+    const heading = line.match(MD_HEADING);
+    if (heading) {
+      const level = Math.min(heading[1].length, 3);
+      blocks.push(textBlock(`heading_${level}`, inline(heading[2])));
+      i++;
+      continue;
+    }
+    if (MD_RULE.test(line)) {
+      blocks.push({ type: 'divider', divider: {} });
+      i++;
+      continue;
+    }
+    if (/^\s*\|/.test(line) && MD_TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+      const rows = [splitTableRow(line)];
+      i += 2;
+      while (i < lines.length && /^\s*\|/.test(lines[i])) rows.push(splitTableRow(lines[i++]));
+      const width = Math.max(...rows.map(r => r.length));
+      blocks.push({
+        type: 'table',
+        table: {
+          table_width: width,
+          has_column_header: true,
+          has_row_header: false,
+          children: rows.map(r => ({ type: 'table_row', table_row: { cells: Array.from({ length: width }, (_, k) => inline(r[k] || '')) } })),
+        },
+      });
+      continue;
+    }
+    if (/^\s*>/.test(line)) {
+      const inner = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) inner.push(lines[i++].replace(/^\s*> ?/, ''));
+      const alert = (inner[0] || '').match(/^\[!(\w+)\]\s*(.*)$/);
+      if (alert) inner.shift();
+      const parsed = markdownToBlocks(inner, ctx);
+      const first = parsed[0]?.type === 'paragraph' ? parsed.shift() : null;
+      const body = { rich_text: first ? first.paragraph.rich_text : [] };
+      if (parsed.length) body.children = parsed;
+      if (alert) {
+        body.color = CALLOUT_ALERTS[alert[1].toUpperCase()] || 'default';
+        // No emoji after the marker: the callout keeps no icon, as it was exported
+        if (alert[2].trim()) body.icon = { type: 'emoji', emoji: alert[2].trim() };
+        blocks.push({ type: 'callout', callout: body });
+      } else {
+        blocks.push({ type: 'quote', quote: body });
+      }
+      continue;
+    }
+    if (/^\s*<details>/i.test(line)) {
+      const inner = [];
+      let depth = 0;
+      for (; i < lines.length; i++) {
+        depth += (lines[i].match(/<details>/gi) || []).length - (lines[i].match(/<\/details>/gi) || []).length;
+        inner.push(lines[i]);
+        if (depth <= 0) { i++; break; }
+      }
+      const html = inner.join('\n').replace(/^\s*<details>/i, '').replace(/<\/details>\s*$/i, '');
+      const summary = html.match(/<summary>([\s\S]*?)<\/summary>/i);
+      const rest = summary ? html.replace(summary[0], '') : html;
+      const children = markdownToBlocks(rest.split('\n'), ctx);
+      blocks.push(textBlock('toggle', inline(summary ? summary[1].trim() : ''), children.length ? { children } : {}));
+      continue;
+    }
+    const image = line.match(MD_IMAGE);
+    if (image) {
+      const url = ctx.resolveLink ? ctx.resolveLink(image[2], { image: true }) : image[2];
+      if (url) {
+        const caption = image[1] ? [{ type: 'text', text: { content: image[1] } }] : [];
+        blocks.push({ type: 'image', image: { type: 'external', external: { url }, caption } });
+      } else {
+        blocks.push(textBlock('paragraph', inline(image[1] || image[2])));
+      }
+      i++;
+      continue;
+    }
+    const item = line.match(MD_LIST_ITEM);
+    if (item) {
+      const indent = indentOf(line);
+      const contentIndent = indent + item[2].length + 1;
+      let text = item[3];
+      i++;
+      // Lazy continuation lines belong to the item's text
+      while (i < lines.length && lines[i].trim() && indentOf(lines[i]) > indent && !startsMarkdownBlock(lines[i])) {
+        text += ' ' + lines[i++].trim();
+      }
+      const sub = [];
+      while (i < lines.length) {
+        if (!lines[i].trim()) {
+          const next = lines.slice(i).find(l => l.trim());
+          if (!next || indentOf(next) <= indent) break;
+          sub.push('');
+          i++;
+          continue;
+        }
+        if (indentOf(lines[i]) <= indent) break;
+        sub.push(dedent(lines[i++], Math.min(contentIndent, indentOf(lines[i - 1]))));
+      }
+      const children = markdownToBlocks(sub, ctx);
+      const extra = children.length ? { children } : {};
+      const todo = item[2].length === 1 && text.match(/^\[([ xX])\]\s+(.*)$/);
+      if (todo) blocks.push(textBlock('to_do', inline(todo[2]), { checked: todo[1] !== ' ', ...extra }));
+      else blocks.push(textBlock(/\d/.test(item[2]) ? 'numbered_list_item' : 'bulleted_list_item', inline(text), extra));
+      continue;
+    }
+    const para = [];
+    while (i < lines.length && lines[i].trim() && (!para.length || !startsMarkdownBlock(lines[i]))) {
+      const current = lines[i++];
+      const hardBreak = / {2,}$/.test(current) || /\\$/.test(current);
+      para.push(current.trim().replace(/\\$/, '') + (hardBreak ? '<br>' : ''));
+      if (/^\s*\|/.test(lines[i] || '') && MD_TABLE_SEPARATOR.test(lines[i + 1] || '')) break;
+    }
+    blocks.push(textBlock('paragraph', inline(para.join(' ').replace(/<br> /g, '<br>'))));
+  }
+  return blocks;
+}
+
+// Pseudo ID for an imported file; links to it are written as notion.so URLs with this ID and
+// rewritten to the created page by the reference machinery (see rewriteReferences)
+function markdownFileId(file) {
+  return crypto.createHash('sha1').update(path.resolve(file)).digest('hex').slice(0, 32);
+}
+
+function humanizeFileName(name) {
+  const base = name.replace(/\.md$/i, '').replace(/[-_]+/g, ' ').trim();
+  return base ? base[0].toUpperCase() + base.slice(1) : 'Untitled';
+}
+
+// Collect the page tree to import: a directory becomes a page whose content is its index.md
+// (or README.md) and whose children are the other Markdown files and subdirectories
+function collectMarkdownTree(source) {
+  const stat = fs.statSync(source);
+  if (stat.isFile()) return { file: source, title: humanizeFileName(path.basename(source)), children: [] };
+  const entries = fs.readdirSync(source, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  const indexEntry = entries.find(e => e.isFile() && /^(index|readme)\.md$/i.test(e.name));
+  const children = [];
+  for (const e of entries) {
+    if (e.name.startsWith('.') || e === indexEntry) continue;
+    const full = path.join(source, e.name);
+    if (e.isDirectory()) {
+      const child = collectMarkdownTree(full);
+      if (child.file || child.children.length) children.push(child);
+    } else if (/\.md$/i.test(e.name)) {
+      children.push({ file: full, title: humanizeFileName(e.name), children: [] });
+    }
+  }
+  return { file: indexEntry ? path.join(source, indexEntry.name) : null, dir: source, title: humanizeFileName(path.basename(source)), children };
+}
+
+function flattenMarkdownTree(node, out = []) {
+  out.push(node);
+  node.children.forEach(c => flattenMarkdownTree(c, out));
+  return out;
+}
+
+// Read one node of the import tree into { id, title, icon, data, children: blocks }.
+// Links to other imported files point at their pseudo IDs; sub-pages become child_page
+// blocks at the place of a paragraph that only links to them, or at the end.
+function readMarkdownNode(node, byFile, ctx) {
+  const id = markdownFileId(node.file || node.dir);
+  const { data, body } = node.file ? splitFrontMatter(fs.readFileSync(node.file, 'utf8')) : { data: {}, body: '' };
+  const baseDir = node.file ? path.dirname(node.file) : node.dir;
+  const resolveLink = (target, opts = {}) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return target;
+    if (target.startsWith('#')) return null;
+    const full = path.resolve(baseDir, decodeURIComponent(target.replace(/[?#].*$/, '')));
+    const linked = byFile.get(full) || byFile.get(path.join(full, 'index.md')) || byFile.get(path.join(full, 'README.md')) || byFile.get(full.replace(/\/$/, ''));
+    if (linked && !opts.image) return `https://www.notion.so/${markdownFileId(linked.file || linked.dir)}`;
+    ctx.warnings.push(`${path.relative(process.cwd(), node.file || node.dir)}: ${opts.image ? 'image' : 'link'} "${target}" is not part of the import and was dropped`);
+    return null;
+  };
+  const blocks = markdownToBlocks(body.split(/\r?\n/), { resolveLink });
+  let title = data.title ? String(data.title) : null;
+  if (!title && blocks[0]?.type === 'heading_1') title = richTextToPlain(blocks.shift().heading_1.rich_text);
+  const childByUrl = new Map(node.children.map(c => [`https://www.notion.so/${markdownFileId(c.file || c.dir)}`, c]));
+  const placed = new Set();
+  const toChildPage = (child) => {
+    placed.add(child);
+    const read = readMarkdownNode(child, byFile, ctx);
+    return { type: 'child_page', id: read.id, child_page: { title: read.title, icon: read.icon, children: read.children } };
+  };
+  const children = blocks.map(b => {
+    const rich = b.type === 'paragraph' ? b.paragraph.rich_text : [];
+    const url = rich.length && rich.every(t => t.text?.link?.url === rich[0].text?.link?.url) ? rich[0].text?.link?.url : null;
+    const child = url && childByUrl.get(url);
+    return child && !placed.has(child) ? toChildPage(child) : b;
+  });
+  for (const child of node.children) if (!placed.has(child)) children.push(toChildPage(child));
+  return {
+    id,
+    title: title || node.title,
+    icon: data.icon ? { type: 'emoji', emoji: String(data.icon) } : null,
+    data,
+    children,
+  };
+}
+
+// Import a Markdown file or directory under a page, or as rows of a database (front matter
+// keys map to properties). Returns the created top-level page IDs and warnings.
+async function importMarkdown(source, targetId, parentType = 'page') {
+  ensureClient();
+  if (!yaml) throw new Error('YAML support not installed. Please ensure js-yaml is in dependencies.');
+  const full = path.resolve(process.cwd(), source);
+  if (!fs.existsSync(full)) throw new Error(`Markdown source not found: ${source}`);
+  const root = collectMarkdownTree(full);
+  // A directory with an index.md is one page; without it, its entries land directly in the target
+  const top = root.dir && !root.file ? root.children : [root];
+  const byFile = new Map();
+  for (const node of top.flatMap(n => flattenMarkdownTree(n))) byFile.set(node.file || node.dir, node);
+  const ctx = { warnings: [] };
+  const refs = createReferenceContext([...byFile.values()].map(n => markdownFileId(n.file || n.dir)));
+  const created = [];
+  if (parentType === 'database') {
+    const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: targetId }));
+    const titleName = Object.entries(db.properties).find(([, p]) => p.type === 'title')?.[0];
+    for (const node of top) {
+      const page = readMarkdownNode(node, byFile, ctx);
+      const properties = {};
+      for (const [key, value] of Object.entries(page.data)) {
+        if (key === 'icon' || (key === 'title' && !db.properties.title)) continue;
+        const name = db.properties[key] ? key : Object.keys(db.properties).find(n => n.toLowerCase() === key.toLowerCase());
+        const converted = name ? plainToPropertyValue(db.properties[name], value) : undefined;
+        if (converted) properties[name] = converted;
+        else ctx.warnings.push(`${path.relative(process.cwd(), node.file || node.dir)}: front matter "${key}" does not match a writable property`);
+      }
+      if (!properties[titleName]) properties[titleName] = { title: [{ type: 'text', text: { content: page.title } }] };
+      const row = await withRetry(() => ensureClient().pages.create({ parent: { database_id: targetId }, properties, icon: page.icon || undefined }));
+      registerClone(refs, page.id, row.id);
+      await appendBlockTree(row.id, page.children, { refs });
+      created.push(row.id);
+    }
+  } else {
+    const pages = top.map(node => {
+      const page = readMarkdownNode(node, byFile, ctx);
+      return { type: 'child_page', id: page.id, child_page: { title: page.title, icon: page.icon, children: page.children } };
+    });
+    await appendBlockTree(targetId, pages, { refs, pageId: targetId });
+    created.push(...pages.map(p => refs.idMap.get(normalizeId(p.id))));
+  }
+  await applyReferencePatches(refs);
+  const unpatched = refs.unpatched.map(u => `${u.id}: links to imported pages could not be updated (${u.reason})`);
+  return { created, warnings: [...ctx.warnings, ...unpatched] };
+}
+
+// Clone a master page with its whole subtree (nested blocks, sub-pages and inline databases,
+// optionally with their rows) or a master database with its schema and optionally its rows.
+async function cloneFromMaster(masterId, targetParentId, mode, opts = {}) {
+  ensureClient();
+  const master = await exportMaster(masterId, opts);
+  const refs = opts.refs || createReferenceContext();
+  if (master.kind === 'page') {
+    const titleText = getPageTitleText(master.page);
+    const root = { icon: master.page.icon, cover: master.page.cover, children: sanitizeBlocks(master.blocks || []) };
+    const { children } = root;
+    collectTemplateIds({ id: master.page.id, children }).forEach(id => refs.sourceIds.add(normalizeId(id)));
+    refs.crossWorkspace = isCrossWorkspace();
+    await rehostTemplateFiles(root, refs);
+
+    let parent;
+    let properties;
+    if (mode === 'into_database') {
+      const titleName = await getDatabaseTitlePropName(targetParentId);
+      parent = { database_id: targetParentId };
+      properties = { [titleName]: { title: [{ type: 'text', text: { content: titleText } }] } };
+    } else {
+      parent = { page_id: targetParentId };
+      properties = { title: { title: [{ type: 'text', text: { content: titleText } }] } };
+    }
+    const newPage = await withRetry(() => ensureClient().pages.create({
+      parent,
+      properties,
+      icon: root.icon || undefined,
+      cover: root.cover || undefined,
+    }));
+    registerClone(refs, master.page.id, newPage.id);
+    await appendBlockTree(newPage.id, children, { refs });
+    await applyReferencePatches(refs);
+    return newPage;
+  }
+  if (master.kind === 'database') {
+    // Validate target is a page for database cloning
+    try {
+      await withRetry(() => ensureClient().pages.retrieve({ page_id: targetParentId }));
+    } catch (e) {
+      throw new Error('When cloning a database, targetId must be a page_id (a page where the new database will be created).');
+    }
+    const tpl = { id: master.database.id, ...databaseToTemplate(master.database) };
+    const rows = opts.withRows ? await exportDatabaseRows(master.database.id) : [];
+    rows.forEach(r => refs.sourceIds.add(normalizeId(r.id)));
+    refs.crossWorkspace = isCrossWorkspace();
+    await rehostTemplateFiles({ tpl, rows }, refs);
+    const createdDb = await createDatabaseFromTemplate({ page_id: targetParentId }, tpl, refs, { title: 'Cloned Database' });
+    if (rows.length) {
+      await createDatabaseRows(createdDb.id, rows, createdDb.properties, refs);
+    }
+    await applyReferencePatches(refs);
+    return createdDb;
+  }
+}
+
+// Read the masters of a clone set; every one must be a database
+async function exportCloneSet(masterIds, opts = {}) {
+  const masters = [];
+  for (const id of masterIds) {
+    const master = await exportMaster(id);
+    if (master.kind !== 'database') throw new Error(`${id} is a page; clone-set copies databases (use from-master for pages)`);
+    const rows = opts.withRows ? await exportDatabaseRows(master.database.id) : [];
+    masters.push({ database: master.database, rows });
+  }
+  return masters;
+}
+
+// Clone several databases under one page as a set: relations between them point at the
+// copies, and with rows, relation values between copied rows point at the copied rows.
+async function cloneSet(masterIds, targetPageId, opts = {}) {
+  ensureClient();
+  try {
+    await withRetry(() => ensureClient().pages.retrieve({ page_id: targetPageId }));
+  } catch (e) {
+    throw new Error('targetPageId must be a page_id (the page where the databases will be created).');
+  }
+  const masters = await exportCloneSet(masterIds, opts);
+  const refs = opts.refs || createReferenceContext();
+  for (const { database, rows } of masters) {
+    refs.sourceIds.add(normalizeId(database.id));
+    rows.forEach(r => refs.sourceIds.add(normalizeId(r.id)));
+  }
+  refs.crossWorkspace = isCrossWorkspace();
+  const templates = masters.map(({ database }) => ({ id: database.id, ...databaseToTemplate(database) }));
+  await rehostTemplateFiles({ templates, rows: masters.map(m => m.rows) }, refs);
+  const created = [];
+  for (const tpl of templates) {
+    created.push(await createDatabaseFromTemplate({ page_id: targetPageId }, tpl, refs, { title: 'Cloned Database' }));
+  }
+  let rowCount = 0;
+  for (let i = 0; i < masters.length; i++) {
+    if (!masters[i].rows.length) continue;
+    await createDatabaseRows(created[i].id, masters[i].rows, created[i].properties, refs);
+    rowCount += masters[i].rows.length;
+  }
+  await applyReferencePatches(refs);
+  return { databases: created, rows: rowCount };
+}
+
+// --- Dry-run plans ----------------------------------------------------------
+// A plan lists the steps a command would take, computed without writing to Notion.
+
+// Blocks appended by a tree, excluding sub-pages and inline databases (they get their own steps)
+function countBlocks(blocks) {
+  return (blocks || []).reduce((n, b) => {
+    if (b.type === 'child_page' || b.type === 'child_database') return n;
+    return n + 1 + countBlocks(childrenOf(b));
+  }, 0);
+}
+
+function rowTitle(row) {
+  const titleProp = Object.values(row.properties || {}).find(p => Array.isArray(p?.title));
+  return titleProp ? titleProp.title.map(t => t.plain_text || t.text?.content || '').join('') : 'Untitled';
+}
+
+function planRows(rows, database, steps) {
+  if (!rows || !rows.length) return;
+  steps.push({ action: 'create_rows', database, count: rows.length, titles: rows.map(rowTitle) });
+}
+
+// Sub-pages and inline databases anywhere in a block tree
+function planNestedObjects(blocks, parent, steps) {
+  for (const b of blocks || []) {
+    if (b.type === 'child_page') {
+      const title = b.child_page?.title || 'Untitled';
+      steps.push({ action: 'create_page', title, parent, blocks: countBlocks(b.child_page?.children) });
+      planNestedObjects(b.child_page?.children, `page "${title}"`, steps);
+    } else if (b.type === 'child_database') {
+      const title = b.child_database?.title || 'Untitled DB';
+      steps.push({ action: 'create_database', title, parent, inline: true, properties: b.child_database?.properties || {} });
+      planRows(b.child_database?.rows, title, steps);
+    } else {
+      planNestedObjects(childrenOf(b), parent, steps);
+    }
+  }
+}
+
+function planTemplate(tpl, target, parentType) {
+  const steps = [];
+  const parent = `${parentType === 'database' ? 'database' : 'page'} ${target}`;
+  if (tpl.kind === 'page') {
+    const title = tpl.title || 'Untitled';
+    steps.push({ action: 'create_page', title, parent, blocks: countBlocks(tpl.children) });
+    planNestedObjects(tpl.children, `page "${title}"`, steps);
+  } else if (tpl.kind === 'database') {
+    if (parentType !== 'page') throw new Error('Database templates must be created under a page (use --parentType page)');
+    const title = tpl.title || 'Untitled DB';
+    steps.push({ action: 'create_database', title, parent, properties: tpl.properties || {} });
+    planRows(tpl.rows, title, steps);
+  } else {
+    throw new Error('Unknown template kind');
+  }
+  return steps;
+}
+
+function planJsonTemplate(templatePath, target, parentType, opts = {}) {
+  const tpl = loadTemplateWithVariables(JSON.parse(fs.readFileSync(templatePath, 'utf8')), opts.variables);
+  return { command: 'from-json', target, steps: planTemplate(tpl, target, parentType) };
+}
+
+// Reads the master (read-only API calls) and plans the clone
+async function planFromMaster(masterId, target, mode, opts = {}) {
+  const master = await exportMaster(masterId, opts);
+  let tpl;
+  if (master.kind === 'page') {
+    tpl = { kind: 'page', title: getPageTitleText(master.page), children: sanitizeBlocks(master.blocks || []) };
+  } else {
+    tpl = { kind: 'database', ...databaseToTemplate(master.database) };
+    if (opts.withRows) tpl.rows = await exportDatabaseRows(master.database.id);
+  }
+  const parentType = master.kind === 'page' && mode === 'into_database' ? 'database' : 'page';
+  return { command: 'from-master', target, steps: planTemplate(tpl, target, parentType) };
+}
+
+async function planCloneSet(masterIds, target, opts = {}) {
+  const masters = await exportCloneSet(masterIds, opts);
+  const steps = masters.flatMap(({ database, rows }) =>
+    planTemplate({ kind: 'database', ...databaseToTemplate(database), rows }, target, 'page'));
+  return { command: 'clone-set', target, steps };
+}
+
+async function planBlueprint(blueprintPath, targetPageId, opts = {}) {
+  const doc = loadBlueprint(blueprintPath, opts);
+  const baseUrl = opts.baseUrl || doc.backend?.baseUrl;
+  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
+  const pages = Array.isArray(doc.resources?.pages) ? doc.resources.pages : [];
+  const parent = `page ${targetPageId}`;
+  // Without a client only a local state file can reveal a previous deploy
+  const previous = await readDeployState(targetPageId, doc, opts.statePath, hasClient());
+  const installed = previous?.databases || {};
+  // New databases do not exist yet; relations show the alias they will point at
+  const placeholderIds = Object.fromEntries(databases.map(d => [d.alias, installed[d.alias] || `<${d.alias}>`]));
+  const steps = [];
+
+  for (const db of databases) {
+    if (installed[db.alias]) continue;
+    steps.push({ action: 'create_database', alias: db.alias, title: db.title, parent, properties: buildDbProperties(splitRelationProperties(db).base) });
+  }
+  for (const db of databases) {
+    if (installed[db.alias]) continue;
+    const { relations } = splitRelationProperties(db);
+    if (Object.keys(relations).length) {
+      steps.push({ action: 'add_relations', alias: db.alias, properties: buildDbProperties(relations, placeholderIds) });
+    }
+  }
+  for (const { alias, name, def } of orderComputedProperties(databases.filter(db => !installed[db.alias]))) {
+    steps.push({ action: 'add_computed', alias, properties: buildDbProperties({ [name]: def }) });
+  }
+  for (const db of databases) {
+    if (!installed[db.alias]) continue;
+    if (!hasClient()) {
+      steps.push({ action: 'update_database', alias: db.alias, properties: {}, skipped: true, reason: 'no token to compare the live schema' });
+      continue;
+    }
+    const live = await withRetry(() => ensureClient().databases.retrieve({ database_id: installed[db.alias] }));
+    const { add, options } = diffDatabaseSchema(buildDbProperties(db.properties, placeholderIds), live.properties || {});
+    if (!Object.keys(add).length && !Object.keys(options).length) continue;
+    steps.push({
+      action: 'update_database',
+      alias: db.alias,
+      properties: add,
+      options: Object.fromEntries(Object.entries(options).map(([name, o]) => [name, o.missing.map(m => m.name)])),
+    });
+  }
+  for (const pg of pages) {
+    if (previous?.pages?.[pageStateKey(pg)]) continue;
+    steps.push({ action: 'create_page', alias: pg.alias, title: pg.title || 'Untitled', parent, blocks: countBlocks(pg.children) });
+  }
+  const seedCounts = {};
+  for (const [alias, rows] of Object.entries(doc.install?.seeds || {})) {
+    const db = databases.find(d => d.alias === alias);
+    if (!db || !Array.isArray(rows)) continue;
+    const titleName = Object.entries(db.properties || {}).find(([, v]) => v?.type === 'title')?.[0] || 'Name';
+    const seeded = previous?.seeds?.[alias] || {};
+    const fresh = rows.filter(r => !seeded[seedKey(r, titleName)]);
+    seedCounts[alias] = rows.length;
+    if (!fresh.length) continue;
+    steps.push({ action: 'create_rows', database: alias, count: fresh.length, titles: fresh.map(r => String(r[titleName] || r.Name || 'Untitled')) });
+  }
+  const { tasksAlias, calendarAlias } = resolveActionLinkAliases(doc);
+  if (!tasksAlias) {
+    steps.push({ action: 'skip_action_links', reason: 'no tasks database' });
+  } else if (!baseUrl || !opts.appSecret) {
+    steps.push({ action: 'skip_action_links', reason: !baseUrl ? 'no baseUrl' : 'no appSecret' });
+  } else {
+    steps.push({ action: 'set_action_links', database: tasksAlias, calendar: calendarAlias || null, rows: seedCounts[tasksAlias] || 0, baseUrl });
+  }
+  const info = buildInstallInfo(doc, placeholderIds, baseUrl);
+  if (previous?.info) {
+    steps.push({ action: 'update_page', title: info.title, id: previous.info, blocks: info.children.length + 1, summary: info.summary.trim().split('\n') });
+  } else {
+    steps.push({ action: 'create_page', title: info.title, parent, blocks: info.children.length + 1, summary: info.summary.trim().split('\n') });
+  }
+  const plan = { command: 'deploy', target: targetPageId, steps };
+  if (previous) plan.upgrade = { from: previous.version || null, to: doc.metadata?.version || null };
+  return plan;
+}
+
+function describePropertySchema(def) {
+  const type = def.type || Object.keys(def).find(k => k !== 'name' && k !== 'description');
+  const body = def[type] || {};
+  if (Array.isArray(body.options)) return `${type} [${body.options.map(o => o.name).join(', ')}]`;
+  if (type === 'relation') return `relation -> ${body.database_id || body.database || '?'}${body.type === 'dual_property' ? ' (two-way)' : ''}`;
+  if (type === 'rollup') return `rollup ${body.function}(${body.relation_property_name}.${body.rollup_property_name})`;
+  if (type === 'formula') return `formula ${body.expression}`;
+  if (type === 'number' && body.format && body.format !== 'number') return `number (${body.format})`;
+  if (type === 'unique_id' && body.prefix) return `unique_id (prefix ${body.prefix})`;
+  return type;
+}
+
+function formatPlan(plan) {
+  const lines = [];
+  const props = (properties) => {
+    for (const [name, def] of Object.entries(properties || {})) lines.push(`      ${name}: ${describePropertySchema(def)}`);
+  };
+  const label = (s) => (s.alias ? ` (${s.alias})` : '');
+  const skipped = (s) => (s.skipped ? ` [skipped: ${s.reason}]` : '');
+  for (const step of plan.steps) {
+    switch (step.action) {
+      case 'create_database':
+        lines.push(`  + ${step.inline ? 'inline ' : ''}database "${step.title}"${label(step)} in ${step.parent}`);
+        props(step.properties);
+        break;
+      case 'add_relations':
+        lines.push(`  ~ database ${step.alias}: add relation properties`);
+        props(step.properties);
+        break;
+      case 'add_computed':
+        lines.push(`  ~ database ${step.alias}: add computed property`);
+        props(step.properties);
+        break;
+      case 'create_page':
+        lines.push(`  + page "${step.title}"${label(step)} in ${step.parent} (${step.blocks} block(s))`);
+        for (const l of step.summary || []) lines.push(`      ${l}`);
+        break;
+      case 'update_database':
+        lines.push(`  ~ database ${step.alias}: upgrade schema${skipped(step)}`);
+        props(step.properties);
+        for (const [name, added] of Object.entries(step.options || {})) lines.push(`      ${name}: add option(s) ${added.join(', ')}`);
+        break;
+      case 'update_page':
+        lines.push(`  ~ page "${step.title}" ${step.id}: replace content (${step.blocks} block(s))`);
+        for (const l of step.summary || []) lines.push(`      ${l}`);
+        break;
+      case 'create_rows':
+        lines.push(`  + ${step.count} row(s) in ${step.database}: ${step.titles.join(', ')}`);
+        break;
+      case 'set_action_links':
+        lines.push(`  ~ Start/Pause/Stop URLs on ${step.rows} row(s) in ${step.database} (calendar: ${step.calendar || 'none'}, base URL: ${step.baseUrl})`);
+        break;
+      case 'export':
+        lines.push(`  > export ${step.kind} ${step.alias} ${step.id} to ${step.file}`);
+        break;
+      case 'archive_rows':
+        lines.push(`  - archive ${step.ids.length} seed row(s) in ${step.database}: ${step.titles.join(', ')}`);
+        break;
+      case 'archive':
+        lines.push(`  - archive ${step.kind} ${step.alias || `"${step.title}"`} ${step.id}`);
+        break;
+      case 'skip_action_links':
+        lines.push(`  - action links not attached: ${step.reason}`);
+        break;
+      case 'rename_property':
+        lines.push(`  ~ rename property "${step.from}" -> "${step.to}"`);
+        break;
+      case 'delete_property':
+        lines.push(`  - delete property "${step.name}" (${step.type})${skipped(step)}`);
+        break;
+      case 'change_property_type':
+        lines.push(`  ~ property "${step.name}": change type ${step.from} -> ${step.to}${skipped(step)}`);
+        break;
+      case 'add_options':
+        lines.push(`  ~ property "${step.name}": add option(s) ${step.missing.map(o => o.name).join(', ')}`);
+        break;
+      case 'add_properties':
+        lines.push(`  + ${Object.keys(step.properties).length} propert${Object.keys(step.properties).length === 1 ? 'y' : 'ies'}`);
+        props(step.properties);
+        break;
+      case 'update_properties':
+        lines.push('  ~ update property settings');
+        for (const [name, def] of Object.entries(step.properties)) lines.push(`      ${name}: ${describePropertySchema(step.from[name])} -> ${describePropertySchema(def)}`);
+        break;
+      default:
+        lines.push(`  ? ${JSON.stringify(step)}`);
+    }
+  }
+  return lines;
+}
+
+function assertIdLike(id, label) {
+  if (!id || typeof id !== 'string' || id.length < 32) {
+    throw new Error(`${label} looks invalid. Provide a 32+ char Notion ID (hyphens optional).`);
+  }
+}
+
+// Collect template variable values from --vars <file.json> and repeatable --var name=value flags
+function parseVariableArgs(args) {
+  const values = {};
+  if (args.vars) {
+    const varsPath = path.resolve(process.cwd(), args.vars);
+    if (!fs.existsSync(varsPath)) throw new Error(`Variables file not found: ${args.vars}`);
+    Object.assign(values, JSON.parse(fs.readFileSync(varsPath, 'utf8')));
+  }
+  for (const pair of [].concat(args.var || [])) {
+    const idx = String(pair).indexOf('=');
+    if (idx <= 0) throw new Error(`Invalid --var "${pair}". Use --var name=value.`);
+    values[pair.slice(0, idx)] = pair.slice(idx + 1);
+  }
+  return values;
+}
+
+function withVariableOptions(y) {
+  return y
+    .option('var', { type: 'string', array: true, describe: 'Template variable as name=value (repeatable)' })
+    .option('vars', { type: 'string', describe: 'Path to a JSON file with template variable values' });
+}
+
+function withPlanOptions(y) {
+  return y
+    .option('dry-run', { type: 'boolean', default: false, describe: 'Print what would be created instead of creating it' })
+    .option('json', { type: 'boolean', default: false, describe: 'With --dry-run: print the plan as JSON' });
+}
+
+function printPlan(plan, asJson) {
+  if (asJson) {
+    process.stdout.write(JSON.stringify(plan, null, 2) + '\n');
+    return;
+  }
+  const upgrade = plan.upgrade ? ` upgrading ${plan.upgrade.from || '?'} -> ${plan.upgrade.to || '?'}` : '';
+  console.log(kleur.bold(`Plan for ${plan.command} into ${plan.target}${upgrade} (${plan.steps.length} step(s)):`));
+  for (const line of formatPlan(plan)) {
+    console.log(/^\s+\+/.test(line) ? kleur.green(line) : /^\s+~/.test(line) ? kleur.yellow(line) : line);
+  }
+  console.log(kleur.gray('Dry run: nothing was changed.'));
+}
+
+function withDeployOptions(y) {
+  return withJournalOptions(withPlanOptions(withVariableOptions(y)))
+    .positional('blueprintPath', { describe: 'Path to YAML blueprint file', type: 'string' })
+    .positional('targetId', { describe: 'Target page ID where resources will be created', type: 'string' })
+    .option('baseUrl', { type: 'string', describe: 'Override backend base URL' })
+    .option('appSecret', { type: 'string', describe: 'HMAC secret for signing action URLs (optional)' })
+    .option('state', { type: 'string', describe: 'Local deploy state file to read and update (the install info page is used otherwise)' });
+}
+
+async function runDeployCommand(args, opts = {}) {
+  const spinner = ora(args.dryRun ? 'Planning deployment...' : 'Deploying Notion App...').start();
+  try {
+    assertIdLike(args.targetId, 'targetId');
+    const deployOpts = { baseUrl: args.baseUrl, appSecret: args.appSecret, variables: parseVariableArgs(args), statePath: args.state, ...opts };
+    const app = cliApp(args);
+    if (args.dryRun) {
+      const plan = await app.planBlueprint(args.blueprintPath, args.targetId, deployOpts);
+      if (opts.requireState && !plan.upgrade) throw new Error(`No previous deployment found in ${args.targetId}`);
+      spinner.stop();
+      printPlan(plan, args.json);
+      return;
+    }
+    const command = opts.requireState ? 'upgrade' : 'deploy';
+    const { result: res, replayed } = await app.runJournaled(args, command, [args.blueprintPath, args.targetId], () =>
+      app.deployBlueprint(args.blueprintPath, args.targetId, deployOpts));
+    if (res.upgraded) {
+      spinner.succeed(kleur.green(`Upgrade complete (${res.state.previousVersion || '?'} -> ${res.state.version || '?'}). Info page: ${res.info}`));
+      for (const [alias, change] of Object.entries(res.upgrades)) {
+        if (change.added.length) console.log(kleur.gray(`  ${alias}: added ${change.added.join(', ')}`));
+        if (change.options.length) console.log(kleur.gray(`  ${alias}: new options in ${change.options.join(', ')}`));
+      }
+    } else {
+      spinner.succeed(kleur.green(`Deployment complete. Info page: ${res.info}`));
+    }
+    printReplayed(replayed);
+    for (const w of res.warnings) console.log(kleur.yellow(`Warning: ${w}`));
+    if (!args.appSecret) {
+      console.log(kleur.yellow('Note: appSecret not provided; URL buttons were not signed/attached. Re-run a maintenance step once backend is configured.'));
+    }
+  } catch (err) {
+    spinner.fail(kleur.red(err.message));
+    process.exitCode = 1;
+  }
+}
+
+function printTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i] ?? '').length)));
+  const line = (cells) => cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  console.log(kleur.bold(line(headers)));
+  for (const r of rows) console.log(line(r));
+}
+
+// from-json --batch: instantiate per CSV row, print a result table and write failed rows to
+// <batch>.failed.csv so a re-run with that file only retries them
+async function runBatchCommand(args) {
+  const spinner = ora('Creating from JSON template (batch)...').start();
+  try {
+    if (args.targetId) assertIdLike(args.targetId, 'targetId');
+    const fullPath = path.resolve(process.cwd(), args.templatePath);
+    if (!fs.existsSync(fullPath)) throw new Error('Template file not found');
+    const csvPath = path.resolve(process.cwd(), args.batch);
+    if (!fs.existsSync(csvPath)) throw new Error('Batch CSV file not found');
+    const rows = parseCsv(fs.readFileSync(csvPath, 'utf8'));
+    if (!rows.length) throw new Error('Batch CSV has no data rows');
+    if (!args.parentType && !('parentType' in rows[0])) throw new Error('Missing --parentType: pass it or add a parentType column to the CSV');
+    const results = await cliApp(args).instantiateBatch(fullPath, rows, {
+      targetId: args.targetId,
+      parentType: args.parentType,
+      variables: parseVariableArgs(args),
+      concurrency: args.concurrency,
+      onProgress: (done, total) => { spinner.text = `Creating from JSON template (batch)... ${done}/${total}`; },
+    });
+    const failed = results.filter(r => !r.ok);
+    spinner.stop();
+    printTable(['#', 'Status', 'Result'], results.map(r => [
+      r.index + 1,
+      r.ok ? kleur.green('ok') : kleur.red('failed'),
+      r.ok ? (r.url || r.id) : r.error,
+    ]));
+    if (failed.length) {
+      const failedPath = csvPath.replace(/(\.failed)?\.csv$/i, '') + '.failed.csv';
+      const headers = Object.keys(rows[0]);
+      fs.writeFileSync(failedPath, toCsv(headers, failed.map(r => r.row)), 'utf8');
+      console.log(kleur.red(`${failed.length} of ${results.length} row(s) failed. Re-run only those with: --batch ${path.relative(process.cwd(), failedPath)}`));
+      process.exitCode = 1;
+    } else {
+      console.log(kleur.green(`Created ${results.length} object(s).`));
+    }
+  } catch (err) {
+    spinner.fail(kleur.red(err.message));
+    process.exitCode = 1;
+  }
+}
+
+// import-csv: print a summary and write rows that failed (with the reason) to a rejects CSV
+// that can be fixed and imported again
+async function runImportCsvCommand(args) {
+  const spinner = ora('Importing CSV...').start();
+  try {
+    assertIdLike(args.databaseId, 'databaseId');
+    const csvPath = path.resolve(process.cwd(), args.file);
+    if (!fs.existsSync(csvPath)) throw new Error('CSV file not found');
+    const rows = parseCsv(fs.readFileSync(csvPath, 'utf8'));
+    if (!rows.length) throw new Error('CSV has no data rows');
+    const mapping = args.map ? JSON.parse(fs.readFileSync(path.resolve(process.cwd(), args.map), 'utf8')) : {};
+    const { results, skipped } = await cliApp(args).importCsv(rows, args.databaseId, {
+      mapping,
+      key: args.key,
+      concurrency: args.concurrency,
+      onProgress: (done, total) => { spinner.text = `Importing CSV... ${done}/${total}`; },
+    });
+    const failed = results.filter(r => !r.ok);
+    const count = (action) => results.filter(r => r.action === action).length;
+    spinner.stop();
+    skipped.forEach(column => console.log(kleur.yellow(`Skipped column: ${column}`)));
+    console.log(kleur.green(`Imported ${results.length - failed.length} of ${results.length} row(s): ${count('created')} created, ${count('updated')} updated.`));
+    if (failed.length) {
+      const rejectsPath = path.resolve(process.cwd(), args.rejects || csvPath.replace(/(\.rejects)?\.csv$/i, '') + '.rejects.csv');
+      const headers = [...Object.keys(rows[0]).filter(h => h !== CSV_ERROR_COLUMN), CSV_ERROR_COLUMN];
+      fs.writeFileSync(rejectsPath, toCsv(headers, failed.map(r => ({ ...r.row, [CSV_ERROR_COLUMN]: `row ${r.index + 1}: ${r.error}` }))), 'utf8');
+      console.log(kleur.red(`${failed.length} row(s) rejected; see ${path.relative(process.cwd(), rejectsPath)}`));
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    spinner.fail(kleur.red(err.message));
+    process.exitCode = 1;
+  }
+}
+
+// The app a CLI command runs with: clients for the tokens (see workspaceTokens for commands that
+// take --source-token/--target-token) or for the --record/--replay fixture, --rate, and
+// retries/throttling shown on the spinner. Without a token the app has no client: plans that
+// need no API call (e.g. deploy --dry-run with --state) still work, the first call fails.
+function cliApp(args, { sourceToken, targetToken } = {}) {
+  let client = null;
+  let source = null;
+  if (args.replay) {
+    const fixture = readFixture(path.resolve(process.cwd(), args.replay));
+    client = createReplayClient(fixture);
+    source = fixture.some(e => e.client === 'source') ? createReplayClient(fixture, { name: 'source' }) : client;
+  } else {
+    const token = targetToken || process.env.NOTION_TOKEN || process.env.NOTION_API_KEY;
+    if (token) client = new Client({ auth: token });
+    source = sourceToken && sourceToken !== token ? new Client({ auth: sourceToken }) : client;
+  }
+  if (args.record && client) {
+    const file = path.resolve(process.cwd(), args.record);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '');
+    const recorded = createRecordingClient(client, file);
+    source = source === client ? recorded : createRecordingClient(source, file, { name: 'source' });
+    client = recorded;
+  }
+  const app = createNotionApp({
+    client,
+    sourceClient: source,
+    missingClient: '\nMissing Notion token. Please create an internal integration at https://www.notion.so/my-integrations and set NOTION_TOKEN in a .env file.',
+    // Replayed responses need no throttling
+    rate: args.replay ? 1000 : args.rate,
+    onEvent: (event) => {
+      if (event.type === 'retry' || event.type === 'throttle') reportRateStats(app.stats);
+    },
+  });
+  return app;
+}
+
+function warnUnresolvedReferences(refs) {
+  const lines = describeUnresolvedReferences(refs);
+  if (!lines.length) return;
+  console.log(kleur.yellow(`Warning: ${lines.length} reference(s) were not rewritten to the copy:`));
+  for (const line of lines) console.log(kleur.yellow(`  - ${line}`));
+}
+
+async function main() {
+  yargs(hideBin(process.argv))
+    .scriptName('notion-template')
+    .usage('$0 <cmd> [args]')
+    .command('from-master <masterId> <targetId>', 'Clone an existing master page/database into a target location', (y) => {
+      return withWorkspaceOptions(withJournalOptions(withPlanOptions(y)))
+        .positional('masterId', { describe: 'ID of existing Notion page or database to use as master', type: 'string' })
+        .positional('targetId', { describe: 'Target page ID (for creating sub-page or new database) or database ID (to create page entry)', type: 'string' })
+        .option('mode', { choices: ['under_page', 'into_database'], default: 'under_page', describe: 'under_page: create page/db under target page; into_database: create page inside target database' })
+        .option('with-rows', { type: 'boolean', default: false, describe: 'Also copy rows of cloned databases (the master database or inline databases in a page tree)' });
+    }, async (args) => {
+      const spinner = ora(args.dryRun ? 'Planning clone...' : 'Cloning from master...').start();
+      try {
         assertIdLike(args.masterId, 'masterId');
         assertIdLike(args.targetId, 'targetId');
-        const res = await cloneFromMaster(args.masterId, args.targetId, args.mode);
-        spinner.succeed(kleur.green(`Created: ${res.url}`));
+        const app = cliApp(args, workspaceTokens(args));
+        if (args.dryRun) {
+          const plan = await app.planFromMaster(args.masterId, args.targetId, args.mode, { withRows: args.withRows });
+          spinner.stop();
+          printPlan(plan, args.json);
+          return;
+        }
+        const refs = createReferenceContext();
+        const { result: res, replayed } = await app.runJournaled(args, 'from-master', [args.masterId, args.targetId], () =>
+          app.cloneFromMaster(args.masterId, args.targetId, args.mode, { withRows: args.withRows, refs }));
+        spinner.succeed(kleur.green(`Created: ${res.url}`));
+        printReplayed(replayed);
+        warnUnresolvedReferences(refs);
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('clone-set <ids..>', 'Clone related databases together into a page, keeping relations between the copies (last ID is the target page)', (y) => {
+      return withWorkspaceOptions(withJournalOptions(withPlanOptions(y)))
+        .positional('ids', { describe: 'IDs of the master databases followed by the target page ID', type: 'string' })
+        .option('with-rows', { type: 'boolean', default: false, describe: 'Also copy rows, with relation values pointing at the copied rows' });
+    }, async (args) => {
+      const spinner = ora(args.dryRun ? 'Planning clone...' : 'Cloning databases...').start();
+      try {
+        const ids = args.ids.map(String);
+        if (ids.length < 2) throw new Error('Usage: clone-set <databaseId...> <targetPageId>');
+        const targetId = ids.pop();
+        ids.forEach(id => assertIdLike(id, 'databaseId'));
+        assertIdLike(targetId, 'targetPageId');
+        const app = cliApp(args, workspaceTokens(args));
+        if (args.dryRun) {
+          const plan = await app.planCloneSet(ids, targetId, { withRows: args.withRows });
+          spinner.stop();
+          printPlan(plan, args.json);
+          return;
+        }
+        const refs = createReferenceContext();
+        const { result: res, replayed } = await app.runJournaled(args, 'clone-set', [...ids, targetId], () =>
+          app.cloneSet(ids, targetId, { withRows: args.withRows, refs }));
+        spinner.succeed(kleur.green(`Cloned ${res.databases.length} database(s)${args.withRows ? ` with ${res.rows} row(s)` : ''}`));
+        printReplayed(replayed);
+        res.databases.forEach(db => console.log(`  - ${getDatabaseTitleText(db)}: ${db.url}`));
+        warnUnresolvedReferences(refs);
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('from-json <templatePath> [targetId]', 'Instantiate from a JSON template file', (y) => {
+      return withPlanOptions(withVariableOptions(y))
+        .positional('templatePath', { describe: 'Path to JSON template', type: 'string' })
+        .positional('targetId', { describe: 'Target page ID (for databases or sub-pages) or database ID (for page entries); optional with --batch when rows carry a targetId column', type: 'string' })
+        .option('parentType', { choices: ['page', 'database'], describe: 'Where to place the created object; optional with --batch when rows carry a parentType column' })
+        .option('batch', { type: 'string', describe: 'CSV file: create one object per row, using its columns as template variables' })
+        .option('concurrency', { type: 'number', default: 3, describe: 'Rows instantiated in parallel with --batch' });
+    }, async (args) => {
+      if (args.batch && !args.dryRun) return runBatchCommand(args);
+      const spinner = ora(args.dryRun ? 'Planning...' : 'Creating from JSON template...').start();
+      try {
+        if (args.batch) throw new Error('--dry-run cannot be combined with --batch; plan a single row with --var instead');
+        assertIdLike(args.targetId, 'targetId');
+        if (!args.parentType) throw new Error('Missing --parentType (page or database)');
+        const fullPath = path.resolve(process.cwd(), args.templatePath);
+        if (!fs.existsSync(fullPath)) throw new Error('Template file not found');
+        if (args.dryRun) {
+          const plan = planJsonTemplate(fullPath, args.targetId, args.parentType, { variables: parseVariableArgs(args) });
+          spinner.stop();
+          printPlan(plan, args.json);
+          return;
+        }
+        const refs = createReferenceContext();
+        const res = await cliApp(args).createFromJsonTemplate(fullPath, args.targetId, args.parentType, { refs, variables: parseVariableArgs(args) });
+        spinner.succeed(kleur.green(`Created: ${res.url || res.id}`));
+        warnUnresolvedReferences(refs);
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    // New: load CSV rows into an existing database
+    .command('import-csv <file> <databaseId>', 'Load CSV rows into an existing database, converting values by property type', (y) => {
+      return y
+        .positional('file', { describe: 'CSV file with a header row', type: 'string' })
+        .positional('databaseId', { describe: 'Target database ID', type: 'string' })
+        .option('map', { type: 'string', describe: 'JSON file mapping CSV columns to property names ({ "column": "Property" }, null skips a column)' })
+        .option('key', { type: 'string', describe: 'CSV column identifying rows: rows whose key matches an existing row update it instead of creating a new one' })
+        .option('rejects', { type: 'string', describe: 'Where to write rows that failed (default: <file>.rejects.csv)' })
+        .option('concurrency', { type: 'number', default: 3, describe: 'Rows written in parallel' });
+    }, runImportCsvCommand)
+    // New: export an existing page/database to a JSON template
+    .command(['to-json <id> [outFile]', 'export-json <id> [outFile]'], 'Export existing page or database into a JSON template', (y) => {
+      return y
+        .positional('id', { describe: 'ID of a Notion page or database to export', type: 'string' })
+        .positional('outFile', { describe: 'Optional output file path; if omitted, prints to stdout', type: 'string' })
+        .option('pretty', { type: 'boolean', default: true, describe: 'Pretty-print JSON with indentation' })
+        .option('with-rows', { type: 'boolean', default: false, describe: 'For databases: also export every row with its property values and page content' });
+    }, async (args) => {
+      const spinner = ora('Exporting to JSON template...').start();
+      try {
+        assertIdLike(args.id, 'id');
+        const tpl = await cliApp(args).exportToTemplate(args.id, { withRows: args.withRows });
+        const json = JSON.stringify(tpl, null, args.pretty ? 2 : 0);
+        if (args.outFile) {
+          const outPath = path.resolve(process.cwd(), args.outFile);
+          const dir = path.dirname(outPath);
+          if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+          fs.writeFileSync(outPath, json, 'utf8');
+          spinner.succeed(kleur.green(`Exported template to: ${outPath}`));
+        } else {
+          spinner.stop();
+          process.stdout.write(json + '\n');
+        }
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('to-markdown <id> [outDir]', 'Export a page (with sub-pages) or a database (with rows) as Markdown', (y) => {
+      return y
+        .positional('id', { describe: 'ID of a Notion page or database to export', type: 'string' })
+        .positional('outDir', { describe: 'Output directory; if omitted, the page is printed to stdout', type: 'string' });
+    }, async (args) => {
+      const spinner = ora('Exporting to Markdown...').start();
+      try {
+        assertIdLike(args.id, 'id');
+        const res = await cliApp(args).exportToMarkdown(args.id, args.outDir);
+        if (args.outDir) {
+          spinner.succeed(kleur.green(`Exported ${res.files.length} Markdown file(s) to: ${path.resolve(process.cwd(), args.outDir)}`));
+        } else {
+          spinner.stop();
+          process.stdout.write(res.markdown);
+        }
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('to-blueprint <rootPageId> [out]', 'Turn the pages and databases under a page into a deployable YAML blueprint', (y) => {
+      return y
+        .positional('rootPageId', { describe: 'Page the app was built under', type: 'string' })
+        .positional('out', { describe: 'Output YAML file (stdout when omitted)', type: 'string' })
+        .option('with-rows', { type: 'boolean', default: false, describe: 'Include current database rows as install.seeds' })
+        .option('name', { type: 'string', describe: 'metadata.name of the blueprint (defaults to the page title)' });
+    }, async (args) => {
+      const spinner = ora('Exporting blueprint...').start();
+      try {
+        assertIdLike(args.rootPageId, 'rootPageId');
+        const res = await cliApp(args).exportToBlueprint(args.rootPageId, { withRows: args.withRows, name: args.name });
+        if (args.out) {
+          const outPath = path.resolve(process.cwd(), args.out);
+          fs.writeFileSync(outPath, res.yaml);
+          spinner.succeed(kleur.green(`Exported ${res.databases} database(s) and ${res.pages} page(s) to: ${outPath}`));
+        } else {
+          spinner.stop();
+          process.stdout.write(res.yaml);
+        }
+        for (const w of res.warnings) console.error(kleur.yellow(`Warning: ${w}`));
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('from-markdown <source> <targetId>', 'Import a Markdown file or directory as pages (or database rows)', (y) => {
+      return y
+        .positional('source', { describe: 'Markdown file or directory', type: 'string' })
+        .positional('targetId', { describe: 'Target page ID (or database ID with --parentType database)', type: 'string' })
+        .option('parentType', { choices: ['page', 'database'], default: 'page', describe: 'Create pages under a page, or rows in a database (front matter sets properties)' });
+    }, async (args) => {
+      const spinner = ora('Importing Markdown...').start();
+      try {
+        assertIdLike(args.targetId, 'targetId');
+        const res = await cliApp(args).importMarkdown(args.source, args.targetId, args.parentType);
+        spinner.succeed(kleur.green(`Imported ${res.created.length} ${args.parentType === 'database' ? 'row(s)' : 'page(s)'} into ${args.targetId}`));
+        for (const w of res.warnings) console.log(kleur.yellow(`Warning: ${w}`));
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    // New: Deploy a Notion App from YAML blueprint
+    .command('deploy <blueprintPath> <targetId>', 'Deploy a Notion App from YAML blueprint (upgrades a previous deploy in place)', withDeployOptions, (args) => runDeployCommand(args))
+    .command('upgrade <blueprintPath> <targetId>', 'Upgrade a previously deployed Notion App to a newer blueprint', withDeployOptions, (args) => runDeployCommand(args, { requireState: true }))
+    .command('uninstall <targetId>', 'Archive everything a deploy created (databases, pages, seed rows, info page)', (y) => {
+      return withPlanOptions(y)
+        .positional('targetId', { describe: 'Page ID the app was deployed into', type: 'string' })
+        .option('state', { type: 'string', describe: 'Local deploy state file (the install info page is used otherwise)' })
+        .option('app', { type: 'string', describe: 'App name (metadata.name) when several apps are installed in the target' })
+        .option('backup', { type: 'string', describe: 'Export databases (with rows) and pages as JSON templates into this directory first' })
+        .option('yes', { alias: 'y', type: 'boolean', default: false, describe: 'Do not ask for confirmation' });
+    }, async (args) => {
+      const spinner = ora('Reading deploy state...').start();
+      try {
+        assertIdLike(args.targetId, 'targetId');
+        const app = cliApp(args);
+        const state = await app.resolveInstalledState(args.targetId, { statePath: args.state, app: args.app });
+        const backupId = backupRunId();
+        const plan = planUninstall({ target: args.targetId, ...state }, { backupDir: args.backup, backupId });
+        spinner.stop();
+        if (args.dryRun) {
+          printPlan(plan, args.json);
+          return;
+        }
+        const count = plan.steps.reduce((n, s) => n + (s.action === 'archive' ? 1 : s.action === 'archive_rows' ? s.ids.length : 0), 0);
+        if (!args.yes) {
+          for (const line of formatPlan(plan)) console.log(line);
+          if (!await confirm(`Archive ${count} object(s) of ${plan.app || 'the app'}? [y/N] `)) {
+            console.log(kleur.yellow(process.stdin.isTTY ? 'Uninstall cancelled.' : 'Not a terminal: pass --yes to uninstall without confirmation.'));
+            process.exitCode = 1;
+            return;
+          }
+        }
+        spinner.start('Uninstalling...');
+        const res = await app.uninstallApp(state, { backupDir: args.backup, backupId, statePath: args.state });
+        spinner.succeed(kleur.green(`Archived ${res.archived} object(s) of ${plan.app || 'the app'}.`));
+        if (res.stateBackup) console.log(kleur.gray(`Backup written to ${args.backup} (${res.exported.length} template(s) + ${path.basename(res.stateBackup)}); restore with from-json.`));
+        if (args.state && !res.stateFileRemoved) console.log(kleur.yellow(`${args.state} was not written by deploy and was kept; it still describes the uninstalled app.`));
+        for (const m of res.missing) console.log(kleur.yellow(`Already gone: ${m}`));
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('validate <file>', 'Check a blueprint or JSON template for problems without calling the API', (y) => {
+      return y
+        .positional('file', { describe: 'Path to a YAML blueprint or JSON template', type: 'string' })
+        .option('type', { choices: ['blueprint', 'template'], describe: 'Document type (detected from the file by default)' });
+    }, (args) => {
+      try {
+        const result = validateFile(args.file, args.type);
+        const errors = result.problems.filter(p => p.severity === 'error');
+        const lines = formatProblems(result);
+        result.problems.forEach((p, i) => console.log(p.severity === 'error' ? kleur.red(lines[i]) : kleur.yellow(lines[i])));
+        if (errors.length) {
+          console.log(kleur.red(`${errors.length} error(s), ${result.problems.length - errors.length} warning(s) in ${result.kind}.`));
+          process.exitCode = 1;
+        } else {
+          console.log(kleur.green(`Valid ${result.kind}${result.problems.length ? ` (${result.problems.length} warning(s))` : ''}.`));
+        }
+      } catch (err) {
+        console.error(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('apply-schema <templatePath> <databaseId>', 'Migrate an existing database to the schema of a database template', (y) => {
+      return withPlanOptions(withVariableOptions(y))
+        .positional('templatePath', { describe: 'Path to a JSON template with kind: database (optional "renames": { "old": "new" })', type: 'string' })
+        .positional('databaseId', { describe: 'Database to migrate', type: 'string' })
+        .option('allow-destructive', { type: 'boolean', default: false, describe: 'Also delete properties missing from the template and change property types' })
+        .option('yes', { alias: 'y', type: 'boolean', default: false, describe: 'Do not ask for confirmation of destructive changes' });
+    }, async (args) => {
+      const spinner = ora('Reading database schema...').start();
+      try {
+        assertIdLike(args.databaseId, 'databaseId');
+        const app = cliApp(args);
+        const opts = { variables: parseVariableArgs(args), allowDestructive: args.allowDestructive };
+        const plan = await app.planApplySchema(args.templatePath, args.databaseId, opts);
+        spinner.stop();
+        if (args.dryRun) {
+          printPlan(plan, args.json);
+          return;
+        }
+        const pending = plan.steps.filter(s => !s.skipped);
+        if (!plan.steps.length) {
+          console.log(kleur.green(`Database "${plan.title}" already matches the template.`));
+          return;
+        }
+        console.log(kleur.bold(`Schema changes for "${plan.title}" (${plan.target}):`));
+        for (const line of formatPlan(plan)) console.log(/^\s+\+/.test(line) ? kleur.green(line) : /^\s+~/.test(line) ? kleur.yellow(line) : /^\s+-/.test(line) ? kleur.red(line) : line);
+        const destructive = pending.filter(s => s.destructive);
+        if (destructive.length && !args.yes) {
+          if (!await confirm(`Apply ${destructive.length} destructive change(s)? Data in these properties is lost. [y/N] `)) {
+            console.log(kleur.yellow(process.stdin.isTTY ? 'Schema migration cancelled.' : 'Not a terminal: pass --yes to apply destructive changes without confirmation.'));
+            process.exitCode = 1;
+            return;
+          }
+        }
+        if (!pending.length) {
+          console.log(kleur.yellow('Nothing to apply without --allow-destructive.'));
+          return;
+        }
+        spinner.start('Applying schema...');
+        const res = await app.applySchema(args.templatePath, args.databaseId, opts);
+        spinner.succeed(kleur.green(`Applied ${res.applied} schema change(s) to "${plan.title}".`));
+        if (res.skipped.length) console.log(kleur.yellow(`Skipped ${res.skipped.length} change(s) marked [skipped] above.`));
+        for (const w of res.warnings) console.log(kleur.yellow(`Warning: ${w}`));
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 1;
+      }
+    })
+    .command('diff <a> <b>', 'Compare a template, blueprint or object with a live page/database (exit code 1 on drift)', (y) => {
+      return withVariableOptions(y)
+        .positional('a', { describe: 'Expected state: JSON template, YAML blueprint or page/database ID', type: 'string' })
+        .positional('b', { describe: 'Live page/database ID (for a blueprint: the page it was deployed into)', type: 'string' })
+        .option('json', { type: 'boolean', default: false, describe: 'Print the differences as JSON' })
+        .option('state', { type: 'string', describe: 'Blueprint only: local deploy state file (the install info page is used otherwise)' })
+        .option('app', { type: 'string', describe: 'Blueprint only: app name when several apps are installed in the target' });
+    }, async (args) => {
+      const spinner = ora('Comparing...').start();
+      try {
+        assertIdLike(args.b, 'b');
+        const result = await cliApp(args).diffObjects(args.a, args.b, { variables: parseVariableArgs(args), statePath: args.state, app: args.app });
+        spinner.stop();
+        if (args.json) {
+          process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        } else if (!result.drift) {
+          console.log(kleur.green(`No drift between ${result.a} and ${result.b}.`));
+        } else {
+          console.log(kleur.bold(`${result.differences.length} difference(s) between ${result.a} and ${result.b}:`));
+          const color = { added: kleur.green, removed: kleur.red, changed: kleur.yellow };
+          formatDiff(result).forEach((line, i) => console.log(color[result.differences[i].change](line)));
+        }
+        process.exitCode = result.drift ? 1 : 0;
+      } catch (err) {
+        spinner.fail(kleur.red(err.message));
+        process.exitCode = 2;
+      }
+    })
+    .command('refresh-actions <tasksDbId>', 'Re-issue signed Start/Pause/Stop URLs for all tasks in a database', (y) => {
+      return y
+        .positional('tasksDbId', { describe: 'Tasks database ID', type: 'string' })
+        .option('baseUrl', { type: 'string', demandOption: true, describe: 'Backend base URL (e.g., https://app.vercel.app/api)' })
+        .option('appSecret', { type: 'string', demandOption: true, describe: 'HMAC secret used by the backend' })
+        .option('calendarDbId', { type: 'string', describe: 'Optional Calendar database ID for stop action payload' });
+    }, async (args) => {
+      const spinner = ora('Refreshing action URLs...').start();
+      try {
+        assertIdLike(args.tasksDbId, 'tasksDbId');
+        if (args.calendarDbId) assertIdLike(args.calendarDbId, 'calendarDbId');
+        await cliApp(args).refreshActionLinks(args.tasksDbId, args.baseUrl, args.appSecret, args.calendarDbId);
+        spinner.succeed(kleur.green('Refreshed action URLs for all tasks.'));
       } catch (err) {
         spinner.fail(kleur.red(err.message));
         process.exitCode = 1;
       }
-    })
-    .command('from-json <templatePath> <targetId>', 'Instantiate from a JSON template file', (y) => {
-      return y
-        .positional('templatePath', { describe: 'Path to JSON template', type: 'string' })
-        .positional('targetId', { describe: 'Target page ID (for databases or sub-pages) or database ID (for page entries)', type: 'string' })
-        .option('parentType', { choices: ['page', 'database'], demandOption: true, describe: 'Where to place the created object' });
-    }, async (args) => {
-      const spinner = ora('Creating from JSON template...').start();
-      try {
-        assertIdLike(args.targetId, 'targetId');
-        const fullPath = path.resolve(process.cwd(), args.templatePath);
-        if (!fs.existsSync(fullPath)) throw new Error('Template file not found');
-        const res = await createFromJsonTemplate(fullPath, args.targetId, args.parentType);
-        spinner.succeed(kleur.green(`Created: ${res.url || res.id}`));
-      } catch (err) {
-        spinner.fail(kleur.red(err.message));
-        process.exitCode = 1;
+    })
+    .option('rate', { type: 'number', global: true, default: Number(process.env.NOTION_RATE_LIMIT) || 3, describe: 'Notion requests per second (token bucket shared by all API calls)' })
+    .option('record', { type: 'string', global: true, describe: 'Save every API call and its response to this JSONL fixture' })
+    .option('replay', { type: 'string', global: true, describe: 'Answer API calls from a fixture written by --record instead of calling Notion' })
+    .conflicts('record', 'replay')
+    .demandCommand(1)
+    .help()
+    .argv;
+}
+
+// Property types buildDbProperties knows how to create
+const BLUEPRINT_PROPERTY_TYPES = [
+  'title', 'status', 'select', 'multi_select', 'checkbox', 'number', 'date', 'rich_text', 'url', 'email',
+  'phone_number', 'people', 'files', 'relation', 'rollup', 'formula', 'created_time', 'created_by',
+  'last_edited_time', 'last_edited_by', 'unique_id',
+];
+const NUMBER_FORMATS = [
+  'number', 'number_with_commas', 'percent', 'dollar', 'canadian_dollar', 'singapore_dollar', 'euro', 'pound', 'yen',
+  'ruble', 'rupee', 'won', 'yuan', 'real', 'lira', 'rupiah', 'franc', 'hong_kong_dollar', 'new_zealand_dollar', 'krona',
+  'norwegian_krone', 'mexican_peso', 'rand', 'new_taiwan_dollar', 'danish_krone', 'zloty', 'baht', 'forint', 'koruna',
+  'shekel', 'chilean_peso', 'philippine_peso', 'dirham', 'colombian_peso', 'riyal', 'ringgit', 'leu', 'argentine_peso',
+  'uruguayan_peso', 'peruvian_sol',
+];
+const ROLLUP_FUNCTIONS = [
+  'average', 'checked', 'count', 'count_per_group', 'count_values', 'date_range', 'earliest_date', 'empty', 'latest_date',
+  'max', 'median', 'min', 'not_empty', 'percent_checked', 'percent_empty', 'percent_not_empty', 'percent_per_group',
+  'percent_unchecked', 'range', 'show_original', 'show_unique', 'sum', 'unchecked', 'unique',
+];
+// Types whose value Notion computes; they cannot be written by seeds or imports
+const COMPUTED_PROPERTY_TYPES = ['formula', 'rollup', 'created_time', 'created_by', 'last_edited_time', 'last_edited_by', 'unique_id'];
+
+// Build Notion DB properties from simplified blueprint schema
+function buildDbProperties(schema = {}, aliasToId = {}) {
+  const out = {};
+  for (const [name, def] of Object.entries(schema)) {
+    const t = def?.type;
+    if (!t) continue;
+    switch (t) {
+      case 'title':
+        out[name] = { title: {} };
+        break;
+      case 'status': {
+        const options = def?.status?.options || [];
+        out[name] = { status: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
+        break;
+      }
+      case 'multi_select': {
+        const options = def?.multi_select?.options || [];
+        out[name] = { multi_select: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
+        break;
+      }
+      case 'select': {
+        const options = def?.select?.options || [];
+        out[name] = { select: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
+        break;
+      }
+      case 'number':
+        out[name] = { number: { format: def?.number?.format || 'number' } };
+        break;
+      case 'checkbox':
+      case 'date':
+      case 'rich_text':
+      case 'url':
+      case 'email':
+      case 'phone_number':
+      case 'people':
+      case 'files':
+      case 'created_time':
+      case 'created_by':
+      case 'last_edited_time':
+      case 'last_edited_by':
+        out[name] = { [t]: {} };
+        break;
+      case 'unique_id':
+        out[name] = { unique_id: { prefix: def?.unique_id?.prefix || null } };
+        break;
+      case 'formula':
+        out[name] = { formula: { expression: def?.formula?.expression || '' } };
+        break;
+      case 'rollup':
+        out[name] = {
+          rollup: {
+            relation_property_name: def?.rollup?.relation,
+            rollup_property_name: def?.rollup?.property,
+            function: def?.rollup?.function || 'show_original',
+          },
+        };
+        break;
+      case 'relation': {
+        const alias = def?.relation?.database;
+        const dbId = aliasToId[alias];
+        if (!dbId) {
+          // Fallback: will set later, but create a placeholder the API rejects; so skip for now
+          continue;
+        }
+        out[name] = def.relation.dual_property
+          ? { relation: { database_id: dbId, type: 'dual_property', dual_property: {} } }
+          : { relation: { database_id: dbId, type: 'single_property', single_property: {} } };
+        break;
+      }
+      default:
+        throw new Error(`Property "${name}" has unsupported type "${t}"`);
+    }
+  }
+  return out;
+}
+
+// Name of the back-reference a dual relation should get in the related database (null: keep
+// Notion's generated name)
+function dualPropertyName(def) {
+  const dual = def?.relation?.dual_property;
+  return typeof dual === 'string' && dual ? dual : null;
+}
+
+// For every database alias: relation property name -> related alias, including the synced
+// back-references that dual relations create in the related database
+function collectRelationTargets(databases) {
+  const targets = Object.fromEntries(databases.map(db => [db.alias, {}]));
+  for (const db of databases) {
+    for (const [name, def] of Object.entries(db.properties || {})) {
+      if (def?.type !== 'relation' || !def.relation?.database) continue;
+      targets[db.alias][name] = def.relation.database;
+      const back = dualPropertyName(def);
+      if (back && targets[def.relation.database]) targets[def.relation.database][back] = db.alias;
+    }
+  }
+  return targets;
+}
+
+// Order formula and rollup properties of all databases so that each comes after the computed
+// properties it reads: formulas through prop("..."), rollups through their rolled-up property
+function orderComputedProperties(databases) {
+  const targets = collectRelationTargets(databases);
+  const nodes = [];
+  for (const db of databases) {
+    for (const [name, def] of Object.entries(db.properties || {})) {
+      if (def?.type === 'formula' || def?.type === 'rollup') nodes.push({ alias: db.alias, name, def });
+    }
+  }
+  const key = (alias, name) => `${alias}\u0000${name}`;
+  return orderByDependencies(nodes, n => key(n.alias, n.name), (n) => {
+    if (n.def.type === 'formula') {
+      return [...String(n.def.formula?.expression || '').matchAll(FORMULA_PROP_REF)].map(m => key(n.alias, m[1]));
+    }
+    const target = targets[n.alias]?.[n.def.rollup?.relation];
+    return target ? [key(target, n.def.rollup?.property)] : [];
+  });
+}
+
+// --- Validation -------------------------------------------------------------
+// Blueprints and JSON templates are checked against the schemas below before anything is
+// created. Problems carry the document path (e.g. resources.databases[0].title) and line.
+
+const BLOCK_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item', 'numbered_list_item',
+  'to_do', 'toggle', 'code', 'quote', 'callout', 'divider', 'table', 'table_row', 'column_list',
+  'column', 'image', 'video', 'audio', 'file', 'pdf', 'bookmark', 'embed', 'equation',
+  'table_of_contents', 'breadcrumb', 'link_to_page', 'synced_block', 'template',
+  'child_page', 'child_database',
+];
+
+const SCHEMA_ANY = { type: 'any' };
+const SCHEMA_OPTIONS = {
+  type: 'object',
+  properties: { options: { type: 'array', items: { type: ['string', 'object'] } } },
+};
+const SCHEMA_BLOCK = { type: 'object', required: ['type'], properties: { type: { type: 'string' }, id: { type: 'string' } } };
+
+// Extra fields each blueprint property type accepts (or requires) next to `type`
+const SCHEMA_PROPERTY_VARIANTS = Object.fromEntries(BLUEPRINT_PROPERTY_TYPES.map(t => [t, {}]));
+Object.assign(SCHEMA_PROPERTY_VARIANTS, {
+  status: { properties: { status: SCHEMA_OPTIONS } },
+  select: { properties: { select: SCHEMA_OPTIONS } },
+  multi_select: { properties: { multi_select: SCHEMA_OPTIONS } },
+  number: { properties: { number: { type: 'object', additionalProperties: false, properties: { format: { enum: NUMBER_FORMATS } } } } },
+  unique_id: { properties: { unique_id: { type: 'object', additionalProperties: false, properties: { prefix: { type: 'string' } } } } },
+  formula: {
+    required: ['formula'],
+    properties: { formula: { type: 'object', required: ['expression'], additionalProperties: false, properties: { expression: { type: 'string' } } } },
+  },
+  rollup: {
+    required: ['rollup'],
+    properties: {
+      rollup: {
+        type: 'object',
+        required: ['relation', 'property', 'function'],
+        additionalProperties: false,
+        properties: { relation: { type: 'string' }, property: { type: 'string' }, function: { enum: ROLLUP_FUNCTIONS } },
+      },
+    },
+  },
+  relation: {
+    required: ['relation'],
+    properties: {
+      relation: {
+        type: 'object',
+        required: ['database'],
+        additionalProperties: false,
+        properties: { database: { type: 'string' }, dual_property: { type: ['string', 'boolean'] } },
+      },
+    },
+  },
+});
+
+const BLUEPRINT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    variables: { type: 'object', additionalProperties: SCHEMA_ANY },
+    metadata: {
+      type: 'object',
+      properties: { name: { type: 'string' }, version: { type: ['string', 'number'] }, description: { type: 'string' } },
+    },
+    backend: { type: 'object', properties: { baseUrl: { type: 'string' } } },
+    extends: { type: 'string' },
+    include: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        additionalProperties: false,
+        properties: { path: { type: 'string' }, module: { type: 'string' }, as: { type: 'string' } },
+      },
+    },
+    resources: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        databases: {
+          type: 'array',
+          items: {
+            type: 'object',
+            // title and properties may come from a base blueprint (see checkBlueprintReferences)
+            required: ['alias'],
+            additionalProperties: false,
+            properties: {
+              alias: { type: 'string' },
+              title: { type: 'string' },
+              icon: SCHEMA_ANY,
+              cover: SCHEMA_ANY,
+              properties: {
+                type: 'object',
+                additionalProperties: {
+                  // null removes a property inherited through extends
+                  type: ['object', 'null'],
+                  required: ['type'],
+                  additionalProperties: false,
+                  discriminator: { property: 'type', mapping: SCHEMA_PROPERTY_VARIANTS },
+                },
+              },
+            },
+          },
+        },
+        pages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title'],
+            additionalProperties: false,
+            properties: {
+              alias: { type: 'string' },
+              title: { type: 'string' },
+              icon: SCHEMA_ANY,
+              cover: SCHEMA_ANY,
+              children: { type: 'array', items: SCHEMA_BLOCK },
+            },
+          },
+        },
+      },
+    },
+    install: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        seeds: { type: 'object', additionalProperties: { type: 'array', items: { type: 'object' } } },
+      },
+    },
+    workflows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        discriminator: {
+          property: 'type',
+          mapping: {
+            attach_action_links: { required: ['database'], properties: { database: { type: 'string' }, calendar_database: { type: 'string' } } },
+            webhook: { required: ['name', 'path'], properties: { name: { type: 'string' }, method: { type: 'string' }, path: { type: 'string' }, description: { type: 'string' } } },
+            property_change: {
+              required: ['database', 'property', 'webhook'],
+              properties: {
+                database: { type: 'string' },
+                property: { type: 'string' },
+                webhook: { type: 'string' },
+                when: { type: 'object', properties: { changes_to: SCHEMA_ANY } },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const SCHEMA_ROW = {
+  type: 'object',
+  additionalProperties: false,
+  properties: { id: { type: 'string' }, icon: SCHEMA_ANY, properties: { type: 'object' }, children: { type: 'array', items: SCHEMA_BLOCK } },
+};
+
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['kind'],
+  additionalProperties: false,
+  properties: {
+    kind: { enum: ['page', 'database'] },
+    id: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'array' },
+    is_inline: { type: 'boolean' },
+    icon: SCHEMA_ANY,
+    cover: SCHEMA_ANY,
+    variables: { type: 'object', additionalProperties: SCHEMA_ANY },
+    properties: { type: 'object', additionalProperties: { type: 'object' } },
+    renames: { type: 'object', additionalProperties: { type: 'string' } },
+    children: { type: 'array', items: SCHEMA_BLOCK },
+    rows: { type: 'array', items: SCHEMA_ROW },
+  },
+};
+
+function typeOfValue(v) {
+  if (v === null || v === undefined) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (v instanceof Date) return 'string';
+  return typeof v;
+}
+
+function formatPath(segments) {
+  return segments.reduce((acc, seg) => (typeof seg === 'number' ? `${acc}[${seg}]` : acc ? `${acc}.${seg}` : String(seg)), '') || '(root)';
+}
+
+// Check a value against one of the schemas above (a small JSON-Schema subset:
+// type, enum, required, properties, additionalProperties, items, discriminator)
+function checkSchema(value, schema, pathSegs, report) {
+  if (!schema || schema.type === 'any') return;
+  const actual = typeOfValue(value);
+  if (schema.enum) {
+    const deferred = typeof value === 'string' && value.includes('{{');
+    if (!deferred && !schema.enum.includes(value)) {
+      report(pathSegs, `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    return;
+  }
+  const allowed = [].concat(schema.type || []);
+  if (allowed.length && !allowed.includes(actual)) {
+    report(pathSegs, `must be ${allowed.join(' or ')} (got ${actual})`);
+    return;
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items, [...pathSegs, i], report));
+  }
+  if (actual !== 'object') return;
+  let properties = schema.properties || {};
+  let required = schema.required || [];
+  if (schema.discriminator) {
+    const key = value[schema.discriminator.property];
+    const variant = schema.discriminator.mapping[key];
+    if (!variant) {
+      report([...pathSegs, schema.discriminator.property], `must be one of: ${Object.keys(schema.discriminator.mapping).join(', ')} (got ${JSON.stringify(key)})`);
+      return;
+    }
+    properties = { ...properties, [schema.discriminator.property]: { type: 'string' }, ...(variant.properties || {}) };
+    required = [...required, ...(variant.required || [])];
+  }
+  for (const key of required) {
+    if (value[key] === undefined || value[key] === null) report(pathSegs, `missing required field "${key}"`);
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (properties[key]) checkSchema(v, properties[key], [...pathSegs, key], report);
+    else if (schema.additionalProperties === false) report([...pathSegs, key], `unknown field "${key}"`);
+    else if (schema.additionalProperties) checkSchema(v, schema.additionalProperties, [...pathSegs, key], report);
+  }
+}
+
+// Check template blocks recursively (children nest under block[type].children)
+function checkBlocks(blocks, pathSegs, report) {
+  (blocks || []).forEach((block, i) => {
+    const at = [...pathSegs, i];
+    if (!block || typeof block !== 'object' || !block.type) return;
+    if (!BLOCK_TYPES.includes(block.type)) {
+      report([...at, 'type'], `unsupported block type "${block.type}"`);
+      return;
+    }
+    const body = block[block.type];
+    if (body === undefined || typeOfValue(body) !== 'object') {
+      report(at, `block of type "${block.type}" needs a "${block.type}" object`);
+      return;
+    }
+    if (body.children !== undefined) {
+      if (!Array.isArray(body.children)) report([...at, block.type, 'children'], 'must be array');
+      else checkBlocks(body.children, [...at, block.type, 'children'], report);
+    }
+    if (block.type === 'child_database' && body.properties) {
+      checkDatabaseTemplate(body, [...at, block.type], report);
+    }
+  });
+}
+
+function checkDatabaseTemplate(tpl, pathSegs, report) {
+  const props = tpl.properties || {};
+  const titles = Object.entries(props).filter(([, p]) => p?.type === 'title' || p?.title !== undefined);
+  if (titles.length !== 1) report([...pathSegs, 'properties'], `database needs exactly one title property (found ${titles.length})`);
+  for (const [from, to] of Object.entries(tpl.renames || {})) {
+    if (!props[to]) report([...pathSegs, 'renames', from], `renames "${from}" to "${to}", which is not a database property`);
+  }
+  (tpl.rows || []).forEach((row, i) => {
+    for (const name of Object.keys(row?.properties || {})) {
+      if (!props[name]) report([...pathSegs, 'rows', i, 'properties', name], `row sets "${name}", which is not a database property`);
+    }
+    checkBlocks(row?.children, [...pathSegs, 'rows', i, 'children'], report);
+  });
+}
+
+// Cross-reference checks the schema cannot express: aliases, relations, seeds, workflows
+function checkBlueprintReferences(doc, report, warn) {
+  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
+  const pages = Array.isArray(doc.resources?.pages) ? doc.resources.pages : [];
+  const byAlias = {};
+  const seen = new Set();
+  databases.forEach((db, i) => {
+    if (!db || typeof db !== 'object') return;
+    const at = ['resources', 'databases', i];
+    if (!db.title) report(at, 'missing required field "title"');
+    if (db.alias && seen.has(db.alias)) report([...at, 'alias'], `duplicate alias "${db.alias}"`);
+    else if (db.alias) { seen.add(db.alias); byAlias[db.alias] = db; }
+    const props = db.properties && typeof db.properties === 'object' ? db.properties : {};
+    const titles = Object.values(props).filter(p => p?.type === 'title');
+    if (titles.length !== 1) report([...at, 'properties'], `database needs exactly one title property (found ${titles.length})`);
+    for (const [name, def] of Object.entries(props)) {
+      for (const kind of ['status', 'select', 'multi_select']) {
+        const names = (def?.[kind]?.options || []).map(o => (o && typeof o === 'object' ? o.name : o));
+        const dup = names.find((n, idx) => names.indexOf(n) !== idx);
+        if (dup !== undefined) warn([...at, 'properties', name, kind, 'options'], `duplicate option "${dup}"`);
+      }
+    }
+  });
+  const relationTargets = collectRelationTargets(databases.filter(db => db && byAlias[db.alias] === db));
+  databases.forEach((db, i) => {
+    for (const [name, def] of Object.entries(db?.properties || {})) {
+      const at = ['resources', 'databases', i, 'properties', name];
+      const target = def?.type === 'relation' ? def.relation?.database : undefined;
+      if (target && !byAlias[target]) {
+        report([...at, 'relation', 'database'], `relation points at unknown database alias "${target}"`);
+      }
+      const back = def?.type === 'relation' ? dualPropertyName(def) : null;
+      if (back && byAlias[target]?.properties?.[back]) {
+        report([...at, 'relation', 'dual_property'], `database "${target}" already declares a property "${back}"; drop it, the two-way relation creates it`);
+      }
+      if (def?.type === 'rollup' && def.rollup) {
+        const related = relationTargets[db.alias]?.[def.rollup.relation];
+        if (!related) {
+          report([...at, 'rollup', 'relation'], `"${def.rollup.relation}" is not a relation property of database "${db.alias}"`);
+        } else if (def.rollup.property && !byAlias[related]?.properties?.[def.rollup.property] && !relationTargets[related]?.[def.rollup.property]) {
+          report([...at, 'rollup', 'property'], `"${def.rollup.property}" is not a property of database "${related}"`);
+        }
+      }
+      if (def?.type === 'formula' && typeof def.formula?.expression === 'string') {
+        for (const m of def.formula.expression.matchAll(/prop\(\s*"([^"]+)"\s*\)/g)) {
+          if (!db.properties[m[1]] && !relationTargets[db.alias]?.[m[1]]) warn([...at, 'formula', 'expression'], `formula reads unknown property "${m[1]}"`);
+        }
+      }
+    }
+  });
+  pages.forEach((pg, i) => {
+    if (pg?.alias && seen.has(pg.alias)) report(['resources', 'pages', i, 'alias'], `duplicate alias "${pg.alias}"`);
+    if (pg?.alias) seen.add(pg.alias);
+    checkBlocks(pg?.children, ['resources', 'pages', i, 'children'], report);
+  });
+  const seedKeys = {};
+  for (const [alias, rows] of Object.entries(doc.install?.seeds || {})) {
+    const titleName = Object.entries(byAlias[alias]?.properties || {}).find(([, v]) => v?.type === 'title')?.[0] || 'Name';
+    seedKeys[alias] = new Set();
+    (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+      if (!row || typeof row !== 'object') return;
+      const key = seedKey(row, titleName);
+      // Deploy tells seed rows apart by key, so a second row with the same key would never be created
+      if (seedKeys[alias].has(key)) {
+        if (row.$key) report(['install', 'seeds', alias, i, '$key'], `duplicate seed key "${key}"`);
+        else report(['install', 'seeds', alias, i], `another seed row is also keyed by the title "${key}"; give the rows distinct $key values`);
+      }
+      seedKeys[alias].add(key);
+    });
+  }
+  for (const [alias, rows] of Object.entries(doc.install?.seeds || {})) {
+    const db = byAlias[alias];
+    if (!db) {
+      report(['install', 'seeds', alias], `seeds for unknown database alias "${alias}"`);
+      continue;
+    }
+    const props = db.properties || {};
+    (Array.isArray(rows) ? rows : []).forEach((row, i) => {
+      for (const [key, value] of Object.entries(row || {})) {
+        const at = ['install', 'seeds', alias, i, key];
+        const relationTarget = relationTargets[alias]?.[key];
+        if (key === '$key') continue;
+        if (!props[key] && !relationTarget && key !== 'Name') report(at, `"${key}" is not a property of database "${alias}"`);
+        else if (COMPUTED_PROPERTY_TYPES.includes(props[key]?.type)) report(at, `"${key}" is a ${props[key].type} property and cannot be seeded`);
+        for (const item of seedList(value)) {
+          const ref = typeof item === 'string' && item.match(SEED_REF);
+          if (!ref) continue;
+          if (!relationTarget) report(at, `${item}: only relation properties can reference seed rows`);
+          else if (ref[1] !== relationTarget) report(at, `${item}: "${key}" relates to "${relationTarget}", not "${ref[1]}"`);
+          else if (!seedKeys[ref[1]]?.has(ref[2])) report(at, `${item}: no seed row of "${ref[1]}" has key "${ref[2]}"`);
+        }
+      }
+    });
+  }
+  const workflows = Array.isArray(doc.workflows) ? doc.workflows : [];
+  const webhooks = new Set(workflows.filter(wf => wf?.type === 'webhook').map(wf => wf.name));
+  workflows.forEach((wf, i) => {
+    if (!wf || typeof wf !== 'object') return;
+    for (const key of ['database', 'calendar_database']) {
+      if (typeof wf[key] === 'string' && !byAlias[wf[key]]) report(['workflows', i, key], `unknown database alias "${wf[key]}"`);
+    }
+    if (wf.type === 'property_change') {
+      const db = byAlias[wf.database];
+      if (db && wf.property && !db.properties?.[wf.property]) report(['workflows', i, 'property'], `"${wf.property}" is not a property of database "${wf.database}"`);
+      if (wf.webhook && !webhooks.has(wf.webhook)) warn(['workflows', i, 'webhook'], `no webhook workflow named "${wf.webhook}"`);
+    }
+  });
+}
+
+function checkTemplateReferences(doc, report) {
+  if (doc.kind === 'database') checkDatabaseTemplate(doc, [], report);
+  else if (doc.renames) report(['renames'], 'renames only applies to database templates');
+  checkBlocks(doc.children, ['children'], report);
+}
+
+// Placeholders that are neither declared nor obviously provided at run time
+function checkPlaceholders(doc, warn) {
+  const declared = new Set(Object.keys(doc?.variables || {}));
+  const visit = (v, at) => {
+    if (typeof v === 'string') {
+      for (const m of v.matchAll(PLACEHOLDER)) {
+        if (!m[1] && !declared.has(m[2])) warn(at, `placeholder {{${m[2]}}} is not declared under "variables"; it stays literal text unless passed with --var`);
+      }
+    } else if (Array.isArray(v)) v.forEach((x, i) => visit(x, [...at, i]));
+    else if (v && typeof v === 'object' && !(v instanceof Date)) {
+      for (const [k, x] of Object.entries(v)) if (!(at.length === 0 && k === 'variables')) visit(x, [...at, k]);
+    }
+  };
+  visit(doc, []);
+}
+
+// Parse YAML or JSON source and return a path -> line lookup built from js-yaml's node events
+function parseWithLines(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const doc = yaml.load(source, {
+    listener(event, state) {
+      if (event === 'open') {
+        const frame = { line: state.line, children: [] };
+        stack[stack.length - 1].children.push(frame);
+        stack.push(frame);
+      } else {
+        const frame = stack.pop();
+        frame.result = state.result;
+        frame.kind = state.kind;
+      }
+    },
+  });
+  const unwrap = (f) => {
+    while (f && f.children.length === 1 && f.children[0].result === f.result) f = f.children[0];
+    return f;
+  };
+  const lineOf = (pathSegs) => {
+    let frame = unwrap(root.children[0]);
+    let line = frame ? frame.line : 0;
+    for (const seg of pathSegs) {
+      if (!frame) break;
+      if (frame.kind === 'mapping') {
+        const idx = frame.children.findIndex((c, i) => i % 2 === 0 && String(c.result) === String(seg));
+        if (idx < 0) break;
+        line = frame.children[idx].line;
+        frame = unwrap(frame.children[idx + 1]);
+      } else if (frame.kind === 'sequence' && frame.children[seg]) {
+        frame = unwrap(frame.children[seg]);
+        line = frame.line;
+      } else {
+        break;
+      }
+    }
+    return line + 1;
+  };
+  return { doc, lineOf };
+}
+
+// Validate blueprint or JSON template source without calling the API.
+// kind is 'blueprint', 'template' or undefined to detect from the document. opts.file is the
+// source's path, needed to resolve a blueprint's extends and includes.
+function validateSource(source, kind, opts = {}) {
+  if (!yaml) throw new Error('YAML support not installed. Please ensure js-yaml is in dependencies.');
+  const problems = [];
+  let parsed;
+  try {
+    parsed = parseWithLines(source);
+  } catch (err) {
+    const line = err.mark ? err.mark.line + 1 : 1;
+    return { kind: kind || 'unknown', problems: [{ severity: 'error', path: '(root)', line, message: err.reason || err.message }] };
+  }
+  const { doc, lineOf } = parsed;
+  const detected = kind || (doc && typeof doc === 'object' && 'kind' in doc ? 'template' : 'blueprint');
+  const add = (severity) => (pathSegs, message) => problems.push({ severity, path: formatPath(pathSegs), line: lineOf(pathSegs), message });
+  const report = add('error');
+  const warn = add('warning');
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    report([], 'document must be a mapping/object');
+    return { kind: detected, problems };
+  }
+  if (detected === 'template') {
+    checkSchema(doc, TEMPLATE_SCHEMA, [], report);
+    checkTemplateReferences(doc, report);
+  } else {
+    checkSchema(doc, BLUEPRINT_SCHEMA, [], report);
+    if (doc.extends || doc.include) checkComposedBlueprint(doc, opts.file, report, warn);
+    else checkBlueprintReferences(doc, report, warn);
+  }
+  checkPlaceholders(doc, warn);
+  problems.sort((a, b) => a.line - b.line);
+  return { kind: detected, problems };
+}
+
+function validateFile(filePath, kind) {
+  const full = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(full)) throw new Error(`File not found: ${filePath}`);
+  const source = fs.readFileSync(full, 'utf8');
+  if (!kind && /\.json$/i.test(full)) {
+    // from-json reads templates with JSON.parse, which is stricter than YAML
+    try {
+      JSON.parse(source);
+    } catch (err) {
+      const pos = Number((err.message.match(/position (\d+)/) || [])[1]);
+      const line = Number.isFinite(pos) ? source.slice(0, pos).split('\n').length : 1;
+      return { file: full, kind: 'template', problems: [{ severity: 'error', path: '(root)', line, message: err.message }] };
+    }
+  }
+  return { file: full, ...validateSource(source, kind, { file: full }) };
+}
+
+function formatProblems(result) {
+  const rel = path.relative(process.cwd(), result.file || '') || result.file || '';
+  return result.problems.map(p => `${rel}:${p.line}  ${p.severity}  ${p.path}: ${p.message}`);
+}
+
+function hmacSign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function buildActionUrl(baseUrl, action, params, secret) {
+  const ts = Date.now().toString();
+  const nonce = crypto.randomUUID();
+  const query = { ...params, action, ts, nonce };
+  const ordered = ['taskId', 'action', 'ts', 'nonce', 'tasksDbId', 'calendarDbId'].map(k => query[k] || '');
+  const sig = secret ? hmacSign(secret, ordered.join('|')) : undefined;
+  const sp = new URLSearchParams(query);
+  if (sig) sp.set('sig', sig);
+  const url = `${baseUrl.replace(/\/$/, '')}/a/${action}?${sp.toString()}`;
+  return url;
+}
+
+async function injectActionLinksOnTask(taskPageId, links) {
+  // Append a paragraph with Start | Pause | Stop links
+  const rich = [];
+  const entries = [ ['Start', links.start], ['Pause', links.pause], ['Stop', links.stop] ];
+  entries.forEach((pair, idx) => {
+    const [label, href] = pair;
+    rich.push({ type: 'text', text: { content: label, link: { url: href } } });
+    if (idx < entries.length - 1) rich.push({ type: 'text', text: { content: '  |  ' } });
+  });
+  await withRetry(() => ensureClient().blocks.children.append({
+    block_id: taskPageId,
+    children: [{ type: 'paragraph', paragraph: { rich_text: rich } }],
+  }));
+}
+
+async function setTaskUrlProperties(taskId, urls) {
+  await withRetry(() => ensureClient().pages.update({
+    page_id: taskId,
+    properties: {
+      'Start URL': { url: urls.start },
+      'Pause URL': { url: urls.pause },
+      'Stop URL': { url: urls.stop },
+    },
+  }));
+}
+
+// New: reusable helper to refresh action URLs for every task in a database
+async function refreshActionLinks(tasksDbId, baseUrl, appSecret, calendarDbId) {
+  if (!tasksDbId) throw new Error('tasksDbId is required');
+  if (!baseUrl) throw new Error('baseUrl is required');
+  if (!appSecret) throw new Error('appSecret is required');
+  let cursor;
+  do {
+    const resp = await withRetry(() => ensureClient().databases.query({ database_id: tasksDbId, start_cursor: cursor }));
+    for (const row of resp.results) {
+      const urls = {
+        start: buildActionUrl(baseUrl, 'start', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
+        pause: buildActionUrl(baseUrl, 'pause', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
+        stop: buildActionUrl(baseUrl, 'stop', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
+      };
+      await setTaskUrlProperties(row.id, urls);
+      // Intentionally do NOT inject new link paragraphs to avoid duplicates.
+    }
+    cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (cursor);
+}
+
+// Split a blueprint database schema into what can be created up front, the relation
+// properties that have to be patched in once every database exists, and formulas/rollups
+// that can only be added once the properties they read exist
+function splitRelationProperties(db) {
+  const entries = Object.entries(db.properties || {});
+  const computed = (v) => v.type === 'formula' || v.type === 'rollup';
+  return {
+    base: Object.fromEntries(entries.filter(([, v]) => v.type !== 'relation' && !computed(v))),
+    relations: Object.fromEntries(entries.filter(([, v]) => v.type === 'relation')),
+    computed: Object.fromEntries(entries.filter(([, v]) => computed(v))),
+  };
+}
+
+// Add relation properties to a database and give the back-references of dual relations
+// the names the blueprint asks for
+async function addRelationProperties(databaseId, relations, aliasToId) {
+  if (!Object.keys(relations).length) return;
+  const updated = await withRetry(() => ensureClient().databases.update({
+    database_id: databaseId,
+    properties: buildDbProperties(relations, aliasToId),
+  }));
+  for (const [name, def] of Object.entries(relations)) {
+    const back = dualPropertyName(def);
+    const synced = updated.properties?.[name]?.relation?.dual_property?.synced_property_name;
+    if (!back || !synced || synced === back) continue;
+    await withRetry(() => ensureClient().databases.update({
+      database_id: aliasToId[def.relation.database],
+      properties: { [synced]: { name: back } },
+    }));
+  }
+}
+
+// Add formulas and rollups one at a time, in dependency order across databases
+async function addComputedProperties(computed, aliasToId) {
+  for (const { alias, name, def } of computed) {
+    await withRetry(() => ensureClient().databases.update({
+      database_id: aliasToId[alias],
+      properties: buildDbProperties({ [name]: def }, aliasToId),
+    }));
+  }
+}
+
+async function createRelationPlaceholders(databases, parentPageId, existing = {}) {
+  // First pass create DBs without relation properties; second pass add relations.
+  // Databases already installed by a previous deploy (existing: alias -> id) are reused.
+  const created = {};
+  const fresh = [];
+  // Create in order
+  for (const db of databases) {
+    if (existing[db.alias]) {
+      created[db.alias] = existing[db.alias];
+      continue;
+    }
+    const propsNoRelation = buildDbProperties(splitRelationProperties(db).base);
+    const createdDb = await withRetry(() => ensureClient().databases.create({
+      parent: { page_id: parentPageId },
+      title: [{ type: 'text', text: { content: db.title } }],
+      properties: propsNoRelation,
+    }));
+    created[db.alias] = createdDb.id;
+    fresh.push(db);
+  }
+  // Second pass: patch in relation properties where needed
+  for (const db of fresh) {
+    await addRelationProperties(created[db.alias], splitRelationProperties(db).relations, created);
+  }
+  // Third pass: formulas and rollups, which may read relations and each other
+  await addComputedProperties(orderComputedProperties(fresh), created);
+  return created;
+}
+
+// Compare a desired blueprint schema (buildDbProperties output) with a live database:
+// properties to add and select/multi_select/status options missing from existing properties.
+// Nothing is ever removed or retyped here.
+function diffDatabaseSchema(desired, liveProperties) {
+  const add = {};
+  const options = {};
+  for (const [name, def] of Object.entries(desired)) {
+    const current = liveProperties[name];
+    if (!current) {
+      add[name] = def;
+      continue;
+    }
+    for (const kind of ['select', 'multi_select', 'status']) {
+      if (!def[kind] || current.type !== kind) continue;
+      const have = new Set((current[kind]?.options || []).map(o => o.name));
+      const missing = (def[kind].options || []).filter(o => !have.has(o.name));
+      if (missing.length) options[name] = { kind, existing: current[kind].options || [], missing };
+    }
+  }
+  return { add, options };
+}
+
+// Bring an installed database up to its blueprint definition without touching existing data.
+// New formulas and rollups are only reported in `computed`; the caller adds them once every
+// database has its new properties (see addComputedProperties).
+async function upgradeDatabaseSchema(db, databaseId, aliasToId) {
+  const live = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  const { add, options } = diffDatabaseSchema(buildDbProperties(db.properties, aliasToId), live.properties || {});
+  const added = splitRelationProperties({ properties: Object.fromEntries(Object.keys(add).map(name => [name, db.properties[name]])) });
+  const update = buildDbProperties(added.base);
+  const statusUpdates = {};
+  for (const [name, change] of Object.entries(options)) {
+    const merged = {
+      [change.kind]: {
+        options: [
+          ...change.existing.map(o => ({ id: o.id, name: o.name, color: o.color })),
+          ...change.missing,
+        ],
+      },
+    };
+    if (change.kind === 'status') statusUpdates[name] = merged;
+    else update[name] = merged;
+  }
+  const warnings = [];
+  if (Object.keys(update).length) {
+    await withRetry(() => ensureClient().databases.update({ database_id: databaseId, properties: update }));
+  }
+  await addRelationProperties(databaseId, added.relations, aliasToId);
+  for (const [name, merged] of Object.entries(statusUpdates)) {
+    try {
+      await withRetry(() => ensureClient().databases.update({ database_id: databaseId, properties: { [name]: merged } }));
+    } catch (err) {
+      const names = options[name].missing.map(o => o.name).join(', ');
+      warnings.push(`${db.alias}.${name}: could not add status option(s) ${names} (${err.message}); add them in Notion`);
+    }
+  }
+  return { added: Object.keys(add), options: Object.keys(options), computed: Object.keys(added.computed), warnings };
+}
+
+// A seed row's local key: its `$key`, or else its title. Keys identify rows in the deploy
+// state and in ref(alias.key) references from other seeds.
+function seedKey(row, titleName) {
+  return String(row.$key || row[titleName] || row.Name || 'Untitled');
+}
+
+const SEED_REF = /^ref\(\s*([^.\s()]+)\.(.+?)\s*\)$/;
+
+function seedList(value) {
+  return (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== undefined && v !== '');
+}
+
+// Map e-mail addresses to workspace user IDs (users.list needs the integration's user
+// information capability); values that already look like IDs are passed through
+function createPeopleResolver() {
+  let byEmail;
+  return async (value) => {
+    const items = seedList(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+    if (!byEmail && !items.every(isNotionId)) {
+      byEmail = new Map();
+      let cursor;
+      do {
+        const resp = await withRetry(() => ensureClient().users.list({ start_cursor: cursor, page_size: 100 }));
+        for (const user of resp.results) if (user.person?.email) byEmail.set(user.person.email.toLowerCase(), user.id);
+        cursor = resp.has_more ? resp.next_cursor : undefined;
+      } while (cursor);
+    }
+    return items.map((v) => {
+      if (isNotionId(v)) return v;
+      const id = byEmail.get(v.toLowerCase());
+      if (!id) throw new Error(`No workspace user with e-mail "${v}"`);
+      return id;
+    });
+  };
+}
+
+// Property types for seeding a database: the blueprint's declarations over the live schema
+// (which also has properties the blueprint does not declare, like two-way back-references)
+async function getSeedSchema(databaseId, db) {
+  const live = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  const schema = { ...live.properties };
+  for (const [name, def] of Object.entries(db?.properties || {})) {
+    if (def?.type) schema[name] = { ...schema[name], type: def.type };
+  }
+  return schema;
+}
+
+async function createSeeds(seeds = {}, aliasToId = {}, installed = {}, databases = []) {
+  // Seeds are rows by database alias, e.g. tasks: [{ Name: "Sample Task", Status: Todo }].
+  // Values are converted by property type; relations take row IDs or ref(alias.key) and are
+  // set once all seed rows exist. Rows whose key is already in `installed`
+  // (alias -> key -> page id) are skipped.
+  const created = { pages: {}, rows: {}, keys: {} };
+  const resolvePeople = createPeopleResolver();
+  const relations = [];
+  for (const [alias, rows] of Object.entries(seeds || {})) {
+    const databaseId = aliasToId[alias];
+    if (!databaseId) continue;
+    const schema = await getSeedSchema(databaseId, databases.find(d => d.alias === alias));
+    const titleName = Object.keys(schema).find(name => schema[name].type === 'title');
+    created.keys[alias] = { ...(installed[alias] || {}) };
+    for (const row of rows) {
+      const key = seedKey(row, titleName);
+      if (created.keys[alias][key]) continue;
+      const properties = {};
+      const links = {};
+      for (const [k, v] of Object.entries(row)) {
+        if (k === '$key') continue;
+        const name = schema[k] ? k : k === 'Name' ? titleName : undefined;
+        const prop = schema[name];
+        if (!prop) throw new Error(`Seed for "${alias}": "${k}" is not a property of the database`);
+        if (prop.type === 'relation') {
+          links[name] = v;
+          continue;
+        }
+        const value = plainToPropertyValue(prop, prop.type === 'people' ? await resolvePeople(v) : v);
+        if (!value) throw new Error(`Seed for "${alias}": "${k}" is a ${prop.type} property and cannot be seeded`);
+        properties[name] = value;
+      }
+      const page = await withRetry(() => ensureClient().pages.create({ parent: { database_id: databaseId }, properties }));
+      if (!created.rows[alias]) created.rows[alias] = [];
+      created.rows[alias].push(page);
+      created.keys[alias][key] = page.id;
+      if (Object.keys(links).length) relations.push({ alias, pageId: page.id, links });
+    }
+  }
+  for (const { alias, pageId, links } of relations) {
+    const properties = {};
+    for (const [name, value] of Object.entries(links)) {
+      const ids = seedList(value).map((item) => {
+        const ref = String(item).match(SEED_REF);
+        if (!ref) return String(item);
+        const id = created.keys[ref[1]]?.[ref[2]] || installed[ref[1]]?.[ref[2]];
+        if (!id) throw new Error(`Seed for "${alias}": ${item} does not match a seed row`);
+        return id;
+      });
+      properties[name] = plainToPropertyValue({ type: 'relation' }, ids);
+    }
+    await withRetry(() => ensureClient().pages.update({ page_id: pageId, properties }));
+  }
+  return created;
+}
+
+// --- Blueprint composition ----------------------------------------------------------
+// A blueprint can `extends` a base blueprint and `include` other blueprint files or bundled
+// modules (blueprints/modules/<name>.yml). An include with `as: ns` prefixes the aliases it
+// defines (`tasks` becomes `ns/tasks`), together with the relations, seeds and workflows that
+// point at them; aliases it does not define are left alone, which is how relations cross
+// module boundaries. The base and the includes are merged strictly: an alias, page, seed or
+// workflow defined twice is a conflict. The blueprint's own content then overrides: databases
+// are merged property by property (`Property: null` removes one), pages are replaced by alias,
+// seed rows by key and workflows by type and name.
+
+const MODULES_DIR = path.join(__dirname, 'blueprints', 'modules');
+const NAMESPACE = /^[A-Za-z0-9_-]+$/;
+
+// Read a blueprint file that is part of a composition, refusing files with schema errors
+function readBlueprintPart(file) {
+  if (!fs.existsSync(file)) throw new Error(`Blueprint not found: ${path.relative(process.cwd(), file) || file}`);
+  const doc = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  const errors = [];
+  checkSchema(doc, BLUEPRINT_SCHEMA, [], (at, message) => errors.push(`${formatPath(at)}: ${message}`));
+  if (errors.length) throw new Error(`${path.relative(process.cwd(), file) || file}: ${errors.join('; ')}`);
+  return doc;
+}
+
+// File and namespace of an include entry: a path relative to the including blueprint, or
+// { path | module, as }
+function resolveInclude(entry, fromFile) {
+  const spec = typeof entry === 'string' ? { path: entry } : entry || {};
+  if (spec.as !== undefined && !NAMESPACE.test(spec.as)) throw new Error(`Include namespace "${spec.as}" may only contain letters, digits, "_" and "-"`);
+  if (spec.module) {
+    const file = path.join(MODULES_DIR, `${spec.module}.yml`);
+    if (!fs.existsSync(file)) {
+      const available = fs.existsSync(MODULES_DIR) ? fs.readdirSync(MODULES_DIR).filter(f => f.endsWith('.yml')).map(f => f.slice(0, -4)) : [];
+      throw new Error(`Unknown blueprint module "${spec.module}"${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+    }
+    return { file, as: spec.as };
+  }
+  if (!spec.path) throw new Error('An include needs a path or a module');
+  return { file: path.resolve(path.dirname(fromFile), spec.path), as: spec.as };
+}
+
+// Prefix the database and page aliases a blueprint defines (and webhook names) with `ns/`
+function namespaceBlueprint(doc, ns) {
+  const databases = doc.resources?.databases || [];
+  const pages = doc.resources?.pages || [];
+  const own = new Set([...databases, ...pages].map(r => r?.alias).filter(Boolean));
+  const webhooks = new Set((doc.workflows || []).filter(wf => wf?.type === 'webhook').map(wf => wf.name));
+  const rename = (alias) => (own.has(alias) ? `${ns}/${alias}` : alias);
+  const renameHook = (name) => (webhooks.has(name) ? `${ns}/${name}` : name);
+  const renameRefs = (value) => {
+    if (Array.isArray(value)) return value.map(renameRefs);
+    if (typeof value !== 'string') return value;
+    const ref = value.match(SEED_REF);
+    return ref ? `ref(${rename(ref[1])}.${ref[2]})` : value;
+  };
+  const out = { ...doc, resources: { ...doc.resources } };
+  if (doc.resources?.databases) {
+    out.resources.databases = databases.map(db => ({
+      ...db,
+      alias: rename(db.alias),
+      properties: Object.fromEntries(Object.entries(db.properties || {}).map(([name, def]) => [name, def?.type === 'relation' && def.relation
+        ? { ...def, relation: { ...def.relation, database: rename(def.relation.database) } }
+        : def])),
+    }));
+  }
+  if (doc.resources?.pages) out.resources.pages = pages.map(pg => (pg.alias ? { ...pg, alias: rename(pg.alias) } : pg));
+  if (doc.install?.seeds) {
+    out.install = {
+      ...doc.install,
+      seeds: Object.fromEntries(Object.entries(doc.install.seeds).map(([alias, rows]) => [rename(alias), (rows || []).map(row => Object.fromEntries(Object.entries(row || {}).map(([k, v]) => [k, renameRefs(v)])))])),
+    };
+  }
+  if (doc.workflows) {
+    out.workflows = doc.workflows.map((wf) => {
+      const renamed = { ...wf };
+      for (const key of ['database', 'calendar_database']) if (renamed[key]) renamed[key] = rename(renamed[key]);
+      if (wf.type === 'webhook') renamed.name = renameHook(wf.name);
+      if (wf.type === 'property_change') renamed.webhook = renameHook(wf.webhook);
+      return renamed;
+    });
+  }
+  return out;
+}
+
+function workflowKey(wf) {
+  if (wf?.type === 'webhook') return `webhook:${wf.name}`;
+  if (wf?.type === 'property_change') return `property_change:${wf.database}.${wf.property}:${wf.webhook}`;
+  return `${wf?.type}:${wf?.database || ''}`;
+}
+
+// Merge blueprint `over` into `base`. With strict, anything defined on both sides is a
+// conflict (reported with the labels of both sources); otherwise `over` wins.
+function mergeBlueprints(base, over, { strict = false, labels = {} } = {}) {
+  const where = (kind, key) => `${kind} "${key}" is defined by both ${labels.base || 'the base'} and ${labels.over || 'the blueprint'}`;
+  const conflict = (kind, key) => {
+    throw new Error(`Blueprint conflict: ${where(kind, key)}`);
+  };
+  const out = {
+    ...base,
+    ...over,
+    resources: { ...base.resources, ...over.resources },
+  };
+  for (const key of ['metadata', 'backend', 'variables']) {
+    if (strict && key === 'variables') {
+      for (const [name, def] of Object.entries(over.variables || {})) {
+        if (base.variables?.[name] !== undefined && JSON.stringify(base.variables[name]) !== JSON.stringify(def)) conflict('variable', name);
       }
-    })
-    // New: export an existing page/database to a JSON template
-    .command(['to-json <id> [outFile]', 'export-json <id> [outFile]'], 'Export existing page or database into a JSON template', (y) => {
-      return y
-        .positional('id', { describe: 'ID of a Notion page or database to export', type: 'string' })
-        .positional('outFile', { describe: 'Optional output file path; if omitted, prints to stdout', type: 'string' })
-        .option('pretty', { type: 'boolean', default: true, describe: 'Pretty-print JSON with indentation' });
-    }, async (args) => {
-      const spinner = ora('Exporting to JSON template...').start();
-      try {
-        assertIdLike(args.id, 'id');
-        const tpl = await exportToTemplate(args.id);
-        const json = JSON.stringify(tpl, null, args.pretty ? 2 : 0);
-        if (args.outFile) {
-          const outPath = path.resolve(process.cwd(), args.outFile);
-          const dir = path.dirname(outPath);
-          if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-          fs.writeFileSync(outPath, json, 'utf8');
-          spinner.succeed(kleur.green(`Exported template to: ${outPath}`));
-        } else {
-          spinner.stop();
-          process.stdout.write(json + '\n');
+    }
+    if (base[key] || over[key]) out[key] = { ...base[key], ...over[key] };
+  }
+
+  const databases = (base.resources?.databases || []).map(db => ({ ...db }));
+  for (const db of over.resources?.databases || []) {
+    const existing = databases.find(d => d.alias === db.alias);
+    if (!existing) {
+      databases.push(db);
+      continue;
+    }
+    if (strict) conflict('database', db.alias);
+    const properties = { ...existing.properties };
+    for (const [name, def] of Object.entries(db.properties || {})) {
+      if (def === null) delete properties[name];
+      else properties[name] = def;
+    }
+    Object.assign(existing, db, { properties });
+  }
+
+  const pages = [...(base.resources?.pages || [])];
+  for (const pg of over.resources?.pages || []) {
+    const index = pages.findIndex(p => pageStateKey(p) === pageStateKey(pg));
+    if (index < 0) pages.push(pg);
+    else if (strict) conflict('page', pageStateKey(pg));
+    else pages[index] = pg;
+  }
+
+  const seeds = {};
+  for (const [alias, rows] of [...Object.entries(base.install?.seeds || {}), ...Object.entries(over.install?.seeds || {})]) {
+    const db = databases.find(d => d.alias === alias);
+    const titleName = Object.keys(db?.properties || {}).find(name => db.properties[name]?.type === 'title');
+    const merged = seeds[alias] || (seeds[alias] = []);
+    for (const row of rows || []) {
+      const index = merged.findIndex(r => seedKey(r, titleName) === seedKey(row, titleName));
+      if (index < 0) merged.push(row);
+      else if (strict) conflict(`seed row of ${alias}`, seedKey(row, titleName));
+      else merged[index] = row;
+    }
+  }
+
+  const workflows = [...(base.workflows || [])];
+  for (const wf of over.workflows || []) {
+    const index = workflows.findIndex(w => workflowKey(w) === workflowKey(wf));
+    if (index < 0) workflows.push(wf);
+    else if (strict && JSON.stringify(workflows[index]) !== JSON.stringify(wf)) conflict('workflow', workflowKey(wf));
+    else workflows[index] = wf;
+  }
+
+  if (databases.length) out.resources.databases = databases;
+  if (pages.length) out.resources.pages = pages;
+  if (!Object.keys(out.resources).length) delete out.resources;
+  if (Object.keys(seeds).length) out.install = { ...base.install, ...over.install, seeds };
+  if (workflows.length) out.workflows = workflows;
+  return out;
+}
+
+// Resolve `extends` and `include` of a parsed blueprint into one self-contained blueprint.
+// `included` collects file#namespace of every include, so a module reached twice (e.g. through
+// the base and the blueprint itself) is merged once.
+function composeBlueprint(doc, file, chain = [], included = new Set()) {
+  const rel = (f) => path.relative(process.cwd(), f) || f;
+  if (chain.includes(file)) throw new Error(`Blueprint include cycle: ${[...chain, file].map(rel).join(' -> ')}`);
+  const next = [...chain, file];
+  const { extends: parent, include = [], ...own } = doc;
+  let composed = {};
+  let label = 'nothing';
+  if (parent) {
+    const baseFile = path.resolve(path.dirname(file), parent);
+    composed = composeBlueprint(readBlueprintPart(baseFile), baseFile, next, included);
+    label = rel(baseFile);
+  }
+  for (const entry of include) {
+    const { file: partFile, as } = resolveInclude(entry, file);
+    const key = `${partFile}#${as || ''}`;
+    if (included.has(key)) continue;
+    included.add(key);
+    // Only the blueprint itself and its base describe the app; modules bring resources
+    const { metadata, backend, ...part } = composeBlueprint(readBlueprintPart(partFile), partFile, next, included);
+    const partLabel = as ? `${rel(partFile)} (as ${as})` : rel(partFile);
+    composed = mergeBlueprints(composed, as ? namespaceBlueprint(part, as) : part, { strict: true, labels: { base: label, over: partLabel } });
+    label = `${label === 'nothing' ? '' : `${label}, `}${partLabel}`;
+  }
+  return mergeBlueprints(composed, own);
+}
+
+// Check a blueprint with `extends`/`include` once composed. Problems are reported at the
+// include (or extends) line with their path in the composed blueprint.
+function checkComposedBlueprint(doc, file, report, warn) {
+  const at = doc.include ? ['include'] : ['extends'];
+  if (!file) {
+    warn(at, 'includes are only resolved (and references only checked) when validating a file');
+    return;
+  }
+  let composed;
+  try {
+    composed = composeBlueprint(doc, file);
+  } catch (err) {
+    report(at, err.message);
+    return;
+  }
+  const relay = (fn) => (pathSegs, message) => fn(at, `composed ${formatPath(pathSegs)}: ${message}`);
+  checkBlueprintReferences(composed, relay(report), relay(warn));
+}
+
+// --- Deploy state ------------------------------------------------------------
+// Each deploy records what it created (aliases -> Notion IDs, seed rows, version) in a JSON
+// code block on the install info page and optionally in a local --state file. A later deploy
+// reads it back and upgrades the installed objects in place instead of creating duplicates.
+
+const STATE_CAPTION = 'notion-app-state';
+const RICH_TEXT_LIMIT = 2000;
+
+function installInfoTitle(doc) {
+  return (doc.metadata?.name || 'App') + ' - Installed';
+}
+
+function stateToBlock(state) {
+  const json = JSON.stringify(state, null, 2);
+  const rich = [];
+  for (let i = 0; i < json.length; i += RICH_TEXT_LIMIT) {
+    rich.push({ type: 'text', text: { content: json.slice(i, i + RICH_TEXT_LIMIT) } });
+  }
+  return {
+    type: 'code',
+    code: { language: 'json', rich_text: rich, caption: [{ type: 'text', text: { content: STATE_CAPTION } }] },
+  };
+}
+
+function richTextToPlain(rich) {
+  return (rich || []).map(t => t.plain_text ?? t.text?.content ?? '').join('');
+}
+
+// Read state from an install info page, or null when it carries none
+async function readStateFromInfoPage(infoPageId) {
+  const blocks = await getAllBlocks(infoPageId);
+  const block = blocks.find(b => b.type === 'code' && richTextToPlain(b.code?.caption) === STATE_CAPTION);
+  if (!block) return null;
+  return JSON.parse(richTextToPlain(block.code.rich_text));
+}
+
+// Find the state of a previous deploy: the local --state file wins, else (when remote) the
+// install info page of the same app directly under the target page
+async function readDeployState(targetPageId, doc, statePath, remote = true) {
+  if (statePath) {
+    const full = path.resolve(process.cwd(), statePath);
+    if (fs.existsSync(full)) return JSON.parse(fs.readFileSync(full, 'utf8'));
+  }
+  if (!remote) return null;
+  const title = installInfoTitle(doc);
+  const children = await getAllBlocks(targetPageId);
+  const info = children.find(b => b.type === 'child_page' && b.child_page?.title === title);
+  if (!info) return null;
+  const state = await readStateFromInfoPage(info.id);
+  return state ? { ...state, info: state.info || info.id } : null;
+}
+
+// Marks a --state file as written by deploy: uninstall removes only files that carry it
+const STATE_FILE_WRITER = 'notion-template deploy';
+
+function writeStateFile(statePath, state) {
+  const full = path.resolve(process.cwd(), statePath);
+  const dir = path.dirname(full);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(full, JSON.stringify({ ...state, writtenBy: STATE_FILE_WRITER }, null, 2) + '\n', 'utf8');
+}
+
+// Remove a --state file after an uninstall if deploy wrote it; files made by hand are kept
+function removeStateFile(statePath) {
+  const full = path.resolve(process.cwd(), statePath);
+  let written;
+  try { written = JSON.parse(fs.readFileSync(full, 'utf8')); } catch (_) { return false; }
+  if (written?.writtenBy !== STATE_FILE_WRITER) return false;
+  fs.unlinkSync(full);
+  return true;
+}
+
+// Read, validate and resolve variables of a blueprint file
+function loadBlueprint(blueprintPath, opts = {}) {
+  if (!yaml) throw new Error('YAML support not installed. Please ensure js-yaml is in dependencies.');
+  const full = path.resolve(process.cwd(), blueprintPath);
+  if (!fs.existsSync(full)) throw new Error('Blueprint file not found');
+  const source = fs.readFileSync(full, 'utf8');
+  // Refuse to start creating objects from a blueprint that is known to be broken
+  const validation = { file: full, ...validateSource(source, 'blueprint', { file: full }) };
+  const errors = validation.problems.filter(p => p.severity === 'error');
+  if (errors.length) {
+    throw new Error(`Blueprint has ${errors.length} problem(s):\n${formatProblems({ ...validation, problems: errors }).join('\n')}`);
+  }
+  const doc = yaml.load(source) || {};
+  return loadTemplateWithVariables(doc.extends || doc.include ? composeBlueprint(doc, full) : doc, opts.variables);
+}
+
+// Which databases receive Start/Pause/Stop links: the attach_action_links workflow, else tasks/calendar
+function resolveActionLinkAliases(doc) {
+  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
+  const workflows = Array.isArray(doc.workflows) ? doc.workflows : [];
+  const attach = workflows.find(wf => wf && wf.type === 'attach_action_links');
+  return {
+    tasksAlias: attach?.database || (databases.find(d => d.alias === 'tasks') ? 'tasks' : null),
+    calendarAlias: attach?.calendar_database || (databases.find(d => d.alias === 'calendar') ? 'calendar' : null),
+  };
+}
+
+// Title and content of the install info page (never includes secrets)
+function buildInstallInfo(doc, aliasToId, baseUrl) {
+  const title = installInfoTitle(doc);
+  // Composed blueprints may namespace the tasks/calendar aliases (e.g. tt/tasks)
+  const { tasksAlias, calendarAlias } = resolveActionLinkAliases(doc);
+  const summary = `Installed app: ${doc.metadata?.name || 'App'}\nVersion: ${doc.metadata?.version || '-'}\nTasks DB: ${aliasToId[tasksAlias] || '-'}\nCalendar DB: ${aliasToId[calendarAlias] || '-'}\nBase URL: ${baseUrl || '-'}\n`;
+
+  const workflowBlocks = [];
+  const wfList = Array.isArray(doc.workflows) ? doc.workflows : [];
+  if (wfList.length) {
+    workflowBlocks.push({ type: 'heading_2', heading_2: { rich_text: [{ type: 'text', text: { content: 'Workflows' } }] } });
+    for (const wf of wfList) {
+      if (wf.type === 'attach_action_links') {
+        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Attach action links to database: ${wf.database || 'tasks'} (calendar: ${wf.calendar_database || 'none'})` } }] } });
+      } else if (wf.type === 'webhook') {
+        const fullPath = baseUrl ? `${baseUrl.replace(/\/$/, '')}${wf.path}` : wf.path;
+        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Webhook: ${wf.name || '-'} ${wf.method || 'POST'} ${fullPath || wf.path}` } }] } });
+        if (wf.description) {
+          workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: wf.description } }] } });
         }
-      } catch (err) {
-        spinner.fail(kleur.red(err.message));
-        process.exitCode = 1;
+      } else if (wf.type === 'property_change') {
+        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Property change: ${wf.database}.${wf.property} changes_to ${wf.when?.changes_to} -> webhook ${wf.webhook}` } }] } });
       }
-    })
-    // New: Deploy a Notion App from YAML blueprint
-    .command('deploy <blueprintPath> <targetId>', 'Deploy a Notion App from YAML blueprint', (y) => {
-      return y
-        .positional('blueprintPath', { describe: 'Path to YAML blueprint file', type: 'string' })
-        .positional('targetId', { describe: 'Target page ID where resources will be created', type: 'string' })
-        .option('baseUrl', { type: 'string', describe: 'Override backend base URL' })
-        .option('appSecret', { type: 'string', describe: 'HMAC secret for signing action URLs (optional)' });
-    }, async (args) => {
-      const spinner = ora('Deploying Notion App...').start();
-      try {
-        assertIdLike(args.targetId, 'targetId');
-        const res = await deployBlueprint(args.blueprintPath, args.targetId, { baseUrl: args.baseUrl, appSecret: args.appSecret });
-        spinner.succeed(kleur.green(`Deployment complete. Info page: ${res.info}`));
-        if (!args.appSecret) {
-          console.log(kleur.yellow('Note: appSecret not provided; URL buttons were not signed/attached. Re-run a maintenance step once backend is configured.'));
+    }
+  }
+  return { title, summary, children: [{ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: summary } }] } }, ...workflowBlocks] };
+}
+
+// Key under which a blueprint page is tracked in the deploy state
+function pageStateKey(pg) {
+  return pg.alias || pg.title || 'Untitled';
+}
+
+// Deploy a blueprint, or upgrade a previous deployment of it in place: installed databases
+// get missing properties and options, only new pages and seed rows are created and the
+// state manifest is rewritten. opts.requireState refuses to deploy from scratch.
+async function deployBlueprint(blueprintPath, targetPageId, opts = {}) {
+  const doc = loadBlueprint(blueprintPath, opts);
+  const backend = doc.backend || {};
+  const baseUrl = opts.baseUrl || backend.baseUrl;
+  const appSecret = opts.appSecret; // do not store in Notion
+
+  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
+  const pages = Array.isArray(doc.resources?.pages) ? doc.resources.pages : [];
+
+  const previous = await readDeployState(targetPageId, doc, opts.statePath);
+  if (!previous && opts.requireState) {
+    throw new Error(`No previous deployment of "${doc.metadata?.name || 'App'}" found in ${targetPageId}${opts.statePath ? ` or ${opts.statePath}` : ''}`);
+  }
+  const installed = {
+    databases: previous?.databases || {},
+    pages: previous?.pages || {},
+    seeds: previous?.seeds || {},
+  };
+
+  // Create DBs (two-pass to attach relations); installed ones are upgraded in place
+  const aliasToId = await createRelationPlaceholders(databases, targetPageId, installed.databases);
+  const upgrades = {};
+  const warnings = [];
+  const missingComputed = new Set();
+  for (const db of databases) {
+    if (!installed.databases[db.alias]) continue;
+    const result = await upgradeDatabaseSchema(db, aliasToId[db.alias], aliasToId);
+    if (result.added.length || result.options.length) upgrades[db.alias] = { added: result.added, options: result.options };
+    result.computed.forEach(name => missingComputed.add(`${db.alias}.${name}`));
+    warnings.push(...result.warnings);
+  }
+  await addComputedProperties(orderComputedProperties(databases).filter(n => missingComputed.has(`${n.alias}.${n.name}`)), aliasToId);
+
+  // Create pages under target (pages from a previous deploy are left as they are)
+  const createdPages = { ...installed.pages };
+  for (const pg of pages) {
+    if (installed.pages[pageStateKey(pg)]) continue;
+    const created = await withRetry(() => ensureClient().pages.create({
+      parent: { page_id: targetPageId },
+      properties: { title: { title: [{ type: 'text', text: { content: pg.title || 'Untitled' } }] } },
+      icon: pg.icon,
+      cover: pg.cover,
+    }));
+    createdPages[pageStateKey(pg)] = created.id;
+    // Deeply nested content and sub-pages (e.g. from to-blueprint) are created level by level
+    if (Array.isArray(pg.children) && pg.children.length) await appendBlockTree(created.id, pg.children);
+  }
+
+  // Seeds
+  const seeds = doc.install?.seeds || {};
+  const createdSeeds = await createSeeds(seeds, aliasToId, installed.seeds, databases);
+
+  // Optional: attach action URLs based on workflows or defaults
+  if (baseUrl && appSecret) {
+    const { tasksAlias, calendarAlias } = resolveActionLinkAliases(doc);
+    if (tasksAlias) {
+      await refreshActionLinks(aliasToId[tasksAlias], baseUrl, appSecret, calendarAlias ? aliasToId[calendarAlias] : undefined);
+    }
+  }
+
+  // Create minimal install info page (without secrets); on upgrade its content is replaced
+  const installInfo = buildInstallInfo(doc, aliasToId, baseUrl);
+  let infoId = previous?.info;
+  if (infoId) {
+    for (const block of await getAllBlocks(infoId)) {
+      await withRetry(() => ensureClient().blocks.delete({ block_id: block.id }));
+    }
+  } else {
+    const info = await withRetry(() => ensureClient().pages.create({
+      parent: { page_id: targetPageId },
+      properties: { title: { title: [{ type: 'text', text: { content: installInfo.title } }] } },
+    }));
+    infoId = info.id;
+  }
+  const state = {
+    app: doc.metadata?.name || 'App',
+    version: doc.metadata?.version || null,
+    previousVersion: previous ? previous.version || null : undefined,
+    target: targetPageId,
+    deployedAt: new Date().toISOString(),
+    info: infoId,
+    databases: aliasToId,
+    pages: createdPages,
+    seeds: { ...installed.seeds, ...createdSeeds.keys },
+  };
+  await withRetry(() => ensureClient().blocks.children.append({ block_id: infoId, children: [...installInfo.children, stateToBlock(state)] }));
+  if (opts.statePath) writeStateFile(opts.statePath, state);
+
+  return { aliasToId, pages: createdPages, info: infoId, state, upgraded: !!previous, upgrades, warnings, seeded: createdSeeds.rows };
+}
+
+// --- Blueprint export ----------------------------------------------------------------
+// to-blueprint turns an app built by hand under one page into a blueprint that deploy can
+// install elsewhere. Every database under the page (at any depth) becomes a resource with an
+// alias, relations point at aliases and two-way relations are declared on one side only.
+// Direct sub-pages become blueprint pages; pages below them stay inline in their content.
+
+// Icons and covers that stay valid in a blueprint (Notion-hosted file URLs expire)
+function portableMedia(media) {
+  return media && (media.type === 'emoji' || media.type === 'external') ? media : undefined;
+}
+
+// Blueprint property schema for a database template property, or null when the blueprint
+// format cannot express it
+function blueprintProperty(def, aliasOf) {
+  const type = propertyTypeOf(def);
+  const body = def[type] || {};
+  if (!BLUEPRINT_PROPERTY_TYPES.includes(type)) return null;
+  switch (type) {
+    case 'select':
+    case 'multi_select':
+    case 'status':
+      return { type, [type]: { options: (body.options || []).map(o => (o.color && o.color !== 'default' ? { name: o.name, color: o.color } : o.name)) } };
+    case 'number':
+      return body.format && body.format !== 'number' ? { type, number: { format: body.format } } : { type };
+    case 'unique_id':
+      return body.prefix ? { type, unique_id: { prefix: body.prefix } } : { type };
+    case 'formula':
+      return { type, formula: { expression: body.expression || '' } };
+    case 'rollup':
+      return { type, rollup: { relation: body.relation_property_name, property: body.rollup_property_name, function: body.function || 'show_original' } };
+    case 'relation': {
+      const alias = aliasOf(body.database_id);
+      if (!alias) return null;
+      const dual = body.type === 'dual_property' ? body.dual_property?.synced_property_name || true : undefined;
+      return { type, relation: dual === undefined ? { database: alias } : { database: alias, dual_property: dual } };
+    }
+    default:
+      return { type };
+  }
+}
+
+// Seed value for a portable row value: plain values, relations as ref(alias.key)
+function seedValue(value, refOf) {
+  const type = Object.keys(value || {})[0];
+  if (type === 'relation') return value.relation.map(r => refOf(r.id)).filter(Boolean);
+  if (type === 'files') {
+    // Notion-hosted file URLs expire, so seeds keep only external files
+    const plain = propertyValueToPlain({ files: value.files.filter(f => f.type === 'external') });
+    return plain.length ? plain : null;
+  }
+  return propertyValueToPlain(value);
+}
+
+// Databases under a page template (at any depth, also inside sub-pages, columns and toggles)
+// and the page's content without them
+function extractDatabases(blocks, found, warnings, where) {
+  const out = [];
+  for (const block of blocks || []) {
+    if (block.type === 'child_database') {
+      if (where) warnings.push(`Database "${block.child_database.title}" in ${where} is deployed directly under the target page`);
+      found.push(block);
+      continue;
+    }
+    const type = block.type;
+    const inner = childrenOf(block);
+    if (!inner.length) {
+      out.push(block);
+      continue;
+    }
+    const title = type === 'child_page' ? `"${block.child_page.title}"` : where;
+    const children = extractDatabases(inner, found, warnings, title || where);
+    out.push({ ...block, [type]: { ...block[type], children } });
+  }
+  return out;
+}
+
+// Rich text as a blueprint author would write it: no plain_text copies or default annotations
+function blueprintRichText(rich) {
+  return rich.map(({ plain_text: plainText, href, annotations, ...item }) => {
+    if (item.text && !item.text.link) item.text = { content: item.text.content };
+    const active = Object.fromEntries(Object.entries(annotations || {}).filter(([k, v]) => v && !(k === 'color' && v === 'default')));
+    return Object.keys(active).length ? { ...item, annotations: active } : item;
+  });
+}
+
+// Strip what a blueprint cannot carry from exported blocks: IDs, expiring file icons and
+// Notion-hosted media (reported in warnings)
+function blueprintBlocks(blocks, warnings, where) {
+  const out = [];
+  for (const block of blocks) {
+    const { id, ...rest } = block;
+    const body = { ...rest[rest.type] };
+    if (FILE_BLOCK_TYPES.has(rest.type) && body.type !== 'external') {
+      const name = body.name || richTextToPlain(body.caption) || rest.type;
+      warnings.push(`Uploaded ${rest.type} "${name}" in ${where} was left out: its URL expires (use an external link instead)`);
+      continue;
+    }
+    for (const key of ['rich_text', 'caption']) {
+      if (Array.isArray(body[key])) body[key] = blueprintRichText(body[key]);
+    }
+    if (rest.type === 'child_page') {
+      body.icon = portableMedia(body.icon);
+      body.cover = portableMedia(body.cover);
+      if (!body.icon) delete body.icon;
+      if (!body.cover) delete body.cover;
+    }
+    if (Array.isArray(body.children)) {
+      body.children = blueprintBlocks(body.children, warnings, rest.type === 'child_page' ? `"${body.title}"` : where);
+    }
+    out.push({ ...rest, [rest.type]: body });
+  }
+  return out;
+}
+
+async function exportToBlueprint(rootPageId, opts = {}) {
+  const root = await exportToTemplate(rootPageId, { withRows: opts.withRows });
+  if (root.kind !== 'page') throw new Error('to-blueprint needs a page: the page the app lives under');
+  const warnings = [];
+  const found = [];
+  const usedAliases = new Set();
+  const pageBlocks = [];
+  const loose = [];
+  for (const block of root.children) {
+    if (block.type === 'child_page') pageBlocks.push(block);
+    else loose.push(block);
+  }
+  const rootContent = extractDatabases(loose, found, warnings, null);
+  const pages = [];
+  // Content of the root page itself has no place in a deploy target, so it becomes a page too
+  if (rootContent.length) {
+    pages.push({ alias: uniqueSlug(root.title, usedAliases), title: root.title, children: blueprintBlocks(rootContent, warnings, `"${root.title}"`) });
+  }
+  for (const block of pageBlocks) {
+    const { title, icon, cover, children = [] } = block.child_page;
+    // The install info page of an earlier deploy is recreated by every deploy
+    if (children.some(b => b.type === 'code' && richTextToPlain(b.code?.caption) === STATE_CAPTION)) {
+      warnings.push(`"${title}" is the install info page of a deployed app and was left out`);
+      continue;
+    }
+    const page = { alias: uniqueSlug(title, usedAliases), title };
+    if (portableMedia(icon)) page.icon = icon;
+    if (portableMedia(cover)) page.cover = cover;
+    const content = extractDatabases(children, found, warnings, `"${title}"`);
+    if (content.length) page.children = blueprintBlocks(content, warnings, `"${title}"`);
+    pages.push(page);
+  }
+
+  const aliases = new Map(found.map(block => [normalizeId(block.id), uniqueSlug(block.child_database.title, usedAliases)]));
+  const aliasOf = (id) => aliases.get(normalizeId(id));
+  const databases = [];
+  const declared = new Set();
+  for (const block of found) {
+    const tpl = block.child_database;
+    const alias = aliasOf(block.id);
+    const properties = {};
+    for (const [name, def] of Object.entries(tpl.properties || {})) {
+      // The back-reference of a two-way relation is created by deploy from the other side
+      if (declared.has(`${alias}\u0000${name}`)) continue;
+      const schema = blueprintProperty(def, aliasOf);
+      if (!schema) {
+        const type = propertyTypeOf(def);
+        warnings.push(type === 'relation'
+          ? `${alias}.${name}: relation to a database outside the page was left out`
+          : `${alias}.${name}: ${type} properties cannot be deployed and were left out`);
+        continue;
+      }
+      properties[name] = schema;
+      const back = schema.relation?.dual_property;
+      if (typeof back === 'string') declared.add(`${schema.relation.database}\u0000${back}`);
+    }
+    const db = { alias, title: tpl.title, properties };
+    if (portableMedia(tpl.icon)) db.icon = tpl.icon;
+    if (portableMedia(tpl.cover)) db.cover = tpl.cover;
+    databases.push(db);
+  }
+  // Rollups over a relation that was left out cannot be deployed either
+  for (const db of databases) {
+    for (const [name, def] of Object.entries(db.properties)) {
+      if (def.type !== 'rollup' || db.properties[def.rollup.relation] || declared.has(`${db.alias}\u0000${def.rollup.relation}`)) continue;
+      warnings.push(`${db.alias}.${name}: rollup over the left-out relation "${def.rollup.relation}" was left out`);
+      delete db.properties[name];
+    }
+  }
+
+  const doc = { metadata: { name: opts.name || root.title, version: '1.0.0' }, resources: {} };
+  if (databases.length) doc.resources.databases = databases;
+  if (pages.length) doc.resources.pages = pages;
+
+  if (opts.withRows) {
+    // Rows are keyed by title; repeated titles get an explicit $key
+    const rowRefs = new Map();
+    const keyed = found.map((block) => {
+      const alias = aliasOf(block.id);
+      const titleName = Object.keys(block.child_database.properties || {}).find(n => propertyTypeOf(block.child_database.properties[n]) === 'title');
+      const used = new Set();
+      return (block.child_database.rows || []).map((row) => {
+        const title = richTextToPlain(row.properties?.[titleName]?.title) || 'Untitled';
+        let key = title;
+        for (let n = 2; used.has(key); n++) key = `${title} (${n})`;
+        used.add(key);
+        rowRefs.set(normalizeId(row.id), `ref(${alias}.${key})`);
+        return { alias, row, key, title };
+      });
+    });
+    const seeds = {};
+    for (const rows of keyed) {
+      for (const { alias, row, key, title } of rows) {
+        const db = databases.find(d => d.alias === alias);
+        const seed = key === title ? {} : { $key: key };
+        for (const [name, value] of Object.entries(row.properties || {})) {
+          if (!db.properties[name]) continue;
+          const plain = seedValue(value, id => rowRefs.get(normalizeId(id)));
+          if (plain === null || plain === '' || (Array.isArray(plain) && !plain.length)) continue;
+          seed[name] = plain;
         }
-      } catch (err) {
-        spinner.fail(kleur.red(err.message));
-        process.exitCode = 1;
+        if (row.children?.length) warnings.push(`${alias}: content of row "${key}" is not part of seeds`);
+        (seeds[alias] = seeds[alias] || []).push(seed);
       }
-    })
-    .command('refresh-actions <tasksDbId>', 'Re-issue signed Start/Pause/Stop URLs for all tasks in a database', (y) => {
-      return y
-        .positional('tasksDbId', { describe: 'Tasks database ID', type: 'string' })
-        .option('baseUrl', { type: 'string', demandOption: true, describe: 'Backend base URL (e.g., https://app.vercel.app/api)' })
-        .option('appSecret', { type: 'string', demandOption: true, describe: 'HMAC secret used by the backend' })
-        .option('calendarDbId', { type: 'string', describe: 'Optional Calendar database ID for stop action payload' });
-    }, async (args) => {
-      const spinner = ora('Refreshing action URLs...').start();
-      try {
-        assertIdLike(args.tasksDbId, 'tasksDbId');
-        if (args.calendarDbId) assertIdLike(args.calendarDbId, 'calendarDbId');
-        await refreshActionLinks(args.tasksDbId, args.baseUrl, args.appSecret, args.calendarDbId);
-        spinner.succeed(kleur.green('Refreshed action URLs for all tasks.'));
-      } catch (err) {
-        spinner.fail(kleur.red(err.message));
-        process.exitCode = 1;
+    }
+    if (Object.keys(seeds).length) doc.install = { seeds };
+  }
+  const text = `# Blueprint exported from ${rootPageId}; deploy with: node index.js deploy <file> <targetPageId>\n`
+    + yaml.dump(doc, { lineWidth: -1, noRefs: true });
+  return { doc, yaml: text, databases: databases.length, pages: pages.length, warnings };
+}
+
+// --- Uninstall ---------------------------------------------------------------
+// Archives what a deploy recorded in its state manifest. Archived objects stay in the Notion
+// trash; --backup additionally exports them as JSON templates that from-json can recreate.
+
+// Deploy states of every app installed directly under a target page
+async function findInstalledApps(targetPageId) {
+  const apps = [];
+  for (const block of await getAllBlocks(targetPageId)) {
+    if (block.type !== 'child_page' || !block.child_page?.title?.endsWith(' - Installed')) continue;
+    const state = await readStateFromInfoPage(block.id);
+    if (state) apps.push({ ...state, info: state.info || block.id });
+  }
+  return apps;
+}
+
+async function resolveInstalledState(targetPageId, opts = {}) {
+  if (opts.statePath) {
+    const full = path.resolve(process.cwd(), opts.statePath);
+    if (!fs.existsSync(full)) throw new Error(`State file not found: ${opts.statePath}`);
+    return JSON.parse(fs.readFileSync(full, 'utf8'));
+  }
+  let apps = await findInstalledApps(targetPageId);
+  if (opts.app) apps = apps.filter(a => a.app === opts.app);
+  if (!apps.length) {
+    throw new Error(`No deployed app${opts.app ? ` named "${opts.app}"` : ''} found in ${targetPageId}`);
+  }
+  if (apps.length > 1) {
+    throw new Error(`Several apps are installed in ${targetPageId} (${apps.map(a => a.app).join(', ')}); pick one with --app`);
+  }
+  return apps[0];
+}
+
+// Suffix of the files one backup writes, so that runs into the same directory keep their files
+function backupRunId() {
+  return `${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function backupFileName(alias, runId) {
+  return `${String(alias).replace(/[^\w.-]+/g, '_')}.${runId}.json`;
+}
+
+// Steps an uninstall performs, in order: optional exports, seed rows, pages, databases, info page.
+// Backup files carry opts.backupId (one is made up when missing).
+function planUninstall(state, opts = {}) {
+  const steps = [];
+  const databases = Object.entries(state.databases || {});
+  const pages = Object.entries(state.pages || {});
+  if (opts.backupDir) {
+    const runId = opts.backupId || backupRunId();
+    for (const [alias, id] of databases) steps.push({ action: 'export', kind: 'database', alias, id, file: path.join(opts.backupDir, backupFileName(alias, runId)) });
+    for (const [alias, id] of pages) steps.push({ action: 'export', kind: 'page', alias, id, file: path.join(opts.backupDir, backupFileName(alias, runId)) });
+  }
+  for (const [alias, rows] of Object.entries(state.seeds || {})) {
+    const ids = Object.values(rows || {});
+    if (ids.length) steps.push({ action: 'archive_rows', database: alias, ids, titles: Object.keys(rows) });
+  }
+  for (const [alias, id] of pages) steps.push({ action: 'archive', kind: 'page', alias, id });
+  for (const [alias, id] of databases) steps.push({ action: 'archive', kind: 'database', alias, id });
+  if (state.info) steps.push({ action: 'archive', kind: 'page', title: `${state.app || 'App'} - Installed`, id: state.info });
+  return { command: 'uninstall', target: state.target, app: state.app, version: state.version, steps };
+}
+
+// Archive a page or database; objects that are already gone are reported, not fatal
+async function archiveObject(kind, id) {
+  try {
+    if (kind === 'database') {
+      await withRetry(() => ensureClient().databases.update({ database_id: id, archived: true }));
+    } else {
+      await withRetry(() => ensureClient().pages.update({ page_id: id, archived: true }));
+    }
+    return true;
+  } catch (err) {
+    if (err?.status === 404 || err?.code === 'object_not_found') return false;
+    throw err;
+  }
+}
+
+async function uninstallApp(state, opts = {}) {
+  const backupId = opts.backupId || backupRunId();
+  const plan = planUninstall(state, { ...opts, backupId });
+  const result = { archived: 0, missing: [], exported: [] };
+  if (opts.backupDir) {
+    const dir = path.resolve(process.cwd(), opts.backupDir);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    // The copy is a backup, not a file for uninstall to remove later
+    const { writtenBy, ...manifest } = state;
+    result.stateBackup = path.join(opts.backupDir, backupFileName('state', backupId));
+    fs.writeFileSync(path.resolve(process.cwd(), result.stateBackup), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  }
+  for (const step of plan.steps) {
+    if (step.action === 'export') {
+      const tpl = await exportToTemplate(step.id, { withRows: step.kind === 'database' });
+      fs.writeFileSync(path.resolve(process.cwd(), step.file), JSON.stringify(tpl, null, 2) + '\n', 'utf8');
+      result.exported.push(step.file);
+    } else if (step.action === 'archive_rows') {
+      for (const id of step.ids) {
+        if (await archiveObject('page', id)) result.archived++;
+        else result.missing.push(`${step.database} row ${id}`);
       }
-    })
-    .demandCommand(1)
-    .help()
-    .argv;
+    } else if (step.action === 'archive') {
+      if (await archiveObject(step.kind, step.id)) result.archived++;
+      else result.missing.push(`${step.kind} ${step.alias || step.title} ${step.id}`);
+    }
+  }
+  if (opts.statePath) result.stateFileRemoved = removeStateFile(opts.statePath);
+  return result;
 }
 
-main().catch((e) => {
-  console.error(kleur.red(e.stack || e.message));
-  process.exit(1);
-});
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// --- Diff ------------------------------------------------------------------------
+// diff compares what a JSON template, a blueprint or an existing object describes (A) with a
+// live page or database (B): database schemas property by property (type, options, relation,
+// rollup, formula, number format) and page block trees block by block. "added" means only B
+// has it, "removed" only A. Relations are compared by the title of the related database
+// because the IDs differ between a template and its copies.
+
+// A diff operand: a template file, a blueprint file or a Notion ID
+async function loadDiffSide(ref, opts = {}) {
+  const full = path.resolve(process.cwd(), String(ref));
+  if (fs.existsSync(full) && fs.statSync(full).isFile()) {
+    const source = fs.readFileSync(full, 'utf8');
+    const doc = /\.json$/i.test(full) ? JSON.parse(source) : (yaml ? yaml.load(source) : JSON.parse(source));
+    if (doc && typeof doc === 'object' && 'kind' in doc) {
+      return { kind: 'template', label: ref, tpl: loadTemplateWithVariables(doc, opts.variables) };
+    }
+    return { kind: 'blueprint', label: ref, doc: loadBlueprint(full, opts) };
+  }
+  if (!isNotionId(ref)) throw new Error(`${ref} is neither a template/blueprint file nor a Notion ID`);
+  return { kind: 'object', label: ref, id: ref, tpl: await exportToTemplate(ref) };
+}
+
+// The template shape of a blueprint database, with relations pointing at `alias:<alias>` and the
+// back-references that two-way relations of other databases add to it
+function blueprintDatabaseTemplate(db, databases) {
+  const aliasIds = Object.fromEntries(databases.map(d => [d.alias, `alias:${d.alias}`]));
+  const properties = buildDbProperties(db.properties, aliasIds);
+  for (const [name, def] of Object.entries(db.properties || {})) {
+    const back = dualPropertyName(def);
+    if (back && properties[name]) properties[name].relation.dual_property = { synced_property_name: back };
+  }
+  // Two-way relations without a back-reference name leave Notion to name it
+  const unnamedBackReferences = [];
+  for (const other of databases) {
+    for (const [name, def] of Object.entries(other.properties || {})) {
+      if (def?.type !== 'relation' || !def.relation?.dual_property || def.relation.database !== db.alias) continue;
+      const back = dualPropertyName(def);
+      if (!back) unnamedBackReferences.push(`alias:${other.alias}`);
+      else if (!properties[back]) properties[back] = { relation: { database_id: `alias:${other.alias}`, type: 'dual_property', dual_property: { synced_property_name: name } } };
+    }
+  }
+  return { kind: 'database', title: db.title || db.alias, properties, unnamedBackReferences };
+}
+
+// Databases (by ID or blueprint alias) whose titles label relations, and the relation
+// targets that are not among them
+function collectDiffDatabases(node, titles = new Map(), targets = new Set()) {
+  if (!node || typeof node !== 'object') return { titles, targets };
+  if (Array.isArray(node)) {
+    node.forEach(n => collectDiffDatabases(n, titles, targets));
+    return { titles, targets };
+  }
+  const db = node.kind === 'database' ? node : node.type === 'child_database' ? node.child_database : null;
+  if (db && (node.id || db.id)) titles.set(normalizeId(node.id || db.id), db.title || '');
+  for (const def of Object.values(db?.properties || {})) {
+    if (propertyTypeOf(def) === 'relation' && def.relation?.database_id) targets.add(def.relation.database_id);
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'properties' && key !== 'rows' && value && typeof value === 'object') collectDiffDatabases(value, titles, targets);
+  }
+  return { titles, targets };
+}
+
+async function resolveRelationTitles(sides) {
+  const titles = new Map();
+  const targets = new Set();
+  for (const side of sides) {
+    const found = collectDiffDatabases(side.tpl);
+    found.titles.forEach((title, id) => titles.set(id, title));
+    found.targets.forEach(id => targets.add(id));
+  }
+  for (const id of targets) {
+    if (titles.has(normalizeId(id)) || String(id).startsWith('alias:')) continue;
+    try {
+      const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: id }));
+      titles.set(normalizeId(id), getDatabaseTitleText(db));
+    } catch (_) {
+      // Not shared with the integration (or gone): the ID has to do
+    }
+  }
+  return (id) => (titles.has(normalizeId(id)) ? `"${titles.get(normalizeId(id))}"` : String(id).startsWith('alias:') ? String(id).slice(6) : id);
+}
+
+// What is compared of a property, besides its options
+function propertyFacts(def, relationLabel) {
+  const type = propertyTypeOf(def);
+  const body = def[type] || {};
+  const facts = { type };
+  if (type === 'number') facts.format = body.format || 'number';
+  if (type === 'formula') facts.expression = body.expression || '';
+  if (type === 'rollup') facts.rollup = `${body.function || 'show_original'}(${body.relation_property_name}.${body.rollup_property_name})`;
+  if (type === 'relation') {
+    facts.relation = relationLabel(body.database_id);
+    facts.twoWay = body.type === 'dual_property';
+    if (facts.twoWay && body.dual_property?.synced_property_name) facts.syncedAs = body.dual_property.synced_property_name;
+  }
+  if (type === 'unique_id') facts.prefix = body.prefix || null;
+  return facts;
+}
+
+function describeFacts(facts) {
+  if (facts.type === 'relation') return `relation -> ${facts.relation}${facts.twoWay ? ` (two-way${facts.syncedAs ? ` as ${facts.syncedAs}` : ''})` : ''}`;
+  const extra = facts.format || facts.expression || facts.rollup || facts.prefix;
+  return extra && extra !== 'number' ? `${facts.type} ${extra}` : facts.type;
+}
+
+const optionNames = (def) => (def[propertyTypeOf(def)]?.options || []).map(o => (typeof o === 'string' ? o : o.name));
+
+function diffDatabaseTemplates(a, b, pathSegs, ctx) {
+  const { out } = ctx;
+  if ((a.title || '') !== (b.title || '')) out.push({ change: 'changed', path: pathSegs, subject: 'title', from: a.title, to: b.title });
+  const propsA = a.properties || {};
+  const propsB = b.properties || {};
+  for (const [name, def] of Object.entries(propsA)) {
+    const facts = propertyFacts(def, ctx.relationLabel);
+    if (!propsB[name]) {
+      out.push({ change: 'removed', path: pathSegs, subject: `property ${name}`, from: describeFacts(facts) });
+      continue;
+    }
+    const live = propertyFacts(propsB[name], ctx.relationLabel);
+    // Synced names are only compared when both sides know them
+    if (!facts.syncedAs || !live.syncedAs) {
+      delete facts.syncedAs;
+      delete live.syncedAs;
+    }
+    if (JSON.stringify(facts) !== JSON.stringify(live)) {
+      out.push({ change: 'changed', path: pathSegs, subject: `property ${name}`, from: describeFacts(facts), to: describeFacts(live) });
+      continue;
+    }
+    const have = optionNames(propsB[name]);
+    const want = optionNames(def);
+    want.filter(o => !have.includes(o)).forEach(o => out.push({ change: 'removed', path: [...pathSegs, `property ${name}`], subject: `option ${o}` }));
+    have.filter(o => !want.includes(o)).forEach(o => out.push({ change: 'added', path: [...pathSegs, `property ${name}`], subject: `option ${o}` }));
+  }
+  const unnamed = new Set((a.unnamedBackReferences || []).map(ctx.relationLabel));
+  for (const [name, def] of Object.entries(propsB)) {
+    const facts = propertyFacts(def, ctx.relationLabel);
+    if (facts.twoWay && unnamed.has(facts.relation)) continue;
+    if (!propsA[name]) out.push({ change: 'added', path: pathSegs, subject: `property ${name}`, to: describeFacts(facts) });
+  }
+}
+
+// Text a block is recognised by: its rich text, title, URL, checkbox or table cells
+function blockText(block) {
+  const body = block[block.type] || {};
+  if (block.type === 'child_page' || block.type === 'child_database') return body.title || '';
+  if (block.type === 'table_row') return (body.cells || []).map(richTextToPlain).join(' | ');
+  const parts = [];
+  if (block.type === 'to_do') parts.push(body.checked ? '[x]' : '[ ]');
+  if (body.rich_text) parts.push(richTextToPlain(body.rich_text));
+  if (body.url || body.external?.url) parts.push(body.url || body.external.url);
+  if (body.expression) parts.push(body.expression);
+  return parts.join(' ');
+}
+
+function describeBlock(block) {
+  const text = blockText(block).replace(/\s+/g, ' ');
+  return text ? `${block.type} "${text.length > 40 ? `${text.slice(0, 39)}…` : text}"` : block.type;
+}
+
+// Block lists are aligned on their longest common subsequence; unmatched blocks of the same
+// type at the same place count as changed, the rest as added or removed
+function diffBlockLists(a, b, pathSegs, ctx) {
+  const key = (block) => `${block.type}\u0000${blockText(block)}`;
+  const keysA = a.map(key);
+  const keysB = b.map(key);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = keysA[i] === keysB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (const block of removed) {
+      const index = added.findIndex(other => other.type === block.type);
+      if (index < 0) {
+        ctx.out.push({ change: 'removed', path: pathSegs, subject: `block ${describeBlock(block)}` });
+        continue;
+      }
+      const [other] = added.splice(index, 1);
+      ctx.out.push({ change: 'changed', path: pathSegs, subject: `block ${block.type}`, from: describeBlock(block), to: describeBlock(other) });
+      diffBlockContent(block, other, pathSegs, ctx);
+    }
+    added.forEach(block => ctx.out.push({ change: 'added', path: pathSegs, subject: `block ${describeBlock(block)}` }));
+    removed = [];
+    added = [];
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && keysA[i] === keysB[j]) {
+      flush();
+      diffBlockContent(a[i++], b[j++], pathSegs, ctx);
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+}
+
+function diffBlockContent(a, b, pathSegs, ctx) {
+  const inner = [...pathSegs, describeBlock(a)];
+  if (a.type === 'child_database') diffDatabaseTemplates(a.child_database, b.child_database, inner, ctx);
+  else diffBlockLists(childrenOf(a), childrenOf(b), inner, ctx);
+}
+
+function diffTemplates(a, b, pathSegs, ctx) {
+  if (a.kind !== b.kind) {
+    ctx.out.push({ change: 'changed', path: pathSegs, subject: 'kind', from: a.kind, to: b.kind });
+  } else if (a.kind === 'database') {
+    diffDatabaseTemplates(a, b, pathSegs, ctx);
+  } else {
+    if ((a.title || '') !== (b.title || '')) ctx.out.push({ change: 'changed', path: pathSegs, subject: 'title', from: a.title, to: b.title });
+    diffBlockLists(a.children || [], b.children || [], pathSegs, ctx);
+  }
+}
+
+// Blueprint against the app deployed into targetPageId: each database and page of the
+// blueprint against the object the deploy state records for it
+async function diffBlueprint(side, targetPageId, opts) {
+  const { doc } = side;
+  const state = await resolveInstalledState(targetPageId, { statePath: opts.statePath, app: opts.app || doc.metadata?.name });
+  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
+  const pages = Array.isArray(doc.resources?.pages) ? doc.resources.pages : [];
+  const pairs = [];
+  const out = [];
+  const exportInstalled = async (id, label) => {
+    try {
+      return await exportToTemplate(id);
+    } catch (_) {
+      out.push({ change: 'removed', path: [], subject: `${label} (deployed as ${id}, no longer in Notion)` });
+      return null;
+    }
+  };
+  for (const db of databases) {
+    const label = `database ${db.title || db.alias}`;
+    const id = state.databases?.[db.alias];
+    if (!id) {
+      out.push({ change: 'removed', path: [], subject: `${label} (not deployed)` });
+      continue;
+    }
+    const live = await exportInstalled(id, label);
+    if (live) pairs.push([blueprintDatabaseTemplate(db, databases), live, label]);
+  }
+  for (const pg of pages) {
+    const label = `page ${pg.title || pg.alias}`;
+    const id = state.pages?.[pageStateKey(pg)];
+    if (!id) {
+      out.push({ change: 'removed', path: [], subject: `${label} (not deployed)` });
+      continue;
+    }
+    const live = await exportInstalled(id, label);
+    if (live) pairs.push([{ kind: 'page', title: pg.title || 'Untitled', children: pg.children || [] }, live, label]);
+  }
+  const aliases = new Set(databases.map(db => db.alias));
+  for (const [alias, id] of Object.entries(state.databases || {})) {
+    if (!aliases.has(alias)) out.push({ change: 'added', path: [], subject: `database ${alias} (deployed as ${id}, not in the blueprint)` });
+  }
+  const titles = new Map(databases.map(db => [`alias:${db.alias}`, db.title || db.alias]));
+  const liveLabel = await resolveRelationTitles(pairs.map(([, live]) => ({ tpl: live })));
+  // Blueprint relations point at aliases; live ones are labelled by the related database's title
+  const relationLabel = (id) => (titles.has(id) ? `"${titles.get(id)}"` : liveLabel(id));
+  for (const [want, live, label] of pairs) diffTemplates(want, live, [label], { out, relationLabel });
+  return out;
+}
+
+async function diffObjects(refA, refB, opts = {}) {
+  const a = await loadDiffSide(refA, opts);
+  if (!isNotionId(refB) && a.kind === 'blueprint') throw new Error('A blueprint is compared with the page it was deployed into: diff <blueprint> <targetPageId>');
+  let differences;
+  if (a.kind === 'blueprint') {
+    differences = await diffBlueprint(a, refB, opts);
+  } else {
+    const b = await loadDiffSide(refB, opts);
+    if (b.kind === 'blueprint') throw new Error('Put the blueprint first: diff <blueprint> <targetPageId>');
+    const relationLabel = await resolveRelationTitles([a, b]);
+    differences = [];
+    const label = `${a.tpl.kind} ${a.tpl.title || ''}`.trim();
+    diffTemplates(a.tpl, b.tpl, [label], { out: differences, relationLabel });
+  }
+  return { a: String(refA), b: String(refB), drift: differences.length > 0, differences };
+}
+
+function formatDiff(result) {
+  const sign = { added: '+', removed: '-', changed: '~' };
+  return result.differences.map((d) => {
+    const where = [...d.path, d.subject].join(' › ');
+    if (d.change === 'changed') return `  ~ ${where}: ${d.from} -> ${d.to}`;
+    const detail = d.from || d.to;
+    return `  ${sign[d.change]} ${where}${detail ? ` (${detail})` : ''}`;
+  });
+}
+
+// --- Schema migration -------------------------------------------------------------
+// apply-schema brings an existing database to the schema of a `kind: database` template.
+// Renames (from the template's `renames` map), new properties, new options and changed
+// number formats, formulas and rollups are applied directly; deleting properties and
+// changing property types lose data and only run with allowDestructive. Existing relations
+// keep their target: templates exported from another copy point at other database IDs.
+
+// Facts of a property that apply-schema updates in place (the type itself aside)
+function schemaSettings(def) {
+  const { relation, twoWay, syncedAs, ...facts } = propertyFacts(def, id => id);
+  return facts;
+}
+
+function loadDatabaseTemplate(templatePath, variables) {
+  const full = path.resolve(process.cwd(), templatePath);
+  if (!fs.existsSync(full)) throw new Error(`Template not found: ${templatePath}`);
+  const tpl = loadTemplateWithVariables(JSON.parse(fs.readFileSync(full, 'utf8')), variables);
+  if (tpl.kind !== 'database') throw new Error('apply-schema needs a template with kind: database');
+  return tpl;
+}
+
+// Steps that turn the live database `db` into the template's schema, in the order they run.
+// Destructive steps are marked `skipped` unless opts.allowDestructive.
+function planSchemaMigration(tpl, db, opts = {}) {
+  const steps = [];
+  const live = transformPropertiesToCreate(db.properties || {});
+  const liveName = Object.fromEntries(Object.keys(live).map(name => [name, name]));
+  const wanted = tpl.properties || {};
+  const titleOf = (props) => Object.keys(props).find(name => propertyTypeOf(props[name]) === 'title');
+  const renames = { ...(tpl.renames || {}) };
+  // There is exactly one title property on each side, so it is matched without a rename entry
+  const liveTitle = titleOf(live);
+  const wantedTitle = titleOf(wanted);
+  if (liveTitle && wantedTitle && liveTitle !== wantedTitle && !renames[liveTitle]) renames[liveTitle] = wantedTitle;
+  for (const [from, to] of Object.entries(renames)) {
+    if (!live[from] || live[to] || !wanted[to]) continue;
+    steps.push({ action: 'rename_property', from, to });
+    live[to] = live[from];
+    liveName[to] = from;
+    delete live[from];
+  }
+  const destructive = opts.allowDestructive ? {} : { skipped: true, reason: 'needs --allow-destructive' };
+  for (const name of Object.keys(live)) {
+    if (!wanted[name]) steps.push({ action: 'delete_property', name, type: propertyTypeOf(live[name]), destructive: true, ...destructive });
+  }
+  const add = {};
+  const update = {};
+  for (const [name, def] of Object.entries(wanted)) {
+    if (!live[name]) {
+      add[name] = def;
+      continue;
+    }
+    const from = propertyTypeOf(live[name]);
+    const to = propertyTypeOf(def);
+    if (from !== to) {
+      const refused = from === 'title' || to === 'title' ? { skipped: true, reason: 'the title property cannot change type' } : destructive;
+      steps.push({ action: 'change_property_type', name, from, to, property: def, destructive: true, ...refused });
+    } else if (to !== 'relation' && JSON.stringify(schemaSettings(live[name])) !== JSON.stringify(schemaSettings(def))) {
+      update[name] = def;
+    }
+  }
+  const { options } = diffDatabaseSchema(wanted, live);
+  for (const [name, change] of Object.entries(options)) {
+    // Existing options are sent back with their IDs, as read from the database
+    const existing = db.properties[liveName[name]]?.[change.kind]?.options || change.existing;
+    steps.push({ action: 'add_options', name, kind: change.kind, existing, missing: change.missing.map(o => ({ name: o.name, color: o.color || 'default' })) });
+  }
+  if (Object.keys(add).length) steps.push({ action: 'add_properties', properties: add });
+  if (Object.keys(update).length) steps.push({ action: 'update_properties', properties: update, from: Object.fromEntries(Object.keys(update).map(name => [name, live[name]])) });
+  return { command: 'apply-schema', target: db.id, title: getDatabaseTitleText(db), steps };
+}
+
+async function planApplySchema(templatePath, databaseId, opts = {}) {
+  const tpl = loadDatabaseTemplate(templatePath, opts.variables);
+  const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  return planSchemaMigration(tpl, db, opts);
+}
+
+// Property payload for a database update: relations to the template's own database become
+// self-relations of the target, and two-way relations let Notion name the back-reference
+function migrationPayload(def, tpl, databaseId) {
+  const payload = toPropertyPayload(def);
+  const relation = payload.relation;
+  if (relation) {
+    if (tpl.id && normalizeId(relation.database_id) === normalizeId(tpl.id)) relation.database_id = databaseId;
+    if (relation.type === 'dual_property') relation.dual_property = {};
+  }
+  return payload;
+}
 
-// Build Notion DB properties from simplified blueprint schema
-function buildDbProperties(schema = {}, aliasToId = {}) {
-  const out = {};
-  for (const [name, def] of Object.entries(schema)) {
-    const t = def?.type;
-    if (!t) continue;
-    switch (t) {
-      case 'title':
-        out[name] = { title: {} };
-        break;
-      case 'status': {
-        const options = def?.status?.options || [];
-        out[name] = { status: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
-        break;
-      }
-      case 'multi_select': {
-        const options = def?.multi_select?.options || [];
-        out[name] = { multi_select: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
-        break;
-      }
-      case 'select': {
-        const options = def?.select?.options || [];
-        out[name] = { select: { options: options.map(o => ({ name: o.name || o, color: o.color || 'default' })) } };
-        break;
-      }
-      case 'checkbox':
-        out[name] = { checkbox: {} };
-        break;
-      case 'number':
-        out[name] = { number: {} };
-        break;
-      case 'date':
-        out[name] = { date: {} };
+async function applySchema(templatePath, databaseId, opts = {}) {
+  const tpl = loadDatabaseTemplate(templatePath, opts.variables);
+  const db = await withRetry(() => ensureClient().databases.retrieve({ database_id: databaseId }));
+  const plan = planSchemaMigration(tpl, db, opts);
+  const update = (properties) => withRetry(() => ensureClient().databases.update({ database_id: databaseId, properties }));
+  const warnings = [];
+  let applied = 0;
+  for (const step of plan.steps) {
+    if (step.skipped) continue;
+    switch (step.action) {
+      case 'rename_property':
+        await update({ [step.from]: { name: step.to } });
         break;
-      case 'rich_text':
-        out[name] = { rich_text: {} };
+      case 'delete_property':
+        await update({ [step.name]: null });
         break;
-      case 'url':
-        out[name] = { url: {} };
+      case 'change_property_type':
+        await update({ [step.name]: migrationPayload(step.property, tpl, databaseId) });
         break;
-      case 'relation': {
-        const alias = def?.relation?.database;
-        const dbId = aliasToId[alias];
-        if (!dbId) {
-          // Fallback: will set later, but create a placeholder the API rejects; so skip for now
+      case 'add_options': {
+        const merged = { [step.kind]: { options: [...step.existing.map(o => ({ id: o.id, name: o.name, color: o.color })), ...step.missing] } };
+        try {
+          await update({ [step.name]: merged });
+        } catch (err) {
+          // The API may refuse to change status options (same as deploy upgrades)
+          if (step.kind !== 'status') throw err;
+          warnings.push(`${step.name}: could not add status option(s) ${step.missing.map(o => o.name).join(', ')} (${err.message}); add them in Notion`);
           continue;
         }
-        out[name] = { relation: { database_id: dbId } };
         break;
       }
-      default:
-        // ignore unsupported types for now
+      case 'add_properties':
+      case 'update_properties': {
+        // Plain properties first, then relations, then formulas and rollups in dependency order
+        const entries = Object.entries(step.properties);
+        const base = entries.filter(([, def]) => !DEPENDENT_PROPERTY_TYPES.includes(propertyTypeOf(def)));
+        const relations = entries.filter(([, def]) => propertyTypeOf(def) === 'relation');
+        if (base.length) await update(Object.fromEntries(base.map(([name, def]) => [name, migrationPayload(def, tpl, databaseId)])));
+        if (relations.length) await update(Object.fromEntries(relations.map(([name, def]) => [name, migrationPayload(def, tpl, databaseId)])));
+        const computed = entries.filter(([, def]) => ['formula', 'rollup'].includes(propertyTypeOf(def))).map(([name, def]) => ({ name, def }));
+        const ordered = orderByDependencies(computed, n => n.name, n => (propertyTypeOf(n.def) === 'formula'
+          ? [...String(n.def.formula?.expression || '').matchAll(FORMULA_PROP_REF)].map(m => m[1])
+          : []));
+        for (const n of ordered) await update({ [n.name]: migrationPayload(n.def, tpl, databaseId) });
         break;
+      }
+      default:
+        throw new Error(`Unknown schema step ${step.action}`);
     }
+    applied++;
   }
-  return out;
+  return { plan, applied, skipped: plan.steps.filter(s => s.skipped), warnings };
 }
 
-function hmacSign(secret, payload) {
-  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
-}
+// --- Offline Notion --------------------------------------------------------------
+// createMemoryNotion is an in-memory stand-in for the part of the Notion API this tool and the
+// backend templates use: pages, databases and their queries, blocks, users and file uploads,
+// with Notion's pagination, its validation and not-found errors and, on request, 429 responses.
+// --record saves the real API exchanges of a command to a JSONL fixture and --replay answers
+// from such a fixture, so deploys and clones can run without a workspace.
 
-function buildActionUrl(baseUrl, action, params, secret) {
-  const ts = Date.now().toString();
-  const nonce = crypto.randomUUID();
-  const ordered = ['taskId', 'action', 'ts', 'nonce', 'tasksDbId', 'calendarDbId']
-    .map(k => params[k] || (k === 'action' ? action : ''));
-  const sig = secret ? hmacSign(secret, ordered.join('|')) : undefined;
-  const sp = new URLSearchParams({ ...params, action, ts, nonce });
-  if (sig) sp.set('sig', sig);
-  const url = `${baseUrl.replace(/\/$/, '')}/a/${action}?${sp.toString()}`;
-  return url;
-}
+// Methods a replay client answers (and createMemoryNotion implements)
+const NOTION_METHODS = [
+  'pages.create', 'pages.retrieve', 'pages.update',
+  'databases.create', 'databases.retrieve', 'databases.update', 'databases.query',
+  'blocks.retrieve', 'blocks.update', 'blocks.delete', 'blocks.children.list', 'blocks.children.append',
+  'users.list', 'users.me', 'fileUploads.create', 'fileUploads.send', 'fileUploads.complete',
+];
+// Block types the API lists but does not create
+const UNCREATABLE_BLOCK_TYPES = ['child_page', 'child_database', 'unsupported', 'link_preview', 'synced_block_reference', 'template', 'breadcrumb_reference'];
 
-async function injectActionLinksOnTask(taskPageId, links) {
-  // Append a paragraph with Start | Pause | Stop links
-  const rich = [];
-  const entries = [ ['Start', links.start], ['Pause', links.pause], ['Stop', links.stop] ];
-  entries.forEach((pair, idx) => {
-    const [label, href] = pair;
-    rich.push({ type: 'text', text: { content: label, link: { url: href } } });
-    if (idx < entries.length - 1) rich.push({ type: 'text', text: { content: '  |  ' } });
+function notionError(status, code, message, headers = {}) {
+  return new APIResponseError({
+    code,
+    status,
+    message,
+    headers: new Headers(headers),
+    rawBodyText: JSON.stringify({ object: 'error', status, code, message }),
   });
-  await withRetry(() => ensureClient().blocks.children.append({
-    block_id: taskPageId,
-    children: [{ type: 'paragraph', paragraph: { rich_text: rich } }],
-  }));
 }
 
-async function setTaskUrlProperties(taskId, urls) {
-  await withRetry(() => ensureClient().pages.update({
-    page_id: taskId,
-    properties: {
-      'Start URL': { url: urls.start },
-      'Pause URL': { url: urls.pause },
-      'Stop URL': { url: urls.stop },
-    },
-  }));
+// A client object with the SDK's namespaces (pages.create, blocks.children.list, ...) whose
+// methods all go through call(method, args)
+function clientFromMethods(methods, call) {
+  const client = {};
+  for (const method of methods) {
+    const keys = method.split('.');
+    const owner = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), client);
+    owner[keys[keys.length - 1]] = (args = {}) => call(method, args);
+  }
+  return client;
 }
 
-// New: reusable helper to refresh action URLs for every task in a database
-async function refreshActionLinks(tasksDbId, baseUrl, appSecret, calendarDbId) {
-  if (!tasksDbId) throw new Error('tasksDbId is required');
-  if (!baseUrl) throw new Error('baseUrl is required');
-  if (!appSecret) throw new Error('appSecret is required');
-  let cursor;
-  do {
-    const resp = await withRetry(() => ensureClient().databases.query({ database_id: tasksDbId, start_cursor: cursor }));
-    for (const row of resp.results) {
-      const urls = {
-        start: buildActionUrl(baseUrl, 'start', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
-        pause: buildActionUrl(baseUrl, 'pause', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
-        stop: buildActionUrl(baseUrl, 'stop', { taskId: row.id, tasksDbId, calendarDbId: calendarDbId || '' }, appSecret),
-      };
-      await setTaskUrlProperties(row.id, urls);
-      // Intentionally do NOT inject new link paragraphs to avoid duplicates.
+const copyJson = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+function createMemoryNotion({ users = [], throttleEvery = 0, retryAfter = 1 } = {}) {
+  const objects = new Map(); // normalized ID -> page, database, block or file upload
+  const children = new Map(); // normalized parent ID -> IDs of blocks, sub-pages and inline databases
+  const rows = new Map(); // normalized database ID -> IDs of its pages
+  const sequences = new Map(); // normalized database ID -> last unique_id number
+  const bot = { object: 'user', id: crypto.randomUUID(), type: 'bot', name: 'Memory Notion', bot: {} };
+  const people = [
+    ...users.map(u => ({ object: 'user', id: u.id || crypto.randomUUID(), type: 'person', name: u.name || u.email, person: { email: u.email } })),
+    bot,
+  ];
+  const author = { object: 'user', id: bot.id };
+  let requests = 0;
+  let throttleLeft = 0;
+
+  const now = () => new Date().toISOString();
+  const shortId = () => crypto.randomBytes(3).toString('base64url').slice(0, 4);
+  const invalid = (message) => notionError(400, 'validation_error', message);
+  const listOf = (map, id) => {
+    if (!map.has(normalizeId(id))) map.set(normalizeId(id), []);
+    return map.get(normalizeId(id));
+  };
+
+  function find(id, kinds, label = kinds.join(' or ')) {
+    const obj = objects.get(normalizeId(id));
+    if (!obj || !kinds.includes(obj.object)) {
+      throw notionError(404, 'object_not_found', `Could not find ${label} with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
     }
-    cursor = resp.has_more ? resp.next_cursor : undefined;
-  } while (cursor);
-}
+    return obj;
+  }
 
-async function createRelationPlaceholders(databases, parentPageId) {
-  // First pass create DBs without relation properties; second pass add relations
-  const created = {};
-  // Create in order
-  for (const db of databases) {
-    const propsNoRelation = buildDbProperties(
-      Object.fromEntries(Object.entries(db.properties || {}).filter(([, v]) => v.type !== 'relation'))
-    );
-    const createdDb = await withRetry(() => ensureClient().databases.create({
-      parent: { page_id: parentPageId },
-      title: [{ type: 'text', text: { content: db.title } }],
-      properties: propsNoRelation,
-    }));
-    created[db.alias] = createdDb.id;
+  function assertEditable(obj) {
+    if (obj.archived) throw invalid(`Can't edit block that is archived. You must unarchive the block before editing.`);
   }
-  // Second pass: patch in relation properties where needed
-  for (const db of databases) {
-    const relationProps = Object.fromEntries(
-      Object.entries(db.properties || {}).filter(([, v]) => v.type === 'relation')
-    );
-    if (Object.keys(relationProps).length) {
-      const schema = buildDbProperties(db.properties, created);
-      await withRetry(() => ensureClient().databases.update({
-        database_id: created[db.alias],
-        properties: schema,
-      }));
+
+  function paginate(list, args, type) {
+    const size = Math.min(Math.max(Number(args.page_size) || 100, 1), 100);
+    let start = 0;
+    if (args.start_cursor) {
+      start = list.findIndex(item => item.id === args.start_cursor);
+      if (start < 0) throw invalid('The start_cursor provided is invalid.');
     }
+    const results = list.slice(start, start + size);
+    const next = list[start + size];
+    return { object: 'list', results, next_cursor: next ? next.id : null, has_more: Boolean(next), type, [type]: {} };
   }
-  return created;
-}
 
-async function createSeeds(seeds = {}, aliasToId = {}) {
-  // Support simple seeds for databases by alias, e.g., tasks: [{ Name: "Sample Task" }]
-  const created = { pages: {}, rows: {} };
-  for (const [alias, rows] of Object.entries(seeds || {})) {
-    const databaseId = aliasToId[alias];
-    if (!databaseId) continue;
-    const titleName = await getDatabaseTitlePropName(databaseId);
-    for (const row of rows) {
-      const titleVal = row[titleName] || row.Name || 'Untitled';
-      const properties = Object.fromEntries(
-        Object.entries(row).map(([k, v]) => {
-          if (k === titleName || k === 'Name') return [titleName, { title: [{ type: 'text', text: { content: String(titleVal) } }] }];
-          if (typeof v === 'number') return [k, { number: v }];
-          if (typeof v === 'string') return [k, { rich_text: [{ type: 'text', text: { content: v } }] }];
-          return [k, v];
-        })
-      );
-      const page = await withRetry(() => ensureClient().pages.create({ parent: { database_id: databaseId }, properties }));
-      if (!created.rows[alias]) created.rows[alias] = [];
-      created.rows[alias].push(page);
+  function richText(list = []) {
+    return list.map((item) => {
+      const type = item.type || (item.mention ? 'mention' : item.equation ? 'equation' : 'text');
+      const body = copyJson(item[type] || {});
+      if (type === 'text') Object.assign(body, { content: body.content || '', link: body.link || null });
+      const plain = item.plain_text ?? (type === 'text' ? body.content : type === 'equation' ? body.expression : '');
+      return {
+        type,
+        [type]: body,
+        annotations: { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default', ...item.annotations },
+        plain_text: plain || '',
+        href: item.href ?? body.link?.url ?? null,
+      };
+    });
+  }
+
+  const plainText = (rich = []) => rich.map(t => t.plain_text).join('');
+  const titleOf = (page) => plainText(Object.values(page.properties).find(p => p.type === 'title')?.title);
+
+  // --- Schemas ---
+
+  function schemaProperty(name, def, db, current) {
+    const type = def.type || Object.keys(def).find(k => k !== 'name' && k !== 'description');
+    if (!type || typeof def[type] !== 'object') throw invalid(`Property "${name}" needs a type.`);
+    const config = copyJson(def[type]);
+    if (['select', 'multi_select', 'status'].includes(type)) {
+      const options = config.options || (type === 'status' ? [{ name: 'Not started' }, { name: 'In progress' }, { name: 'Done' }] : []);
+      config.options = options.map(o => ({ id: o.id || shortId(), name: o.name, color: o.color || 'default', description: o.description || null }));
+    }
+    if (type === 'relation') {
+      const target = find(config.database_id, ['database'], 'database');
+      config.database_id = target.id;
+      config.type = config.type || 'single_property';
+      config[config.type] = config[config.type] || {};
     }
+    if (type === 'rollup') {
+      const relation = db.properties[config.relation_property_name];
+      if (!relation || relation.type !== 'relation') throw invalid(`Relation property "${config.relation_property_name}" of rollup "${name}" does not exist.`);
+      const target = find(relation.relation.database_id, ['database'], 'database');
+      if (!target.properties[config.rollup_property_name]) throw invalid(`Rollup property "${config.rollup_property_name}" of rollup "${name}" does not exist.`);
+    }
+    if (type === 'formula') {
+      for (const match of String(config.expression || '').matchAll(/prop\("((?:[^"\\]|\\.)*)"\)/g)) {
+        if (!db.properties[match[1]] && match[1] !== name) throw invalid(`Formula "${name}" refers to a property that does not exist: ${match[1]}.`);
+      }
+    }
+    if (type === 'unique_id') config.prefix = config.prefix ?? null;
+    const description = def.description !== undefined ? def.description : current?.description;
+    return {
+      id: current?.id || (type === 'title' ? 'title' : shortId()),
+      name,
+      type,
+      ...(description ? { description } : {}),
+      [type]: config,
+    };
   }
-  return created;
-}
 
-async function deployBlueprint(blueprintPath, targetPageId, opts = {}) {
-  if (!yaml) throw new Error('YAML support not installed. Please ensure js-yaml is in dependencies.');
-  const full = path.resolve(process.cwd(), blueprintPath);
-  if (!fs.existsSync(full)) throw new Error('Blueprint file not found');
-  const doc = yaml.load(fs.readFileSync(full, 'utf8')) || {};
-  const backend = doc.backend || {};
-  const baseUrl = opts.baseUrl || backend.baseUrl;
-  const appSecret = opts.appSecret; // do not store in Notion
+  // A dual relation gets its counterpart in the related database
+  function addSyncedProperty(db, def) {
+    if (def.type !== 'relation' || def.relation.type !== 'dual_property' || def.relation.dual_property.synced_property_id) return;
+    const target = find(def.relation.database_id, ['database'], 'database');
+    const name = def.relation.dual_property.synced_property_name || `Related to ${plainText(db.title)} (${def.name})`;
+    const synced = {
+      id: shortId(),
+      name,
+      type: 'relation',
+      relation: { database_id: db.id, type: 'dual_property', dual_property: { synced_property_name: def.name, synced_property_id: def.id } },
+    };
+    target.properties[name] = synced;
+    for (const row of rowsOf(target)) row.properties[name] = emptyValue(synced, row, target);
+    def.relation.dual_property = { synced_property_name: name, synced_property_id: synced.id };
+  }
 
-  const databases = Array.isArray(doc.resources?.databases) ? doc.resources.databases : [];
-  const pages = Array.isArray(doc.resources?.pages) ? doc.resources.pages : [];
+  function renameSyncedProperty(db, def, name) {
+    if (def.type !== 'relation' || def.relation.type !== 'dual_property') return;
+    const target = objects.get(normalizeId(def.relation.database_id));
+    const synced = target && Object.values(target.properties).find(p => p.id === def.relation.dual_property.synced_property_id);
+    if (synced) synced.relation.dual_property.synced_property_name = name;
+  }
 
-  // Create DBs (two-pass to attach relations)
-  const aliasToId = await createRelationPlaceholders(databases, targetPageId);
+  // --- Property values ---
 
-  // Create pages under target
-  const createdPages = {};
-  for (const pg of pages) {
-    const created = await withRetry(() => ensureClient().pages.create({
-      parent: { page_id: targetPageId },
-      properties: { title: { title: [{ type: 'text', text: { content: pg.title || 'Untitled' } }] } },
-      icon: pg.icon,
-      cover: pg.cover,
-    }));
-    createdPages[pg.alias || created.id] = created.id;
-    if (Array.isArray(pg.children) && pg.children.length) {
-      for (let i = 0; i < pg.children.length; i += 50) {
-        await withRetry(() => ensureClient().blocks.children.append({ block_id: created.id, children: pg.children.slice(i, i + 50) }));
+  const rowsOf = (db) => listOf(rows, db.id).map(id => objects.get(normalizeId(id)));
+
+  function emptyValue(def, page, db) {
+    const value = { id: def.id, type: def.type };
+    switch (def.type) {
+      case 'title': case 'rich_text': case 'multi_select': case 'people': case 'files':
+        return { ...value, [def.type]: [] };
+      case 'relation':
+        return { ...value, relation: [], has_more: false };
+      case 'checkbox':
+        return { ...value, checkbox: false };
+      case 'status': {
+        const first = def.status.options[0];
+        return { ...value, status: first ? { id: first.id, name: first.name, color: first.color } : null };
+      }
+      case 'formula':
+        return { ...value, formula: { type: 'string', string: null } };
+      case 'rollup':
+        return { ...value, rollup: { type: 'number', number: null, function: def.rollup.function } };
+      case 'created_time': case 'last_edited_time':
+        return { ...value, [def.type]: page[def.type] };
+      case 'created_by': case 'last_edited_by':
+        return { ...value, [def.type]: author };
+      case 'unique_id': {
+        const number = (sequences.get(normalizeId(db.id)) || 0) + 1;
+        sequences.set(normalizeId(db.id), number);
+        return { ...value, unique_id: { prefix: def.unique_id.prefix, number } };
       }
+      default:
+        return { ...value, [def.type]: null };
     }
   }
 
-  // Seeds
-  const seeds = doc.install?.seeds || {};
-  const createdSeeds = await createSeeds(seeds, aliasToId);
+  function optionValue(def, value) {
+    const options = def[def.type].options;
+    let option = options.find(o => (value.id && o.id === value.id) || (value.name !== undefined && o.name === value.name));
+    if (!option) {
+      if (def.type === 'status') throw invalid(`Invalid status option. Status option "${value.name}" does not exist for "${def.name}".`);
+      option = { id: shortId(), name: value.name, color: value.color || 'default', description: null };
+      options.push(option);
+    }
+    return { id: option.id, name: option.name, color: option.color };
+  }
 
-  // Optional: attach action URLs based on workflows or defaults
-  if (baseUrl && appSecret) {
-    const workflows = Array.isArray(doc.workflows) ? doc.workflows : [];
-    const attach = workflows.find(wf => wf && wf.type === 'attach_action_links');
-    const tasksAlias = attach?.database || (databases.find(d => d.alias === 'tasks') ? 'tasks' : null);
-    const calendarAlias = attach?.calendar_database || (databases.find(d => d.alias === 'calendar') ? 'calendar' : null);
-    if (tasksAlias) {
-      await refreshActionLinks(aliasToId[tasksAlias], baseUrl, appSecret, calendarAlias ? aliasToId[calendarAlias] : undefined);
+  function propertyValue(def, value, db) {
+    if (COMPUTED_PROPERTY_TYPES.includes(def.type)) throw invalid(`${def.name} is a ${def.type} property and cannot be set.`);
+    if (!value || !(def.type in value)) throw invalid(`${def.name} is expected to be ${def.type}.`);
+    const raw = copyJson(value[def.type]);
+    const result = { id: def.id, type: def.type };
+    switch (def.type) {
+      case 'title': case 'rich_text':
+        return { ...result, [def.type]: richText(raw || []) };
+      case 'select': case 'status':
+        return { ...result, [def.type]: raw ? optionValue(def, raw) : null };
+      case 'multi_select':
+        return { ...result, multi_select: (raw || []).map(o => optionValue(def, o)) };
+      case 'people':
+        return { ...result, people: (raw || []).map(p => ({ object: 'user', id: p.id })) };
+      case 'relation':
+        for (const ref of raw || []) {
+          const related = find(ref.id, ['page'], 'page');
+          if (normalizeId(related.parent.database_id) !== normalizeId(def.relation.database_id)) {
+            throw invalid(`Relation "${def.name}" of ${plainText(db.title)} only links pages of database ${def.relation.database_id}.`);
+          }
+        }
+        return { ...result, relation: (raw || []).map(ref => ({ id: find(ref.id, ['page'], 'page').id })), has_more: false };
+      case 'checkbox':
+        return { ...result, checkbox: Boolean(raw) };
+      default:
+        return { ...result, [def.type]: raw ?? null };
     }
   }
 
-  // Create minimal install info page (without secrets)
-  const info = await withRetry(() => ensureClient().pages.create({
-    parent: { page_id: targetPageId },
-    properties: { title: { title: [{ type: 'text', text: { content: (doc.metadata?.name || 'App') + ' - Installed' } }] } },
-  }));
-  const summary = `Installed app: ${doc.metadata?.name || 'App'}\nTasks DB: ${aliasToId.tasks || '-'}\nCalendar DB: ${aliasToId.calendar || '-'}\nBase URL: ${baseUrl || '-'}\n`;
+  // Writing one side of a dual relation updates the other side, as in Notion
+  function syncRelation(page, def, before, after) {
+    if (def.relation.type !== 'dual_property') return;
+    const name = def.relation.dual_property.synced_property_name;
+    const ids = new Set([...before, ...after].map(r => normalizeId(r.id)));
+    const linked = new Set(after.map(r => normalizeId(r.id)));
+    for (const id of ids) {
+      const value = objects.get(id)?.properties[name];
+      if (!value) continue;
+      value.relation = value.relation.filter(r => normalizeId(r.id) !== normalizeId(page.id));
+      if (linked.has(id)) value.relation.push({ id: page.id });
+    }
+  }
 
-  const workflowBlocks = [];
-  const wfList = Array.isArray(doc.workflows) ? doc.workflows : [];
-  if (wfList.length) {
-    workflowBlocks.push({ type: 'heading_2', heading_2: { rich_text: [{ type: 'text', text: { content: 'Workflows' } }] } });
-    for (const wf of wfList) {
-      if (wf.type === 'attach_action_links') {
-        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Attach action links to database: ${wf.database || 'tasks'} (calendar: ${wf.calendar_database || 'none'})` } }] } });
-      } else if (wf.type === 'webhook') {
-        const fullPath = baseUrl ? `${baseUrl.replace(/\/$/, '')}${wf.path}` : wf.path;
-        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Webhook: ${wf.name || '-'} ${wf.method || 'POST'} ${fullPath || wf.path}` } }] } });
-        if (wf.description) {
-          workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: wf.description } }] } });
-        }
-      } else if (wf.type === 'property_change') {
-        workflowBlocks.push({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: `Property change: ${wf.database}.${wf.property} changes_to ${wf.when?.changes_to} -> webhook ${wf.webhook}` } }] } });
+  function setProperties(page, properties = {}) {
+    const db = page.parent.database_id && find(page.parent.database_id, ['database'], 'database');
+    for (const [key, value] of Object.entries(properties)) {
+      if (!db) {
+        if (!value?.title) throw invalid(`Only the title can be set on a page that is not in a database (got "${key}").`);
+        page.properties.title = { id: 'title', type: 'title', title: richText(value.title) };
+        continue;
       }
+      const def = db.properties[key] || Object.values(db.properties).find(p => p.id === key);
+      if (!def) throw invalid(`${key} is not a property that exists.`);
+      const before = page.properties[def.name]?.relation || [];
+      page.properties[def.name] = propertyValue(def, value, db);
+      if (def.type === 'relation') syncRelation(page, def, before, page.properties[def.name].relation);
     }
+    page.last_edited_time = now();
+    for (const value of Object.values(page.properties)) {
+      if (value.type === 'last_edited_time') value.last_edited_time = page.last_edited_time;
+    }
+  }
+
+  // --- Blocks ---
+
+  function parentRef(obj) {
+    if (obj.object === 'database') return { type: 'database_id', database_id: obj.id };
+    if (obj.object === 'page') return { type: 'page_id', page_id: obj.id };
+    return { type: 'block_id', block_id: obj.id };
   }
 
-  await withRetry(() => ensureClient().blocks.children.append({ block_id: info.id, children: [ { type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: summary } }] } }, ...workflowBlocks ] }));
+  function createBlock(parent, input, depth, siblings) {
+    const type = input.type || Object.keys(input).find(k => k !== 'object' && k !== 'children');
+    if (!type || typeof input[type] !== 'object') throw invalid('Each block needs a type and a body of that type.');
+    if (UNCREATABLE_BLOCK_TYPES.includes(type)) throw invalid(`Block type ${type} is not supported for creation via the API.`);
+    if (depth > 2) throw invalid('A request can nest blocks at most two levels deep.');
+    const body = copyJson(input[type]);
+    const nested = body.children || input.children || [];
+    delete body.children;
+    if (nested.length > 100) throw invalid(`body.children.length should be ≤ \`100\`, instead was \`${nested.length}\`.`);
+    if (type === 'table' && !nested.length) throw invalid('A table needs at least one table_row.');
+    for (const field of ['rich_text', 'caption']) if (body[field]) body[field] = richText(body[field]);
+    if (type === 'table_row') body.cells = (body.cells || []).map(cell => richText(cell));
+    const block = {
+      object: 'block',
+      id: crypto.randomUUID(),
+      parent: parentRef(parent),
+      created_time: now(),
+      last_edited_time: now(),
+      created_by: author,
+      last_edited_by: author,
+      has_children: false,
+      archived: false,
+      in_trash: false,
+      type,
+      [type]: body,
+    };
+    objects.set(normalizeId(block.id), block);
+    siblings.push(block.id);
+    for (const child of nested) createBlock(block, child, depth + 1, listOf(children, block.id));
+    return block;
+  }
+
+  function visibleChildren(id) {
+    return listOf(children, id).map(c => objects.get(normalizeId(c))).filter(c => !c.archived);
+  }
+
+  // Pages and databases appear in block listings as child_page / child_database blocks
+  function blockView(obj) {
+    const common = { object: 'block', id: obj.id, parent: obj.parent, created_time: obj.created_time, last_edited_time: obj.last_edited_time, archived: obj.archived, in_trash: obj.in_trash };
+    if (obj.object === 'page') return { ...common, type: 'child_page', child_page: { title: titleOf(obj) }, has_children: visibleChildren(obj.id).length > 0 };
+    if (obj.object === 'database') return { ...common, type: 'child_database', child_database: { title: plainText(obj.title) }, has_children: false };
+    return { ...obj, has_children: visibleChildren(obj.id).length > 0 };
+  }
+
+  function archive(obj, archived) {
+    obj.archived = obj.in_trash = Boolean(archived);
+    obj.last_edited_time = now();
+  }
+
+  const archivedFlag = (args) => (args.in_trash !== undefined ? args.in_trash : args.archived);
+
+  // --- Endpoints ---
+
+  const handlers = {
+    'pages.create'(args) {
+      const parent = args.parent || {};
+      let container;
+      let parentValue;
+      if (parent.database_id) {
+        container = find(parent.database_id, ['database'], 'database');
+        parentValue = { type: 'database_id', database_id: container.id };
+      } else if (parent.page_id) {
+        container = find(parent.page_id, ['page'], 'page');
+        parentValue = { type: 'page_id', page_id: container.id };
+      } else if (parent.workspace) {
+        parentValue = { type: 'workspace', workspace: true };
+      } else {
+        throw invalid('body.parent should have a page_id, a database_id or workspace: true.');
+      }
+      if (container) assertEditable(container);
+      if ((args.children || []).length > 100) throw invalid(`body.children.length should be ≤ \`100\`, instead was \`${args.children.length}\`.`);
+      const id = crypto.randomUUID();
+      const page = {
+        object: 'page',
+        id,
+        created_time: now(),
+        last_edited_time: now(),
+        created_by: author,
+        last_edited_by: author,
+        cover: copyJson(args.cover) || null,
+        icon: copyJson(args.icon) || null,
+        parent: parentValue,
+        archived: false,
+        in_trash: false,
+        properties: {},
+        url: `https://www.notion.so/${normalizeId(id)}`,
+        public_url: null,
+      };
+      if (container?.object === 'database') {
+        for (const def of Object.values(container.properties)) page.properties[def.name] = emptyValue(def, page, container);
+      } else {
+        page.properties.title = { id: 'title', type: 'title', title: [] };
+      }
+      setProperties(page, args.properties);
+      objects.set(normalizeId(id), page);
+      if (container?.object === 'database') listOf(rows, container.id).push(id);
+      else if (container) listOf(children, container.id).push(id);
+      for (const child of args.children || []) createBlock(page, child, 0, listOf(children, id));
+      return page;
+    },
+    'pages.retrieve'(args) {
+      return find(args.page_id, ['page'], 'page');
+    },
+    'pages.update'(args) {
+      const page = find(args.page_id, ['page'], 'page');
+      const archived = archivedFlag(args);
+      if (archived === undefined || args.properties) assertEditable(page);
+      if (args.properties) setProperties(page, args.properties);
+      if (args.icon !== undefined) page.icon = copyJson(args.icon);
+      if (args.cover !== undefined) page.cover = copyJson(args.cover);
+      if (archived !== undefined) archive(page, archived);
+      return page;
+    },
+    'databases.create'(args) {
+      const parent = find(args.parent?.page_id, ['page'], 'page');
+      assertEditable(parent);
+      const id = crypto.randomUUID();
+      const db = {
+        object: 'database',
+        id,
+        created_time: now(),
+        last_edited_time: now(),
+        created_by: author,
+        last_edited_by: author,
+        title: richText(args.title || []),
+        description: richText(args.description || []),
+        icon: copyJson(args.icon) || null,
+        cover: copyJson(args.cover) || null,
+        properties: {},
+        parent: { type: 'page_id', page_id: parent.id },
+        url: `https://www.notion.so/${normalizeId(id)}`,
+        public_url: null,
+        archived: false,
+        in_trash: false,
+        is_inline: Boolean(args.is_inline),
+      };
+      for (const [name, def] of Object.entries(args.properties || {})) db.properties[name] = schemaProperty(name, def, db);
+      if (Object.values(db.properties).filter(p => p.type === 'title').length !== 1) throw invalid('A database needs exactly one title property.');
+      objects.set(normalizeId(id), db);
+      listOf(children, parent.id).push(id);
+      for (const def of Object.values(db.properties)) addSyncedProperty(db, def);
+      return db;
+    },
+    'databases.retrieve'(args) {
+      return find(args.database_id, ['database'], 'database');
+    },
+    'databases.update'(args) {
+      const db = find(args.database_id, ['database'], 'database');
+      const archived = archivedFlag(args);
+      if (archived === undefined) assertEditable(db);
+      for (const [key, change] of Object.entries(args.properties || {})) {
+        const current = db.properties[key] || Object.values(db.properties).find(p => p.id === key);
+        if (change === null) {
+          if (!current) throw invalid(`${key} is not a property that exists.`);
+          if (current.type === 'title') throw invalid('The title property cannot be removed.');
+          delete db.properties[current.name];
+          for (const row of rowsOf(db)) delete row.properties[current.name];
+          continue;
+        }
+        const retyped = Object.keys(change).some(k => k !== 'name' && k !== 'description');
+        if (!current && !retyped) throw invalid(`${key} is not a property that exists.`);
+        const name = change.name || current?.name || key;
+        const def = retyped ? schemaProperty(name, change, db, current) : { ...current, name, ...(change.description !== undefined ? { description: change.description } : {}) };
+        if (current) {
+          if (current.type === 'title' && def.type !== 'title') throw invalid('The title property cannot change its type.');
+          db.properties = Object.fromEntries(Object.entries(db.properties).map(([k, v]) => (k === current.name ? [name, def] : [k, v])));
+          if (name !== current.name) renameSyncedProperty(db, def, name);
+          for (const row of rowsOf(db)) {
+            const value = row.properties[current.name];
+            delete row.properties[current.name];
+            row.properties[name] = retyped && def.type !== current.type ? emptyValue(def, row, db) : value;
+          }
+        } else {
+          if (def.type === 'title') throw invalid('A database can only have one title property.');
+          db.properties[name] = def;
+          for (const row of rowsOf(db)) row.properties[name] = emptyValue(def, row, db);
+        }
+        addSyncedProperty(db, def);
+      }
+      if (args.title) db.title = richText(args.title);
+      if (args.description) db.description = richText(args.description);
+      if (args.icon !== undefined) db.icon = copyJson(args.icon);
+      if (args.cover !== undefined) db.cover = copyJson(args.cover);
+      if (args.is_inline !== undefined) db.is_inline = Boolean(args.is_inline);
+      if (archived !== undefined) archive(db, archived);
+      db.last_edited_time = now();
+      return db;
+    },
+    'databases.query'(args) {
+      const db = find(args.database_id, ['database'], 'database');
+      if (args.filter || args.sorts) throw invalid('The in-memory Notion does not evaluate filter or sorts.');
+      return paginate(rowsOf(db).filter(row => !row.archived), args, 'page_or_database');
+    },
+    'blocks.retrieve'(args) {
+      return blockView(find(args.block_id, ['block', 'page', 'database'], 'block'));
+    },
+    'blocks.update'(args) {
+      const block = find(args.block_id, ['block'], 'block');
+      const archived = archivedFlag(args);
+      if (args[block.type]) {
+        assertEditable(block);
+        const body = copyJson(args[block.type]);
+        for (const field of ['rich_text', 'caption']) if (body[field]) body[field] = richText(body[field]);
+        Object.assign(block[block.type], body);
+        block.last_edited_time = now();
+      }
+      if (archived !== undefined) archive(block, archived);
+      return blockView(block);
+    },
+    'blocks.delete'(args) {
+      const obj = find(args.block_id, ['block', 'page', 'database'], 'block');
+      archive(obj, true);
+      return blockView(obj);
+    },
+    'blocks.children.list'(args) {
+      const parent = find(args.block_id, ['block', 'page'], 'block');
+      return paginate(visibleChildren(parent.id).map(blockView), args, 'block');
+    },
+    'blocks.children.append'(args) {
+      const parent = find(args.block_id, ['block', 'page'], 'block');
+      assertEditable(parent);
+      const list = args.children || [];
+      if (list.length > 100) throw invalid(`body.children.length should be ≤ \`100\`, instead was \`${list.length}\`.`);
+      const siblings = listOf(children, parent.id);
+      let at = siblings.length;
+      if (args.after) {
+        at = siblings.findIndex(id => normalizeId(id) === normalizeId(args.after)) + 1;
+        if (!at) throw invalid(`Block ${args.after} is not a child of ${args.block_id}.`);
+      }
+      const added = [];
+      const created = list.map(child => createBlock(parent, child, 0, added));
+      siblings.splice(at, 0, ...added);
+      return { object: 'list', results: created.map(blockView), next_cursor: null, has_more: false, type: 'block', block: {} };
+    },
+    'users.list'(args) {
+      return paginate(people, args, 'user');
+    },
+    'users.me'() {
+      return bot;
+    },
+    'fileUploads.create'(args) {
+      const mode = args.mode || 'single_part';
+      if (mode === 'multi_part' && !(args.number_of_parts > 0)) throw invalid('number_of_parts is required for multi_part uploads.');
+      const upload = {
+        object: 'file_upload',
+        id: crypto.randomUUID(),
+        created_time: now(),
+        status: 'pending',
+        filename: args.filename || null,
+        content_type: args.content_type || null,
+        content_length: 0,
+        number_of_parts: mode === 'multi_part' ? { total: args.number_of_parts, sent_parts: 0 } : undefined,
+      };
+      objects.set(normalizeId(upload.id), upload);
+      return upload;
+    },
+    'fileUploads.send'(args) {
+      const upload = find(args.file_upload_id, ['file_upload'], 'file upload');
+      if (upload.status !== 'pending') throw invalid(`File upload ${upload.id} is ${upload.status}.`);
+      upload.content_length += args.file?.data?.size || 0;
+      if (upload.number_of_parts) upload.number_of_parts.sent_parts++;
+      else upload.status = 'uploaded';
+      return upload;
+    },
+    'fileUploads.complete'(args) {
+      const upload = find(args.file_upload_id, ['file_upload'], 'file upload');
+      if (!upload.number_of_parts || upload.number_of_parts.sent_parts !== upload.number_of_parts.total) {
+        throw invalid(`File upload ${upload.id} is not a multi_part upload with all parts sent.`);
+      }
+      upload.status = 'uploaded';
+      return upload;
+    },
+  };
+
+  const client = clientFromMethods(NOTION_METHODS, async (method, args) => {
+    requests++;
+    if (throttleLeft > 0 || (throttleEvery > 0 && requests % throttleEvery === 0)) {
+      throttleLeft = Math.max(0, throttleLeft - 1);
+      throw notionError(429, 'rate_limited', 'You have been rate limited. Please try again in a few minutes.', { 'retry-after': String(retryAfter) });
+    }
+    // Callers get copies, like responses parsed from JSON
+    return copyJson(handlers[method](args));
+  });
+  // Answer the next n requests with 429 rate_limited
+  client.throttleNext = (n = 1) => { throttleLeft += n; };
+  return client;
+}
+
+// Wraps a client so that each call is appended to a JSONL fixture with its response, or with
+// its error when the API answered with one
+function createRecordingClient(client, file, { name } = {}) {
+  const record = (entry) => fs.appendFileSync(file, JSON.stringify({ ...(name ? { client: name } : {}), ...entry }) + '\n');
+  const wrap = (target, prefix) => new Proxy(target, {
+    get(obj, key) {
+      const value = obj[key];
+      const method = `${prefix}${String(key)}`;
+      if (typeof value === 'function') {
+        return async (...args) => {
+          try {
+            const result = await value.apply(obj, args);
+            record({ method, args: args[0] ?? null, result });
+            return result;
+          } catch (err) {
+            if (err?.status) {
+              const retry = typeof err.headers?.get === 'function' ? err.headers.get('retry-after') : null;
+              record({ method, args: args[0] ?? null, error: { status: err.status, code: err.code, message: err.message, headers: retry ? { 'retry-after': retry } : {} } });
+            }
+            throw err;
+          }
+        };
+      }
+      if (value && typeof value === 'object') return wrap(value, `${method}.`);
+      return value;
+    },
+  });
+  return wrap(client, '');
+}
+
+function readFixture(file) {
+  if (!fs.existsSync(file)) throw new Error(`Fixture not found: ${file}`);
+  return fs.readFileSync(file, 'utf8').split('\n').flatMap((line, i) => {
+    if (!line.trim()) return [];
+    try { return [JSON.parse(line)]; } catch (_) { throw new Error(`${file}:${i + 1}: not a JSON line`); }
+  });
+}
+
+// A client that answers from recorded exchanges (a fixture file or its parsed entries). A call
+// gets the first unused response recorded for the same method and arguments; arguments that
+// differ between runs (timestamps, nonces) fall back to the next unused response of the method.
+function createReplayClient(fixture, { name } = {}) {
+  const entries = (typeof fixture === 'string' ? readFixture(fixture) : fixture).filter(e => (e.client || null) === (name || null));
+  const used = new Set();
+  const next = (test) => entries.findIndex((entry, i) => !used.has(i) && test(entry));
+  const methods = [...new Set([...NOTION_METHODS, ...entries.map(e => e.method)])];
+  return clientFromMethods(methods, async (method, args) => {
+    const key = JSON.stringify(args ?? null);
+    let index = next(e => e.method === method && JSON.stringify(e.args) === key);
+    if (index < 0) index = next(e => e.method === method);
+    if (index < 0) throw new Error(`Replay: no recorded response left for ${method}`);
+    used.add(index);
+    const { result, error } = entries[index];
+    if (error) throw notionError(error.status, error.code, error.message, error.headers);
+    return copyJson(result);
+  });
+}
+
+// --- Library API ---------------------------------------------------------------
+// require('notionapi') gives the CLI operations without the CLI: createNotionApp binds them to
+// an injected client (a @notionhq/client Client or anything with the same interface, e.g. a
+// stub in tests). Each app has its own rate limiter and reports through onEvent:
+//   { type: 'request', method, replayed? }  before each API call
+//   { type: 'retry', attempt, delay, error } when a call is retried
+//   { type: 'throttle', wait }               when the rate limiter holds a call back
+//   { type: 'progress', done, total, result } per row of instantiateBatch and importCsv
+// With `missingClient` (an error message) the client may be left out: operations then run as
+// far as they get without the API and throw that message on the first call.
+function createNotionApp({ client, sourceClient: source, onEvent, rate = 3, burst, missingClient } = {}) {
+  if (!client && !missingClient) throw new Error('createNotionApp: a Notion client is required (e.g. new Client({ auth }) from @notionhq/client)');
+  const limiter = createRateLimiter({ rate, burst });
+  const target = client ? instrumentClient(client) : null;
+  const app = {
+    client: target,
+    sourceClient: source && source !== client ? instrumentClient(source) : target,
+    missingClient,
+    limiter,
+    onEvent,
+    journal: null,
+  };
+  const bind = (fn) => (...args) => appContext.run(app, () => fn(...args));
+  return {
+    stats: limiter.stats,
+    runJournaled: (args, command, target, fn) => runJournaled(app, args, command, target, fn),
+    exportToTemplate: bind(exportToTemplate),
+    exportToMarkdown: bind(exportToMarkdown),
+    createFromJsonTemplate: bind(createFromJsonTemplate),
+    instantiateBatch: bind(instantiateBatch),
+    importCsv: bind(importCsv),
+    importMarkdown: bind(importMarkdown),
+    cloneFromMaster: bind(cloneFromMaster),
+    cloneSet: bind(cloneSet),
+    deployBlueprint: bind(deployBlueprint),
+    refreshActionLinks: bind(refreshActionLinks),
+    findInstalledApps: bind(findInstalledApps),
+    resolveInstalledState: bind(resolveInstalledState),
+    uninstallApp: bind(uninstallApp),
+    diffObjects: bind(diffObjects),
+    applySchema: bind(applySchema),
+    exportToBlueprint: bind(exportToBlueprint),
+    planFromMaster: bind(planFromMaster),
+    planCloneSet: bind(planCloneSet),
+    planBlueprint: bind(planBlueprint),
+    planApplySchema: bind(planApplySchema),
+  };
+}
+
+module.exports = {
+  createNotionApp,
+  createMemoryNotion,
+  createRecordingClient,
+  createReplayClient,
+  createReferenceContext,
+  describeUnresolvedReferences,
+  planJsonTemplate,
+  planUninstall,
+  planSchemaMigration,
+  formatPlan,
+  formatDiff,
+  validateFile,
+  validateSource,
+  loadBlueprint,
+  resolveTemplateVariables,
+  applyTemplateVariables,
+  parseCsv,
+  toCsv,
+};
 
-  return { aliasToId, pages: createdPages, info: info.id };
-}
\ No newline at end of file
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(kleur.red(e.stack || e.message));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSchemaMigration } = require('..');
+const { setup, tempDir, writeJson } = require('./helpers');
+
+const titleText = (text) => [{ type: 'text', text: { content: text } }];
+
+test('apply-schema renames, adds and updates properties and holds back destructive steps', async (t) => {
+  const { notion, app, root } = await setup();
+  const db = await notion.databases.create({
+    parent: { page_id: root },
+    title: titleText('Items'),
+    properties: {
+      Name: { title: {} },
+      Priority: { select: { options: [{ name: 'High', color: 'red' }] } },
+      Cost: { number: { format: 'number' } },
+      Legacy: { checkbox: {} },
+    },
+  });
+  const template = writeJson(tempDir(t), 'items.json', {
+    kind: 'database',
+    title: 'Items',
+    renames: { Priority: 'Level' },
+    properties: {
+      Title: { type: 'title' },
+      Level: { type: 'select', select: { options: [{ name: 'High', color: 'red' }, { name: 'Low', color: 'gray' }] } },
+      Cost: { type: 'number', number: { format: 'euro' } },
+      Notes: { type: 'rich_text' },
+    },
+  });
+
+  const plan = await app.planApplySchema(template, db.id);
+  assert.deepEqual(plan.steps.map(s => s.action), ['rename_property', 'rename_property', 'delete_property', 'add_options', 'add_properties', 'update_properties']);
+  assert.ok(plan.steps.find(s => s.action === 'delete_property').skipped);
+
+  const res = await app.applySchema(template, db.id);
+  assert.equal(res.skipped.length, 1);
+  const live = (await notion.databases.retrieve({ database_id: db.id })).properties;
+  assert.deepEqual(Object.keys(live).sort(), ['Cost', 'Legacy', 'Level', 'Notes', 'Title']);
+  assert.deepEqual(live.Level.select.options.map(o => o.name), ['High', 'Low']);
+  assert.equal(live.Cost.number.format, 'euro');
+
+  await app.applySchema(template, db.id, { allowDestructive: true });
+  const after = (await notion.databases.retrieve({ database_id: db.id })).properties;
+  assert.equal(after.Legacy, undefined);
+});
+
+// A database as databases.retrieve returns it
+const liveDatabase = (properties) => ({
+  id: 'db',
+  title: [{ type: 'text', text: { content: 'Items' }, plain_text: 'Items' }],
+  properties: Object.fromEntries(Object.entries(properties).map(([name, [type, settings = {}]], i) => [name, { id: String(i), name, type, [type]: settings }])),
+});
+
+test('planSchemaMigration orders renames first and keeps option IDs of the live database', () => {
+  const db = liveDatabase({ Name: ['title'], Stage: ['select', { options: [{ id: 'o1', name: 'Open', color: 'green' }] }], Cost: ['number', { format: 'number' }] });
+  const plan = planSchemaMigration({
+    renames: { Stage: 'Phase' },
+    properties: {
+      Title: { type: 'title' },
+      Phase: { type: 'select', select: { options: [{ name: 'Open', color: 'green' }, { name: 'Closed' }] } },
+      Cost: { type: 'number', number: { format: 'dollar' } },
+      Notes: { type: 'url' },
+    },
+  }, db);
+
+  assert.equal(plan.title, 'Items');
+  assert.deepEqual(plan.steps, [
+    { action: 'rename_property', from: 'Stage', to: 'Phase' },
+    { action: 'rename_property', from: 'Name', to: 'Title' },
+    { action: 'add_options', name: 'Phase', kind: 'select', existing: [{ id: 'o1', name: 'Open', color: 'green' }], missing: [{ name: 'Closed', color: 'default' }] },
+    { action: 'add_properties', properties: { Notes: { type: 'url' } } },
+    { action: 'update_properties', properties: { Cost: { type: 'number', number: { format: 'dollar' } } }, from: { Cost: { type: 'number', number: { format: 'number' } } } },
+  ]);
+});
+
+test('planSchemaMigration holds back deletes and type changes unless allowed, and never retypes the title', () => {
+  const db = liveDatabase({ Name: ['title'], Done: ['checkbox'], Old: ['rich_text'] });
+  const tpl = { properties: { Name: { type: 'rich_text' }, Done: { type: 'rich_text' } } };
+  const steps = (opts) => planSchemaMigration(tpl, db, opts).steps.map(({ action, name, skipped, reason }) => ({ action, name, skipped, reason }));
+
+  const held = { skipped: true, reason: 'needs --allow-destructive' };
+  const title = { action: 'change_property_type', name: 'Name', skipped: true, reason: 'the title property cannot change type' };
+  assert.deepEqual(steps(), [{ action: 'delete_property', name: 'Old', ...held }, title, { action: 'change_property_type', name: 'Done', ...held }]);
+  assert.deepEqual(steps({ allowDestructive: true }), [
+    { action: 'delete_property', name: 'Old', skipped: undefined, reason: undefined },
+    title,
+    { action: 'change_property_type', name: 'Done', skipped: undefined, reason: undefined },
+  ]);
+});
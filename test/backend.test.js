@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const path = require('path');
+const { REPO, title, setup, queryAll } = require('./helpers');
+const vercel = require('../backend-template/vercel/api');
+
+const SECRET = 'test-secret';
+const titleText = (text) => [{ type: 'text', text: { content: text } }];
+
+// An action URL signed the way the backends check it
+function signedPath(base, action, params) {
+  const query = { ...params, action, ts: String(Date.now()), nonce: crypto.randomUUID() };
+  const payload = ['taskId', 'action', 'ts', 'nonce', 'tasksDbId', 'calendarDbId'].map(k => query[k] || '').join('|');
+  query.sig = crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+  return `${base}/a/${action}?${new URLSearchParams(query)}`;
+}
+
+// A Tasks database with the timer properties (and a Status when `status` lists its options) and
+// a Calendar database, as the backends expect
+async function timerApp({ status } = {}) {
+  const { notion, root } = await setup();
+  const properties = { Name: { title: {} }, 'Timer Running': { checkbox: {} }, 'Last Started At': { date: {} }, 'Total Tracked (min)': { number: {} } };
+  if (status) properties.Status = { status: { options: status.map(name => ({ name })) } };
+  const tasks = await notion.databases.create({ parent: { page_id: root }, title: titleText('Tasks'), properties });
+  const calendar = await notion.databases.create({
+    parent: { page_id: root },
+    title: titleText('Calendar'),
+    properties: { Name: { title: {} }, When: { date: {} }, 'Duration (min)': { number: {} }, Task: { relation: { database_id: tasks.id, single_property: {} } } },
+  });
+  const task = await notion.pages.create({ parent: { database_id: tasks.id }, properties: { Name: title('Write tests') } });
+  return { notion, tasks: tasks.id, calendar: calendar.id, task: task.id };
+}
+
+// Call the Vercel handler with a minimal Node request/response pair
+async function callVercel(handler, url, { method = 'GET', body } = {}) {
+  const req = Readable.from(body === undefined ? [] : [JSON.stringify(body)]);
+  Object.assign(req, { url, method, headers: body === undefined ? {} : { 'content-type': 'application/json' } });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    end(data) { this.body = data; },
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: res.headers['content-type'] ? JSON.parse(res.body) : res.body };
+}
+
+async function callWorker(worker, url, init) {
+  const response = await worker.fetch(new Request(`https://worker.example${url}`, init), { APP_SECRET: SECRET });
+  return { status: response.status, body: await response.json() };
+}
+
+const backends = [
+  ['vercel', '/api', async (notion) => {
+    process.env.APP_SECRET = SECRET;
+    const handler = vercel.createHandler({ notion });
+    return (url, opts) => callVercel(handler, url, opts);
+  }],
+  ['workers', '', async (notion) => {
+    const { createHandler } = await import('../backend-template/workers/src/index.js');
+    const worker = createHandler({ notion });
+    return (url, opts = {}) => callWorker(worker, url, opts.method ? { method: opts.method, body: JSON.stringify(opts.body), headers: { 'content-type': 'application/json' } } : undefined);
+  }],
+];
+
+for (const [name, base, makeCall] of backends) {
+  test(`${name}: start, pause and stop update the task and log a calendar entry`, async () => {
+    const app = await timerApp();
+    const call = await makeCall(app.notion);
+    const params = { taskId: app.task, tasksDbId: app.tasks, calendarDbId: app.calendar };
+
+    const started = await call(signedPath(base, 'start', params));
+    assert.equal(started.status, 200, JSON.stringify(started.body));
+    let task = await app.notion.pages.retrieve({ page_id: app.task });
+    assert.equal(task.properties['Timer Running'].checkbox, true);
+    assert.ok(task.properties['Last Started At'].date.start);
+
+    const paused = await call(signedPath(base, 'pause', params));
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.totalMin, 0);
+    task = await app.notion.pages.retrieve({ page_id: app.task });
+    assert.equal(task.properties['Timer Running'].checkbox, false);
+    assert.equal(task.properties['Last Started At'].date, null);
+
+    const stopped = await call(signedPath(base, 'stop', params));
+    assert.equal(stopped.status, 200, JSON.stringify(stopped.body));
+    const [entry] = await queryAll(app.notion, app.calendar);
+    assert.equal(entry.properties.Name.title[0].plain_text, 'Write tests');
+    assert.deepEqual(entry.properties.Task.relation.map(r => r.id), [app.task]);
+  });
+
+  test(`${name}: actions set the task's Status property`, async () => {
+    const app = await timerApp({ status: ['Todo', 'In Progress', 'Paused', 'Done'] });
+    const call = await makeCall(app.notion);
+    const params = { taskId: app.task, tasksDbId: app.tasks };
+    const status = async () => (await app.notion.pages.retrieve({ page_id: app.task })).properties.Status.status?.name;
+
+    for (const [action, expected] of [['start', 'In Progress'], ['pause', 'Paused'], ['stop', 'Done']]) {
+      const res = await call(signedPath(base, action, params));
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal(await status(), expected);
+    }
+  });
+
+  test(`${name}: accepts the action links deploy writes to the tasks`, async () => {
+    const { notion, app, root } = await setup();
+    const { aliasToId } = await app.deployBlueprint(path.join(REPO, 'blueprints', 'time-tracker-system.yml'), root, { baseUrl: `https://tracker.example${base}`, appSecret: SECRET });
+    const call = await makeCall(notion);
+    const [task] = await queryAll(notion, aliasToId.tasks);
+
+    for (const [property, expected] of [['Start URL', 'In Progress'], ['Stop URL', 'Done']]) {
+      const link = new URL(task.properties[property].url);
+      const res = await call(`${link.pathname}${link.search}`);
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal((await notion.pages.retrieve({ page_id: task.id })).properties.Status.status.name, expected);
+    }
+  });
+
+  test(`${name}: refuses unsigned or tampered links and unknown routes`, async () => {
+    const app = await timerApp();
+    const call = await makeCall(app.notion);
+    const link = signedPath(base, 'start', { taskId: app.task, tasksDbId: app.tasks });
+
+    assert.equal((await call(link.replace(/sig=[0-9a-f]+/, 'sig=0'))).status, 401);
+    assert.equal((await call(link.replace(app.task, crypto.randomUUID()))).status, 401);
+    assert.equal((await call(`${base}/a/start?taskId=${app.task}`)).status, 401);
+    assert.equal((await call(`${base}/unknown`)).status, 404);
+    const task = await app.notion.pages.retrieve({ page_id: app.task });
+    assert.equal(task.properties['Timer Running'].checkbox, false);
+  });
+
+  test(`${name}: webhooks need POST and the app secret`, async () => {
+    const app = await timerApp();
+    const call = await makeCall(app.notion);
+
+    const ok = await call(`${base}/webhook/sync?secret=${SECRET}`, { method: 'POST', body: { hello: 'world' } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(ok.body, { ok: true, webhook: 'sync', received: true });
+    assert.equal((await call(`${base}/webhook/sync?secret=wrong`, { method: 'POST', body: {} })).status, 401);
+    assert.equal((await call(`${base}/webhook/sync?secret=${SECRET}`)).status, 405);
+  });
+}
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { title, setup, tempDir, writeJson, childrenOf, queryAll, plainTitle } = require('./helpers');
+
+test('from-json --batch takes the parent type from a parentType column when --parentType is not set', async (t) => {
+  const { notion, app, root } = await setup();
+  const db = await notion.databases.create({ parent: { page_id: root }, title: [{ type: 'text', text: { content: 'Clients' } }], properties: { Name: { title: {} } } });
+  const template = writeJson(tempDir(t), 'client.json', { kind: 'page', title: '{{name}}', properties: { Name: title('{{name}}') } });
+
+  const results = await app.instantiateBatch(template, [
+    { name: 'Page', targetId: root, parentType: 'page' },
+    { name: 'Row', targetId: db.id, parentType: 'database' },
+    { name: 'Nowhere', targetId: root, parentType: '' },
+  ]);
+
+  assert.deepEqual(results.map(r => r.ok || r.error), [true, true, 'Row 3 has no parentType']);
+  assert.deepEqual((await childrenOf(notion, root)).filter(b => b.type === 'child_page').map(b => b.child_page.title), ['Page']);
+  assert.deepEqual((await queryAll(notion, db.id)).map(plainTitle), ['Row']);
+});
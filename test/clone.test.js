@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { title, paragraph, setup, queryAll, childrenOf, plainTitle } = require('./helpers');
+
+const titleText = (text) => [{ type: 'text', text: { content: text } }];
+
+test('from-master copies a page with its content, sub-pages and inline databases', async () => {
+  const { notion, app, root } = await setup();
+  const master = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Master') }, children: [paragraph('Hello')] });
+  const sub = await notion.pages.create({ parent: { page_id: master.id }, properties: { title: title('Notes') }, children: [paragraph('Inside')] });
+  const db = await notion.databases.create({ parent: { page_id: master.id }, title: titleText('Items'), is_inline: true, properties: { Name: { title: {} }, Done: { checkbox: {} } } });
+  await notion.pages.create({ parent: { database_id: db.id }, properties: { Name: title('First'), Done: { checkbox: true } } });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+
+  const copy = await app.cloneFromMaster(master.id, target.id, 'under_page', { withRows: true });
+
+  assert.notEqual(copy.id, master.id);
+  assert.equal(plainTitle(await notion.pages.retrieve({ page_id: copy.id })), 'Master');
+  const blocks = await childrenOf(notion, copy.id);
+  assert.deepEqual(blocks.map(b => b.type), ['paragraph', 'child_page', 'child_database']);
+  assert.equal(blocks[0].paragraph.rich_text[0].plain_text, 'Hello');
+  assert.notEqual(blocks[1].id, sub.id);
+  assert.equal((await childrenOf(notion, blocks[1].id))[0].paragraph.rich_text[0].plain_text, 'Inside');
+  const rows = await queryAll(notion, blocks[2].id);
+  assert.equal(rows.length, 1);
+  assert.equal(plainTitle(rows[0]), 'First');
+  assert.equal(rows[0].properties.Done.checkbox, true);
+});
+
+test('clone-set remaps relations between the cloned databases', async () => {
+  const { notion, app, root } = await setup();
+  const projects = await notion.databases.create({ parent: { page_id: root }, title: titleText('Projects'), properties: { Name: { title: {} } } });
+  const tasks = await notion.databases.create({
+    parent: { page_id: root },
+    title: titleText('Tasks'),
+    properties: { Name: { title: {} }, Project: { relation: { database_id: projects.id, type: 'dual_property', dual_property: {} } } },
+  });
+  const project = await notion.pages.create({ parent: { database_id: projects.id }, properties: { Name: title('Apollo') } });
+  await notion.pages.create({ parent: { database_id: tasks.id }, properties: { Name: title('Launch'), Project: { relation: [{ id: project.id }] } } });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Copies') } });
+
+  const res = await app.cloneSet([projects.id, tasks.id], target.id, { withRows: true });
+
+  const [projectsCopy, tasksCopy] = (await childrenOf(notion, target.id)).filter(b => b.type === 'child_database');
+  assert.equal(projectsCopy.child_database.title, 'Projects');
+  assert.equal(tasksCopy.child_database.title, 'Tasks');
+  const schema = await notion.databases.retrieve({ database_id: tasksCopy.id });
+  assert.equal(schema.properties.Project.relation.database_id, projectsCopy.id);
+  const [projectRow] = await queryAll(notion, projectsCopy.id);
+  const [taskRow] = await queryAll(notion, tasksCopy.id);
+  assert.deepEqual(taskRow.properties.Project.relation.map(r => r.id), [projectRow.id]);
+  assert.equal(res.rows, 2);
+});
+
+test('from-master links sub-pages and inline databases that sit in a column', async () => {
+  const { notion, app, root } = await setup();
+  const master = await notion.pages.create({
+    parent: { page_id: root },
+    properties: { title: title('Master') },
+    children: [{ type: 'column_list', column_list: { children: [
+      { type: 'column', column: { children: [paragraph('Left')] } },
+      { type: 'column', column: { children: [paragraph('Right')] } },
+    ] } }],
+  });
+  const sub = await notion.pages.create({ parent: { page_id: master.id }, properties: { title: title('Notes') }, children: [paragraph('Inside')] });
+  const db = await notion.databases.create({ parent: { page_id: master.id }, title: titleText('Items'), is_inline: true, properties: { Name: { title: {} } } });
+  await notion.pages.create({ parent: { database_id: db.id }, properties: { Name: title('First') } });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+
+  // The API cannot create a page inside a column, but pages made in Notion can sit there:
+  // list the sub-page and the database under the columns instead of the master
+  const [columnList, subBlock, dbBlock] = await childrenOf(notion, master.id);
+  const [left, right] = await childrenOf(notion, columnList.id);
+  const moved = { [master.id]: [columnList], [left.id]: [subBlock], [right.id]: [dbBlock] };
+  const list = notion.blocks.children.list;
+  notion.blocks.children.list = async (args) => {
+    const resp = await list.call(notion.blocks.children, args);
+    if (args.block_id === master.id) return { ...resp, results: moved[master.id] };
+    if (moved[args.block_id]) return { ...resp, results: [...resp.results, ...moved[args.block_id]] };
+    return resp;
+  };
+
+  const copy = await app.cloneFromMaster(master.id, target.id, 'under_page', { withRows: true });
+  notion.blocks.children.list = list;
+
+  // The linked objects are created before the columns that point at them
+  const [copiedSub, copiedDb, copiedColumns] = await childrenOf(notion, copy.id);
+  assert.equal(copiedColumns.type, 'column_list');
+  assert.equal(copiedSub.child_page.title, 'Notes');
+  assert.notEqual(copiedSub.id, sub.id);
+  assert.equal((await childrenOf(notion, copiedSub.id))[0].paragraph.rich_text[0].plain_text, 'Inside');
+  assert.equal(plainTitle((await queryAll(notion, copiedDb.id))[0]), 'First');
+  const columns = await childrenOf(notion, copiedColumns.id);
+  const [leftBlocks, rightBlocks] = await Promise.all(columns.map(c => childrenOf(notion, c.id)));
+  assert.deepEqual(leftBlocks.map(b => b.type), ['paragraph', 'link_to_page']);
+  assert.deepEqual(leftBlocks[1].link_to_page, { type: 'page_id', page_id: copiedSub.id });
+  assert.deepEqual(rightBlocks.map(b => b.type), ['paragraph', 'link_to_page']);
+  assert.deepEqual(rightBlocks[1].link_to_page, { type: 'database_id', database_id: copiedDb.id });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBlueprint, validateFile } = require('..');
+const { tempDir } = require('./helpers');
+
+// Write blueprint files into a scratch directory and return the path of the first one
+function blueprints(t, files) {
+  const dir = tempDir(t);
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  return path.join(dir, Object.keys(files)[0]);
+}
+
+const PEOPLE = `metadata:
+  name: People
+resources:
+  databases:
+    - alias: people
+      title: People
+      properties:
+        Name: { type: title }
+        Role: { type: rich_text }
+`;
+
+const TASKS = `resources:
+  databases:
+    - alias: tasks
+      title: Tasks
+      properties:
+        Name: { type: title }
+        Owner: { type: relation, relation: { database: people } }
+        Legacy: { type: checkbox }
+install:
+  seeds:
+    tasks:
+      - { Name: Plan, Owner: "ref(people.Ann)" }
+`;
+
+test('extends and namespaced includes merge into one blueprint the app can override', (t) => {
+  const file = blueprints(t, {
+    'app.yml': `extends: ./people.yml
+include:
+  - { path: ./tasks.yml, as: crm }
+metadata:
+  name: CRM
+resources:
+  databases:
+    - alias: crm/tasks
+      properties:
+        Legacy: null
+        Due: { type: date }
+install:
+  seeds:
+    people:
+      - { Name: Ann }
+`,
+    'people.yml': PEOPLE,
+    'tasks.yml': TASKS,
+  });
+  const doc = loadBlueprint(file);
+
+  assert.equal(doc.metadata.name, 'CRM');
+  assert.deepEqual(doc.resources.databases.map(db => db.alias), ['people', 'crm/tasks']);
+  const tasks = doc.resources.databases[1];
+  assert.equal(tasks.title, 'Tasks');
+  assert.deepEqual(Object.keys(tasks.properties), ['Name', 'Owner', 'Due']);
+  // people is not defined by the include, so its relation still points at the base's database
+  assert.equal(tasks.properties.Owner.relation.database, 'people');
+  assert.deepEqual(doc.install.seeds, { 'crm/tasks': [{ Name: 'Plan', Owner: 'ref(people.Ann)' }], people: [{ Name: 'Ann' }] });
+});
+
+test('a database defined by the base and an include is a conflict reported at the include', (t) => {
+  const file = blueprints(t, {
+    'app.yml': 'extends: ./people.yml\ninclude:\n  - ./more-people.yml\n',
+    'people.yml': PEOPLE,
+    'more-people.yml': PEOPLE.replace(/^metadata:\n {2}name: People\n/, ''),
+  });
+  const [problem] = validateFile(file).problems;
+  assert.equal(problem.line, 2);
+  assert.match(problem.message, /Blueprint conflict: database "people" is defined by both .*people\.yml and .*more-people\.yml/);
+  assert.throws(() => loadBlueprint(file), /Blueprint conflict: database "people"/);
+});
+
+test('a file included twice is merged once and include cycles are refused', (t) => {
+  const twice = blueprints(t, {
+    'app.yml': 'extends: ./base.yml\ninclude:\n  - ./people.yml\n',
+    'base.yml': 'include:\n  - ./people.yml\n',
+    'people.yml': PEOPLE,
+  });
+  assert.deepEqual(loadBlueprint(twice).resources.databases.map(db => db.alias), ['people']);
+
+  const cycle = blueprints(t, {
+    'a.yml': 'include:\n  - ./b.yml\n',
+    'b.yml': 'extends: ./a.yml\n',
+  });
+  assert.throws(() => loadBlueprint(cycle), /Blueprint include cycle: .*a\.yml -> .*b\.yml -> .*a\.yml/);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('..');
+
+test('parseCsv reads quoted fields, escaped quotes, embedded newlines and CRLF', () => {
+  const text = '\uFEFFname, note ,count\r\n"Smith, Ann","said ""hi""\nthen left",3\r\n\r\nBob,,\nEve\n';
+  assert.deepEqual(parseCsv(text), [
+    { name: 'Smith, Ann', note: 'said "hi"\nthen left', count: '3' },
+    { name: 'Bob', note: '', count: '' },
+    { name: 'Eve', note: '', count: '' },
+  ]);
+  assert.deepEqual(parseCsv('a,b\n1,2'), [{ a: '1', b: '2' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('toCsv quotes only fields that need it and reads back with parseCsv', () => {
+  const rows = [
+    { id: 1, title: 'Plain', note: null },
+    { id: 2, title: 'Comma, "quotes"', note: 'two\r\nlines' },
+  ];
+  const csv = toCsv(['id', 'title', 'note'], rows);
+  assert.equal(csv, 'id,title,note\n1,Plain,\n2,"Comma, ""quotes""","two\r\nlines"\n');
+  assert.deepEqual(parseCsv(csv), [
+    { id: '1', title: 'Plain', note: '' },
+    { id: '2', title: 'Comma, "quotes"', note: 'two\r\nlines' },
+  ]);
+});
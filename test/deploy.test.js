@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createNotionApp } = require('..');
+const { REPO, setup, tempDir, queryAll, childrenOf, plainTitle } = require('./helpers');
+
+const BLUEPRINT = path.join(REPO, 'blueprints', 'time-tracker-system.yml');
+
+test('deploy creates the databases, relations, pages, seeds and the install info page', async () => {
+  const { notion, app, root } = await setup();
+  const res = await app.deployBlueprint(BLUEPRINT, root);
+
+  assert.deepEqual(Object.keys(res.aliasToId).sort(), ['calendar', 'tasks']);
+  const tasks = await notion.databases.retrieve({ database_id: res.aliasToId.tasks });
+  assert.equal(tasks.properties.Calendar.relation.database_id, res.aliasToId.calendar);
+  assert.equal(tasks.properties['Logged (min)'].type, 'rollup');
+  const calendar = await notion.databases.retrieve({ database_id: res.aliasToId.calendar });
+  assert.equal(calendar.properties.Task.relation.database_id, res.aliasToId.tasks);
+
+  const [task] = await queryAll(notion, res.aliasToId.tasks);
+  assert.equal(plainTitle(task), 'Sample Task');
+  assert.equal(task.properties.Status.status.name, 'Todo');
+  const [session] = await queryAll(notion, res.aliasToId.calendar);
+  assert.deepEqual(session.properties.Task.relation.map(r => r.id), [task.id]);
+
+  const titles = (await childrenOf(notion, root)).filter(b => b.type === 'child_page').map(b => b.child_page.title);
+  assert.ok(titles.includes('Time Tracker'));
+  assert.ok(titles.includes('Time Tracker App - Installed'));
+  assert.equal(res.upgraded, false);
+});
+
+test('redeploy reuses the installed IDs and does not duplicate anything', async () => {
+  const { notion, app, root } = await setup();
+  const first = await app.deployBlueprint(BLUEPRINT, root);
+  const second = await app.deployBlueprint(BLUEPRINT, root);
+
+  assert.equal(second.upgraded, true);
+  assert.deepEqual(second.aliasToId, first.aliasToId);
+  assert.deepEqual(second.pages, first.pages);
+  assert.equal(second.info, first.info);
+  assert.deepEqual(second.seeded, {});
+  assert.equal((await queryAll(notion, first.aliasToId.tasks)).length, 1);
+  assert.equal((await queryAll(notion, first.aliasToId.calendar)).length, 1);
+  assert.equal((await childrenOf(notion, root)).filter(b => b.type === 'child_database').length, 2);
+});
+
+test('a state file written by deploy lets a plan run without a client', async (t) => {
+  const { app, root } = await setup();
+  const statePath = path.join(tempDir(t), 'state.json');
+  await app.deployBlueprint(BLUEPRINT, root, { statePath });
+  assert.ok(fs.existsSync(statePath));
+
+  const offline = createNotionApp({ missingClient: 'no token' });
+  const plan = await offline.planBlueprint(BLUEPRINT, root, { statePath });
+  assert.ok(!plan.steps.some(s => s.action === 'create_database'));
+  assert.ok(plan.steps.filter(s => s.action === 'update_database').every(s => s.skipped));
+  const fresh = await offline.planBlueprint(BLUEPRINT, root);
+  assert.deepEqual(fresh.steps.filter(s => s.action === 'create_database').map(s => s.alias), ['tasks', 'calendar']);
+  await assert.rejects(offline.exportToTemplate(root), /no token/);
+});
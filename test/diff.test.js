@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { REPO, setup } = require('./helpers');
+
+const BLUEPRINT = path.join(REPO, 'blueprints', 'time-tracker-system.yml');
+
+test('diff finds no drift right after a deploy and reports changes made afterwards', async () => {
+  const { notion, app, root } = await setup();
+  const { aliasToId } = await app.deployBlueprint(BLUEPRINT, root);
+
+  const clean = await app.diffObjects(BLUEPRINT, root);
+  assert.equal(clean.drift, false, JSON.stringify(clean.differences));
+
+  await notion.databases.update({ database_id: aliasToId.tasks, properties: { Estimate: { number: {} }, 'Stop URL': null } });
+  const drifted = await app.diffObjects(BLUEPRINT, root);
+  assert.equal(drifted.drift, true);
+  const subjects = drifted.differences.map(d => `${d.change} ${d.subject}`);
+  assert.ok(subjects.includes('added property Estimate'), subjects.join('\n'));
+  assert.ok(subjects.includes('removed property Stop URL'), subjects.join('\n'));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { title, paragraph, setup } = require('./helpers');
+
+test('to-json --with-rows walks a few rows at a time and keeps their order', async () => {
+  const { notion, app, root } = await setup();
+  const db = await notion.databases.create({ parent: { page_id: root }, title: [{ type: 'text', text: { content: 'Log' } }], properties: { Name: { title: {} } } });
+  const names = Array.from({ length: 12 }, (_, i) => `Row ${i + 1}`);
+  for (const name of names) {
+    const toggle = { type: 'toggle', toggle: { rich_text: paragraph(name).paragraph.rich_text, children: [paragraph('Details')] } };
+    await notion.pages.create({ parent: { database_id: db.id }, properties: { Name: title(name) }, children: [toggle] });
+  }
+
+  // A row's walk is open from reading its blocks until reading its toggle's children
+  const list = notion.blocks.children.list;
+  const open = new Set();
+  const toggleRow = new Map();
+  let peak = 0;
+  notion.blocks.children.list = async (args) => {
+    const resp = await list.call(notion.blocks.children, args);
+    if (toggleRow.has(args.block_id)) {
+      open.delete(toggleRow.get(args.block_id));
+    } else if (resp.results[0]?.type === 'toggle') {
+      open.add(args.block_id);
+      toggleRow.set(resp.results[0].id, args.block_id);
+      peak = Math.max(peak, open.size);
+    }
+    return resp;
+  };
+
+  const tpl = await app.exportToTemplate(db.id, { withRows: true });
+  assert.deepEqual(tpl.rows.map(r => r.properties.Name.title[0].text.content), names);
+  assert.deepEqual(tpl.rows.map(r => r.children[0].toggle.children[0].paragraph.rich_text[0].text.content), names.map(() => 'Details'));
+  assert.ok(peak <= 3, `${peak} rows walked at once`);
+});
+
+test('an error while walking a page is reported as it is', async () => {
+  const { notion, app, root } = await setup();
+  const page = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Doc') }, children: [paragraph('Text')] });
+  notion.blocks.children.list = async () => {
+    throw new Error('Could not find block with ID: 1234');
+  };
+  await assert.rejects(app.exportToTemplate(page.id), /Could not find block with ID: 1234/);
+});
@@ -0,0 +1,43 @@
+// Shared setup of the offline tests: an app on a fresh createMemoryNotion() with a root page
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNotionApp, createMemoryNotion } = require('..');
+
+const REPO = path.join(__dirname, '..');
+
+const title = (text) => ({ title: [{ type: 'text', text: { content: text } }] });
+const paragraph = (text) => ({ type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: text } }] } });
+
+async function setup(opts = {}) {
+  const notion = createMemoryNotion(opts);
+  const root = await notion.pages.create({ parent: { workspace: true }, properties: { title: title('Root') } });
+  // No throttling: the memory client answers at once
+  const app = createNotionApp({ client: notion, rate: 1000 });
+  return { notion, app, root: root.id };
+}
+
+// A scratch directory removed when the test ends
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notionapi-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeJson(dir, name, value) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+  return file;
+}
+
+async function queryAll(notion, databaseId) {
+  return (await notion.databases.query({ database_id: databaseId })).results;
+}
+
+async function childrenOf(notion, blockId) {
+  return (await notion.blocks.children.list({ block_id: blockId })).results;
+}
+
+const plainTitle = (page) => Object.values(page.properties).find(p => p.type === 'title').title.map(t => t.plain_text).join('');
+
+module.exports = { REPO, title, paragraph, setup, tempDir, writeJson, queryAll, childrenOf, plainTitle };
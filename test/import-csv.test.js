@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('..');
+const { title, setup, queryAll, plainTitle } = require('./helpers');
+
+const titleText = (text) => [{ type: 'text', text: { content: text } }];
+
+async function contacts() {
+  const { notion, app, root } = await setup();
+  const companies = await notion.databases.create({ parent: { page_id: root }, title: titleText('Companies'), properties: { Name: { title: {} } } });
+  await notion.pages.create({ parent: { database_id: companies.id }, properties: { Name: title('ACME') } });
+  const db = await notion.databases.create({
+    parent: { page_id: root },
+    title: titleText('Contacts'),
+    properties: {
+      Name: { title: {} },
+      Email: { email: {} },
+      Age: { number: {} },
+      Company: { relation: { database_id: companies.id, single_property: {} } },
+    },
+  });
+  await notion.pages.create({ parent: { database_id: db.id }, properties: { Name: title('Ann'), Email: { email: 'ann@example.com' }, Age: { number: 30 } } });
+  return { notion, app, db: db.id };
+}
+
+test('import-csv maps columns, updates rows by key and reports rows it cannot write', async () => {
+  const { notion, app, db } = await contacts();
+  const rows = parseCsv([
+    'Full name,email,Age,Company,Notes',
+    'Ann B.,ANN@example.com,31,ACME,skip me',
+    'Bob,bob@example.com,forty,,',
+    'Cid,cid@example.com,,Initech,',
+    'Dee,dee@example.com,,,',
+  ].join('\n'));
+
+  const { results, skipped } = await app.importCsv(rows, db, { key: 'email', mapping: { 'Full name': 'Name', Notes: null } });
+  assert.deepEqual(skipped, ['Notes (skipped by mapping)']);
+  assert.deepEqual(results.map(r => r.ok ? r.action : r.error), ['updated', 'Age: "forty" is not a number', 'Company: no related row titled "Initech"', 'created']);
+
+  const byName = Object.fromEntries((await queryAll(notion, db)).map(row => [plainTitle(row), row.properties]));
+  assert.deepEqual(Object.keys(byName).sort(), ['Ann B.', 'Dee']);
+  assert.equal(byName['Ann B.'].Age.number, 31);
+  assert.equal(byName['Ann B.'].Company.relation.length, 1);
+});
+
+test('import-csv refuses a key that repeats within the CSV', async () => {
+  const { app, db } = await contacts();
+  const rows = parseCsv('Name,Email\nEve,eve@example.com\nEve again,EVE@example.com\n');
+  const { results } = await app.importCsv(rows, db, { key: 'Email' });
+  assert.deepEqual(results.map(r => r.ok || r.error), [true, 'duplicate key "EVE@example.com" in the CSV']);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { REPO, title, paragraph, setup, tempDir, queryAll, childrenOf, plainTitle } = require('./helpers');
+
+const BLUEPRINT = path.join(REPO, 'blueprints', 'time-tracker-system.yml');
+
+// Make the nth pages.create from now on fail with an error that is not retried
+function failPageCreate(notion, nth) {
+  const create = notion.pages.create;
+  let calls = 0;
+  notion.pages.create = (args) => {
+    if (++calls === nth) return Promise.reject(Object.assign(new Error('Invalid request'), { status: 400 }));
+    return create.call(notion.pages, args);
+  };
+  return () => { notion.pages.create = create; };
+}
+
+const journalEntries = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').length - 1;
+
+test('deploy stopped partway resumes from its journal without duplicates', async (t) => {
+  const { notion, app, root } = await setup();
+  const file = path.join(tempDir(t), 'deploy.jsonl');
+  const deploy = (opts) => app.runJournaled(opts, 'deploy', [BLUEPRINT, root], () => app.deployBlueprint(BLUEPRINT, root));
+
+  const restore = failPageCreate(notion, 3);
+  await assert.rejects(deploy({ journal: file }), /Invalid request\nCompleted steps are in the journal; continue with: --resume /);
+  restore();
+  const recorded = journalEntries(file);
+  assert.ok(recorded > 0);
+
+  const { result, replayed } = await deploy({ resume: file });
+  assert.equal(replayed, recorded);
+  assert.ok(!fs.existsSync(file));
+
+  const titles = (await childrenOf(notion, root)).filter(b => b.type === 'child_page').map(b => b.child_page.title);
+  assert.deepEqual(titles.filter(name => name === 'Time Tracker'), ['Time Tracker']);
+  assert.deepEqual(titles.filter(name => name.endsWith(' - Installed')), ['Time Tracker App - Installed']);
+  assert.equal((await childrenOf(notion, root)).filter(b => b.type === 'child_database').length, 2);
+  assert.deepEqual((await queryAll(notion, result.aliasToId.tasks)).map(plainTitle), ['Sample Task']);
+  assert.equal((await queryAll(notion, result.aliasToId.calendar)).length, 1);
+});
+
+test('from-master stopped partway resumes from its journal without duplicates', async (t) => {
+  const { notion, app, root } = await setup();
+  const master = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Handbook') }, children: [paragraph('Intro')] });
+  await notion.pages.create({ parent: { page_id: master.id }, properties: { title: title('Onboarding') }, children: [paragraph('Day one')] });
+  const db = await notion.databases.create({ parent: { page_id: master.id }, is_inline: true, title: [{ type: 'text', text: { content: 'Checklist' } }], properties: { Name: { title: {} } } });
+  for (const name of ['Laptop', 'Badge', 'Accounts']) await notion.pages.create({ parent: { database_id: db.id }, properties: { Name: title(name) } });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+  const file = path.join(tempDir(t), 'from-master.jsonl');
+  const clone = (opts) => app.runJournaled(opts, 'from-master', [master.id, target.id], () =>
+    app.cloneFromMaster(master.id, target.id, 'under_page', { withRows: true }));
+
+  // The copy, its sub-page and the first row are created before the failure
+  const restore = failPageCreate(notion, 4);
+  await assert.rejects(clone({ journal: file }), /Invalid request/);
+  restore();
+  const recorded = journalEntries(file);
+
+  const { result: copy, replayed } = await clone({ resume: file });
+  assert.equal(replayed, recorded);
+
+  assert.deepEqual((await childrenOf(notion, target.id)).map(b => b.child_page?.title), ['Handbook']);
+  const children = await childrenOf(notion, copy.id);
+  assert.deepEqual(children.map(b => b.type).sort(), ['child_database', 'child_page', 'paragraph']);
+  const copiedDb = children.find(b => b.type === 'child_database');
+  assert.deepEqual((await queryAll(notion, copiedDb.id)).map(plainTitle), ['Laptop', 'Badge', 'Accounts']);
+});
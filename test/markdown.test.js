@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { title, setup, tempDir, childrenOf } = require('./helpers');
+
+const text = (content) => [{ type: 'text', text: { content } }];
+
+test('callouts keep their icon, or the lack of one, through to-markdown and from-markdown', async (t) => {
+  const { notion, app, root } = await setup();
+  const page = await notion.pages.create({
+    parent: { page_id: root },
+    properties: { title: title('Notes') },
+    children: [
+      { type: 'callout', callout: { rich_text: text('Plain'), color: 'gray_background' } },
+      { type: 'callout', callout: { rich_text: text('Careful'), icon: { type: 'emoji', emoji: '🔥' }, color: 'red_background' } },
+    ],
+  });
+  const { markdown } = await app.exportToMarkdown(page.id);
+  assert.match(markdown, /^> \[!NOTE\]\n> Plain$/m);
+  assert.match(markdown, /^> \[!CAUTION\] 🔥\n> Careful$/m);
+
+  const file = path.join(tempDir(t), 'notes.md');
+  fs.writeFileSync(file, markdown);
+  const { created: [copy] } = await app.importMarkdown(file, root);
+  const [plain, careful] = await childrenOf(notion, copy);
+  assert.equal(plain.callout.icon ?? null, null);
+  assert.equal(plain.callout.color, 'gray_background');
+  assert.deepEqual(careful.callout.icon, { type: 'emoji', emoji: '🔥' });
+  assert.equal(careful.callout.color, 'red_background');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotionApp, createMemoryNotion } = require('..');
+const { title, paragraph } = require('./helpers');
+
+// A page whose export takes a few requests, and an app that records its events with their time
+async function setupRated(opts, clientOpts) {
+  const notion = createMemoryNotion(clientOpts);
+  const toggle = (text) => ({ type: 'toggle', toggle: { rich_text: paragraph(text).paragraph.rich_text, children: [paragraph('Details')] } });
+  const page = await notion.pages.create({ parent: { workspace: true }, properties: { title: title('Doc') }, children: ['A', 'B', 'C'].map(toggle) });
+  const start = Date.now();
+  const events = [];
+  const app = createNotionApp({ client: notion, onEvent: (event) => events.push({ ...event, at: Date.now() - start }), ...opts });
+  return { notion, app, page: page.id, events };
+}
+
+const ofType = (events, type) => events.filter(e => e.type === type);
+
+test('requests beyond the burst wait for tokens at the configured rate', async () => {
+  const { app, page, events } = await setupRated({ rate: 20, burst: 2 });
+  await app.exportToTemplate(page);
+
+  const requests = ofType(events, 'request');
+  assert.equal(requests.length, 5);
+  assert.equal(app.stats.requests, 5);
+  // Two go at once, each further one a token (50 ms) later
+  assert.ok(requests[4].at >= 140, `fifth request after ${requests[4].at} ms`);
+  const throttles = ofType(events, 'throttle');
+  assert.equal(app.stats.throttled, throttles.length);
+  assert.ok(throttles.length >= 3 && throttles.every(e => e.wait > 0 && e.wait <= 50));
+  assert.equal(app.stats.retries, 0);
+});
+
+test('a 429 is retried after Retry-After and pauses every request of the app', async () => {
+  const { notion, app, page, events } = await setupRated({ rate: 1000 }, { retryAfter: 1.5 });
+  notion.throttleNext(1);
+  await Promise.all([app.exportToTemplate(page), app.exportToTemplate(page)]);
+
+  const [retry] = ofType(events, 'retry');
+  assert.equal(retry.error.status, 429);
+  assert.equal(retry.attempt, 1);
+  assert.equal(retry.delay, 1500);
+  assert.equal(app.stats.retries, 1);
+  // The other export waits out the pause too; only a request that already had its token goes
+  const later = events.filter(e => e.type === 'request' && e.at > retry.at);
+  const during = later.filter(e => e.at < retry.at + 1450);
+  assert.ok(later.length > 2);
+  assert.ok(during.length <= 1, `requests at ${later.map(e => e.at)} after a retry at ${retry.at}`);
+  assert.ok(ofType(events, 'throttle').some(e => e.wait > 1000));
+  assert.equal(app.stats.throttled, ofType(events, 'throttle').length);
+});
+
+test('a reset connection is retried with backoff, an invalid request is not', async () => {
+  const { notion, app, page, events } = await setupRated({ rate: 1000 });
+  const retrieve = notion.pages.retrieve;
+  let failures = 1;
+  notion.pages.retrieve = (args) => {
+    if (failures-- > 0) return Promise.reject(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }));
+    return retrieve.call(notion.pages, args);
+  };
+  const tpl = await app.exportToTemplate(page);
+  assert.equal(tpl.children.length, 3);
+
+  const [retry] = ofType(events, 'retry');
+  assert.equal(retry.error.cause.code, 'ECONNRESET');
+  assert.ok(retry.delay >= 250 && retry.delay <= 500, `backoff of ${retry.delay} ms`);
+  assert.deepEqual([app.stats.retries, app.stats.throttled], [1, 0]);
+
+  notion.blocks.children.list = () => Promise.reject(Object.assign(new Error('Invalid request'), { status: 400 }));
+  await assert.rejects(app.exportToTemplate(page), /Invalid request/);
+  assert.equal(app.stats.retries, 1);
+});
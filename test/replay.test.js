@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createNotionApp, createRecordingClient, createReplayClient } = require('..');
+const { REPO, setup, tempDir } = require('./helpers');
+
+// Recorded with createRecordingClient from to-json --with-rows of a page with a heading, a toggle
+// with nested text and an inline database with one row
+const FIXTURE = path.join(__dirname, 'fixtures', 'to-json.jsonl');
+const PAGE_ID = 'b86e846d-1c89-4c53-8644-e20b6f8731aa';
+
+test('to-json replays from a checked-in fixture', async () => {
+  const app = createNotionApp({ client: createReplayClient(FIXTURE), rate: 1000 });
+  const tpl = await app.exportToTemplate(PAGE_ID, { withRows: true });
+
+  assert.equal(tpl.kind, 'page');
+  assert.equal(tpl.title, 'Handbook');
+  assert.deepEqual(tpl.children.map(b => b.type), ['heading_1', 'toggle', 'child_database']);
+  assert.equal(tpl.children[1].toggle.children[0].paragraph.rich_text[0].plain_text, 'Nested text');
+  const db = tpl.children[2].child_database;
+  assert.deepEqual(Object.keys(db.properties), ['Name', 'Url']);
+  assert.equal(db.rows.length, 1);
+  assert.equal(db.rows[0].properties.Url.url, 'https://example.com/docs');
+});
+
+test('each recorded response is replayed once', async () => {
+  const client = createReplayClient(FIXTURE);
+  const page = await client.pages.retrieve({ page_id: PAGE_ID });
+  assert.equal(page.id, PAGE_ID);
+  await assert.rejects(client.pages.retrieve({ page_id: PAGE_ID }), /no recorded response left for pages\.retrieve/);
+});
+
+test('a recorded deploy replays to the same result', async (t) => {
+  const { notion, root } = await setup();
+  const file = path.join(tempDir(t), 'deploy.jsonl');
+  const blueprint = path.join(REPO, 'blueprints', 'time-tracker-system.yml');
+  const recorded = await createNotionApp({ client: createRecordingClient(notion, file), rate: 1000 }).deployBlueprint(blueprint, root);
+  const replayed = await createNotionApp({ client: createReplayClient(file), rate: 1000 }).deployBlueprint(blueprint, root);
+
+  assert.deepEqual(replayed.aliasToId, recorded.aliasToId);
+  assert.deepEqual(replayed.pages, recorded.pages);
+  assert.equal(replayed.info, recorded.info);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateSource } = require('..');
+const { setup, tempDir, childrenOf, queryAll, plainTitle } = require('./helpers');
+
+const blueprint = (rows) => `metadata:
+  name: Seeds
+resources:
+  databases:
+    - alias: tasks
+      title: Tasks
+      properties:
+        Name:
+          type: title
+install:
+  seeds:
+    tasks:
+${rows.map(row => `      - ${row}`).join('\n')}
+`;
+
+const errors = (source) => validateSource(source, 'blueprint').problems.filter(p => p.severity === 'error');
+
+test('seed rows sharing a title need distinct $key values', () => {
+  const [problem] = errors(blueprint(['Name: Review', 'Name: Review']));
+  assert.match(problem.message, /another seed row is also keyed by the title "Review"/);
+  assert.equal(problem.line, 14);
+
+  assert.deepEqual(errors(blueprint(['{ $key: first, Name: Review }', '{ $key: second, Name: Review }'])), []);
+  assert.match(errors(blueprint(['{ $key: a, Name: One }', '{ $key: a, Name: Two }']))[0].message, /duplicate seed key "a"/);
+  assert.match(errors(blueprint(['{ $key: Review, Name: One }', 'Name: Review']))[0].message, /keyed by the title "Review"/);
+});
+
+test('deploy refuses seed rows with the same key before creating anything', async (t) => {
+  const { notion, app, root } = await setup();
+  const file = path.join(tempDir(t), 'seeds.yml');
+  fs.writeFileSync(file, blueprint(['Name: Review', 'Name: Review']));
+
+  await assert.rejects(app.deployBlueprint(file, root), /keyed by the title "Review"/);
+  assert.deepEqual(await childrenOf(notion, root), []);
+});
+
+const TEAM = `metadata:
+  name: Team
+resources:
+  databases:
+    - alias: people
+      title: People
+      properties:
+        Name: { type: title }
+    - alias: tasks
+      title: Tasks
+      properties:
+        Name: { type: title }
+        Owners: { type: relation, relation: { database: people } }
+install:
+  seeds:
+    people:
+      - { $key: ann, Name: Ann Smith }
+      - { $key: v1.2, Name: Release bot }
+      - Name: Bob
+    tasks:
+      - { Name: Ship, Owners: ["ref(people.ann)", "ref( people.v1.2 )"] }
+      - { Name: Review, Owners: ref(people.Bob) }
+`;
+
+test('seed rows are keyed by $key or title and relations reference them with ref(alias.key)', async (t) => {
+  const { notion, app, root } = await setup();
+  const file = path.join(tempDir(t), 'team.yml');
+  fs.writeFileSync(file, TEAM);
+
+  const first = await app.deployBlueprint(file, root);
+  assert.deepEqual(Object.keys(first.state.seeds.people), ['ann', 'v1.2', 'Bob']);
+  const people = Object.fromEntries(Object.entries(first.state.seeds.people).map(([key, id]) => [id, key]));
+  const owners = Object.fromEntries((await queryAll(notion, first.aliasToId.tasks)).map(row => [plainTitle(row), row.properties.Owners.relation.map(r => people[r.id])]));
+  assert.deepEqual(owners, { Ship: ['ann', 'v1.2'], Review: ['Bob'] });
+
+  // Renaming a row keyed by $key does not seed it again; a row keyed by its title is new
+  fs.writeFileSync(file, TEAM.replace('Ann Smith', 'Ann Jones').replace('Name: Bob', 'Name: Bobby').replace('people.Bob', 'people.Bobby'));
+  const second = await app.deployBlueprint(file, root);
+  assert.deepEqual(Object.keys(second.seeded), ['people']);
+  assert.deepEqual(second.seeded.people.map(plainTitle), ['Bobby']);
+});
+
+test('validate reports ref(alias.key) values that match no seed row', () => {
+  const source = TEAM.replace('ref(people.Bob)', 'ref(people.Carol)').replace('"ref(people.ann)"', '"ref(tasks.Ship)"');
+  assert.deepEqual(errors(source).map(p => [p.line, p.message]), [
+    [21, 'ref(tasks.Ship): "Owners" relates to "people", not "tasks"'],
+    [22, 'ref(people.Carol): no seed row of "people" has key "Carol"'],
+  ]);
+});
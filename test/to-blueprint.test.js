@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { title, paragraph, setup, tempDir, queryAll, plainTitle } = require('./helpers');
+
+test('to-blueprint --with-rows deploys back into the same app', async (t) => {
+  const { notion, app, root } = await setup();
+  const home = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Studio') } });
+  const inline = (name, properties) => notion.databases.create({ parent: { page_id: home.id }, is_inline: true, title: [{ type: 'text', text: { content: name } }], properties });
+  const projects = await inline('Projects', { Name: { title: {} } });
+  const tasks = await inline('Tasks', { Name: { title: {} }, Project: { relation: { database_id: projects.id, type: 'dual_property', dual_property: {} } } });
+  const hosted = { type: 'image', image: { type: 'file', file: { url: 'https://files.example/plan.png', expiry_time: new Date().toISOString() } } };
+  await notion.pages.create({ parent: { page_id: home.id }, properties: { title: title('Guide') }, children: [paragraph('Read me'), hosted] });
+  const apollo = await notion.pages.create({ parent: { database_id: projects.id }, properties: { Name: title('Apollo') } });
+  for (const name of ['Design', 'Design']) {
+    await notion.pages.create({ parent: { database_id: tasks.id }, properties: { Name: title(name), Project: { relation: [{ id: apollo.id }] } } });
+  }
+
+  const exported = await app.exportToBlueprint(home.id, { withRows: true });
+  const { databases, pages } = exported.doc.resources;
+  assert.deepEqual(databases.map(d => d.alias), ['projects', 'tasks']);
+  // The two-way relation is declared on one side only
+  const relations = databases.flatMap(d => Object.values(d.properties).filter(p => p.type === 'relation').map(p => [d.alias, p.relation]));
+  assert.deepEqual(relations, [['projects', { database: 'tasks', dual_property: 'Project' }]]);
+  assert.deepEqual(exported.doc.install.seeds, {
+    projects: [{ Name: 'Apollo', 'Related to Tasks (Project)': ['ref(tasks.Design)', 'ref(tasks.Design (2))'] }],
+    tasks: [{ Name: 'Design' }, { $key: 'Design (2)', Name: 'Design' }],
+  });
+  assert.deepEqual(pages[0].children.map(b => b.type), ['paragraph']);
+  assert.deepEqual(exported.warnings, ['Uploaded image "image" in "Guide" was left out: its URL expires (use an external link instead)']);
+
+  const file = path.join(tempDir(t), 'studio.yml');
+  fs.writeFileSync(file, exported.yaml);
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+  const res = await app.deployBlueprint(file, target.id);
+
+  assert.deepEqual(Object.keys(res.aliasToId).sort(), ['projects', 'tasks']);
+  assert.deepEqual(Object.keys(res.pages), ['guide']);
+  const copied = await notion.databases.retrieve({ database_id: res.aliasToId.tasks });
+  assert.equal(copied.properties.Project.relation.database_id, res.aliasToId.projects);
+  const back = await notion.databases.retrieve({ database_id: res.aliasToId.projects });
+  assert.deepEqual(Object.values(back.properties).filter(p => p.type === 'relation').map(p => p.relation.database_id), [res.aliasToId.tasks]);
+  const [project] = await queryAll(notion, res.aliasToId.projects);
+  assert.equal(plainTitle(project), 'Apollo');
+  const rows = await queryAll(notion, res.aliasToId.tasks);
+  assert.deepEqual(rows.map(r => [plainTitle(r), r.properties.Project.relation.map(p => p.id)]), [['Design', [project.id]], ['Design', [project.id]]]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { REPO, setup, tempDir, writeJson } = require('./helpers');
+
+const BLUEPRINT = path.join(REPO, 'blueprints', 'time-tracker-system.yml');
+
+test('backups into the same directory keep the files of every run', async (t) => {
+  const dir = tempDir(t);
+  const backup = path.join(dir, 'backup');
+  const first = await setup();
+  const second = await setup();
+  const states = [];
+  for (const { app, root } of [first, second]) {
+    const statePath = path.join(dir, `${states.length}.json`);
+    await app.deployBlueprint(BLUEPRINT, root, { statePath });
+    states.push(JSON.parse(fs.readFileSync(statePath, 'utf8')));
+  }
+
+  const a = await first.app.uninstallApp(states[0], { backupDir: backup });
+  const b = await second.app.uninstallApp(states[1], { backupDir: backup });
+  assert.notEqual(a.stateBackup, b.stateBackup);
+  assert.equal(fs.readdirSync(backup).length, a.exported.length + b.exported.length + 2);
+  assert.equal(JSON.parse(fs.readFileSync(b.stateBackup, 'utf8')).writtenBy, undefined);
+});
+
+test('uninstall removes only a state file deploy wrote', async (t) => {
+  const dir = tempDir(t);
+  const { app, root } = await setup();
+  const written = path.join(dir, 'state.json');
+  await app.deployBlueprint(BLUEPRINT, root, { statePath: written });
+  const state = JSON.parse(fs.readFileSync(written, 'utf8'));
+  const { writtenBy, ...manifest } = state;
+  const own = writeJson(dir, 'mine.json', manifest);
+
+  const kept = await app.uninstallApp(state, { statePath: own });
+  assert.equal(kept.stateFileRemoved, false);
+  assert.ok(fs.existsSync(own));
+
+  const removed = await app.uninstallApp(state, { statePath: written });
+  assert.equal(removed.stateFileRemoved, true);
+  assert.equal(fs.existsSync(written), false);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { title, setup, childrenOf, queryAll } = require('./helpers');
+const { createReferenceContext, describeUnresolvedReferences } = require('..');
+
+const MB = 1024 * 1024;
+
+// Serves /<size>.bin with that many bytes; ?chunked leaves out the Content-Length. Other paths are 404.
+async function fileServer(t) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const size = Number(url.pathname.match(/\/(\d+)\.bin$/)?.[1]);
+    if (Number.isNaN(size)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const headers = { 'content-type': 'application/octet-stream' };
+    if (!url.searchParams.has('chunked')) headers['content-length'] = size;
+    res.writeHead(200, headers);
+    const chunk = Buffer.alloc(MB, 7);
+    for (let sent = 0; sent < size; sent += MB) res.write(chunk.subarray(0, Math.min(MB, size - sent)));
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('hosted files are uploaded again in one part up to 20 MB and in 10 MB parts above', async (t) => {
+  const base = await fileServer(t);
+  const { notion, app, root } = await setup();
+  const media = (url) => ({ type: 'file', file: { url, expiry_time: new Date(Date.now() + 3600e3).toISOString() } });
+  const master = await notion.pages.create({
+    parent: { page_id: root },
+    properties: { title: title('Media') },
+    icon: media(`${base}/${MB}.bin`),
+    children: [
+      { type: 'file', file: { ...media(`${base}/${25 * MB}.bin`), name: 'sized.bin' } },
+      { type: 'file', file: { ...media(`${base}/${21 * MB}.bin?chunked`), name: 'chunked.bin' } },
+    ],
+  });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+
+  const sends = [];
+  const send = notion.fileUploads.send;
+  notion.fileUploads.send = (args) => {
+    sends.push({ id: args.file_upload_id, part: args.part_number, size: args.file.data.size, name: args.file.filename });
+    return send.call(notion.fileUploads, args);
+  };
+  const copy = await app.cloneFromMaster(master.id, target.id, 'under_page');
+
+  const uploads = [];
+  for (const s of sends) {
+    if (uploads.at(-1)?.id !== s.id) uploads.push({ id: s.id, name: s.name, parts: [] });
+    uploads.at(-1).parts.push([s.part, s.size / MB]);
+  }
+  assert.deepEqual(uploads.map(({ id, ...upload }) => upload), [
+    { name: `${MB}.bin`, parts: [[undefined, 1]] },
+    { name: 'sized.bin', parts: [['1', 10], ['2', 10], ['3', 5]] },
+    { name: 'chunked.bin', parts: [['1', 10], ['2', 10], ['3', 1]] },
+  ]);
+  assert.equal((await notion.pages.retrieve({ page_id: copy.id })).icon.type, 'file_upload');
+  const blocks = await childrenOf(notion, copy.id);
+  assert.deepEqual(blocks.map(b => b.file.type), ['file_upload', 'file_upload']);
+});
+
+test('hosted files in a Files property are uploaded again; a file that cannot be read stays a link with a warning', async (t) => {
+  const base = await fileServer(t);
+  const { notion, app, root } = await setup();
+  const db = await notion.databases.create({ parent: { page_id: root }, title: [{ type: 'text', text: { content: 'Docs' } }], properties: { Name: { title: {} }, Files: { files: {} } } });
+  const hosted = (name, url) => ({ name, type: 'file', file: { url, expiry_time: new Date(Date.now() + 3600e3).toISOString() } });
+  await notion.pages.create({
+    parent: { database_id: db.id },
+    properties: {
+      Name: title('Contract'),
+      Files: { files: [hosted('contract.bin', `${base}/1024.bin`), hosted('gone.bin', `${base}/gone`), { name: 'site', type: 'external', external: { url: 'https://example.com/' } }] },
+    },
+  });
+  const target = await notion.pages.create({ parent: { page_id: root }, properties: { title: title('Target') } });
+
+  const refs = createReferenceContext();
+  const copy = await app.cloneFromMaster(db.id, target.id, 'under_page', { withRows: true, refs });
+
+  const [row] = await queryAll(notion, copy.id);
+  const files = row.properties.Files.files;
+  assert.deepEqual(files.map(f => [f.name, f.type]), [['contract.bin', 'file_upload'], ['gone.bin', 'external'], ['site', 'external']]);
+  assert.equal(files[1].external.url, `${base}/gone`);
+  assert.equal(describeUnresolvedReferences(refs).filter(w => w.includes('gone.bin')).length, 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateSource, validateFile } = require('..');
+const { tempDir } = require('./helpers');
+
+const lines = (problems) => problems.map(p => [p.line, p.path]);
+
+test('blueprint problems point at the line of the offending key', () => {
+  const source = `metadata:
+  name: Demo
+resources:
+  databases:
+    - alias: tasks
+      title: Tasks
+      properties:
+        Name:
+          type: title
+        Owner: { type: relation, database: people }
+        Due:
+          type: 42
+`;
+  assert.deepEqual(lines(validateSource(source, 'blueprint').problems), [
+    [10, 'resources.databases[0].properties.Owner'],
+    [10, 'resources.databases[0].properties.Owner.database'],
+    [12, 'resources.databases[0].properties.Due.type'],
+  ]);
+});
+
+test('template problems in JSON point at the line of the block', () => {
+  const source = JSON.stringify({ kind: 'page', title: 'T', children: [{ type: 'paragraph' }, {}] }, null, 2);
+  assert.deepEqual(lines(validateSource(source).problems), [[5, 'children[0]'], [8, 'children[1]']]);
+});
+
+test('syntax errors report the line the parser stopped at', (t) => {
+  assert.deepEqual(lines(validateSource('a: 1\n  b: [\n', 'blueprint').problems), [[2, '(root)']]);
+
+  const file = path.join(tempDir(t), 'broken.json');
+  fs.writeFileSync(file, '{\n  "kind": "page",\n  "title": "T",,\n}\n');
+  const [problem] = validateFile(file).problems;
+  assert.equal(problem.line, 3);
+  assert.equal(problem.severity, 'error');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { resolveTemplateVariables, applyTemplateVariables } = require('..');
+const { title, setup, tempDir, writeJson, childrenOf } = require('./helpers');
+
+test('declared variables resolve from provided values, then the environment, then defaults', () => {
+  const doc = { variables: { client: { required: true }, owner: 'Ops', region: 'eu', note: null } };
+  const env = { NOTION_VAR_REGION: 'us' };
+  assert.deepEqual(resolveTemplateVariables(doc, { client: 'ACME', extra: 'x' }, env), { client: 'ACME', owner: 'Ops', region: 'us', note: '', extra: 'x' });
+  assert.throws(() => resolveTemplateVariables(doc, {}, env), /Missing required template variable\(s\): client/);
+});
+
+test('placeholders with a value are replaced in strings and keys', () => {
+  const doc = { variables: { client: 'x' }, title: '{{client}} board', properties: { '{{ client }} notes': 'Owner: {{owner}}' } };
+  const out = applyTemplateVariables(doc, { client: 'ACME' }, { NOTION_VAR_OWNER: 'Ala' });
+  assert.deepEqual(out, { variables: { client: 'x' }, title: 'ACME board', properties: { 'ACME notes': 'Owner: Ala' } });
+});
+
+test('placeholders without a value and escaped placeholders stay literal text', () => {
+  const doc = { title: 'Use {{name}} in templates', body: ['\\{{client}} is replaced by the client', '{{client}}'] };
+  const out = applyTemplateVariables(doc, { client: 'ACME' }, {});
+  assert.deepEqual(out, { title: 'Use {{name}} in templates', body: ['{{client}} is replaced by the client', 'ACME'] });
+});
+
+test('a page with literal {{...}} text survives to-json and from-json', async (t) => {
+  const { notion, app, root } = await setup();
+  const code = 'Hello {{name}}, your order {{ order.id }} shipped';
+  const page = await notion.pages.create({
+    parent: { page_id: root },
+    properties: { title: title('{{name}} docs') },
+    children: [{ type: 'code', code: { language: 'plain text', rich_text: [{ type: 'text', text: { content: code } }] } }],
+  });
+  const file = writeJson(tempDir(t), 'page.json', await app.exportToTemplate(page.id));
+
+  const copy = await app.createFromJsonTemplate(path.resolve(file), root, 'page');
+  const [block] = await childrenOf(notion, copy.id);
+  assert.equal(block.code.rich_text[0].plain_text, code);
+  assert.equal((await notion.pages.retrieve({ page_id: copy.id })).properties.title.title[0].plain_text, '{{name}} docs');
+});